@@ -47,7 +47,7 @@ MONGODB_URI_PROD=mongodb://mongodb:27017/healthcare_iot
 
 # JWT Configuration
 JWT_SECRET=your_jwt_secret_key_change_in_production
-JWT_EXPIRES_IN=7d
+ACCESS_TOKEN_EXPIRES_IN=15m
 
 # Encryption Keys (Change these in production!)
 ENCRYPTION_KEY=32_character_encryption_key_here
@@ -7,6 +7,8 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const { connectDB, closeDB } = require('./database');
 const User = require('../models/user.model');
+const Patient = require('../models/patient.model');
+const Device = require('../models/device.model');
 
 /**
  * Create default admin user if no users exist
@@ -29,7 +31,10 @@ const createDefaultAdmin = async () => {
         email: 'admin@example.com',
         password: hashedPassword,
         role: 'admin',
-        isActive: true
+        isActive: true,
+        emailVerified: true,
+        // The default password does not meet the password policy
+        mustChangePassword: true
       });
       
       await adminUser.save();
@@ -68,7 +73,8 @@ const createDefaultDoctor = async () => {
         specialization: 'Neurology',
         licenseNumber: 'MD12345',
         phoneNumber: '555-123-4567',
-        isActive: true
+        isActive: true,
+        emailVerified: true
       });
       
       await doctorUser.save();
@@ -83,6 +89,59 @@ const createDefaultDoctor = async () => {
   }
 };
 
+/**
+ * Move patients and devices from a single assignedDoctor to a care team owned by that doctor
+ */
+const migrateCareTeams = async () => {
+  try {
+    for (const Model of [Patient, Device]) {
+      // Update the raw collection - assignedDoctor is no longer in the schema
+      const result = await Model.collection.updateMany(
+        { assignedDoctor: { $exists: true } },
+        [
+          {
+            $set: {
+              careTeam: [{ user: '$assignedDoctor', role: 'owner', addedAt: '$createdAt' }]
+            }
+          },
+          { $unset: 'assignedDoctor' }
+        ]
+      );
+      
+      if (result.modifiedCount > 0) {
+        console.log(`👥 Moved ${result.modifiedCount} ${Model.modelName.toLowerCase()}(s) to care teams`);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error migrating care teams:', error);
+  }
+};
+
+/**
+ * Build the blind search indexes of patients and devices that are missing or out of date.
+ * Run with --rebuild-search-index to rebuild every index after changing BLIND_INDEX_KEY.
+ */
+const buildSearchIndexes = async () => {
+  try {
+    const rebuild = process.argv.includes('--rebuild-search-index');
+    
+    for (const Model of [Patient, Device]) {
+      const docs = await Model.find(rebuild ? {} : Model.staleSearchIndexFilter());
+      
+      for (const doc of docs) {
+        doc.updateSearchIndex();
+        await doc.save();
+      }
+      
+      if (docs.length > 0) {
+        console.log(`🔎 Built search indexes for ${docs.length} ${Model.modelName.toLowerCase()}(s)`);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error building search indexes:', error);
+  }
+};
+
 /**
  * Initialize database with default data
  */
@@ -97,6 +156,10 @@ const initializeDatabase = async () => {
     await createDefaultAdmin();
     await createDefaultDoctor();
     
+    // Upgrade existing data
+    await migrateCareTeams();
+    await buildSearchIndexes();
+    
     console.log('✅ Database initialization complete');
     
     // Close MongoDB connection
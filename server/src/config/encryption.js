@@ -0,0 +1,100 @@
+// encryption.js - Keys and settings for encrypted patient, device and session fields
+
+// Sample keys published in the README; refused in production
+const SAMPLE_KEYS = [
+  'JchpUoN/2qxDe7B/wXXE6PYAzSwAYGPL213oymbSkEs=',
+  '2dL04yEk0Wg84ozJ7xgI6omoVAdhQsSsVZbBku4Fmp9adXkW/+iMsVpB3MPqR9NPCjzMuxU6DMjGjPxI9garQA=='
+];
+
+// Key version of documents encrypted before keys were versioned
+const LEGACY_KEY_VERSION = '1';
+
+let keyring;
+
+/**
+ * Read the encryption keyring from the environment.
+ * ENCRYPTION_KEYS lists every key as "version:encryptionKey:signingKey" (comma-separated) and
+ * ENCRYPTION_ACTIVE_KEY names the version new data is encrypted with (default: the first listed).
+ * Older versions stay listed so documents not yet re-encrypted can still be read.
+ * Without ENCRYPTION_KEYS, ENCRYPTION_KEY and SIGNING_KEY are key version 1.
+ * @returns {Object} Keys by version, and the active version
+ */
+const getKeyring = () => {
+  if (keyring) return keyring;
+
+  if (!process.env.ENCRYPTION_KEYS) {
+    keyring = {
+      keys: {
+        [LEGACY_KEY_VERSION]: {
+          encryptionKey: process.env.ENCRYPTION_KEY,
+          signingKey: process.env.SIGNING_KEY
+        }
+      },
+      activeVersion: LEGACY_KEY_VERSION
+    };
+    return keyring;
+  }
+
+  const entries = process.env.ENCRYPTION_KEYS.split(',').map((entry) => entry.trim()).filter(Boolean);
+  const keys = {};
+
+  entries.forEach((entry, index) => {
+    const [version, encryptionKey, signingKey] = entry.split(':');
+
+    // Never include the entry itself in the error - it contains the keys
+    if (!/^[\w.-]+$/.test(version || '') || !encryptionKey || !signingKey) {
+      throw new Error(`ENCRYPTION_KEYS entry ${index + 1} must look like "version:encryptionKey:signingKey"`);
+    }
+    if (keys[version]) {
+      throw new Error(`ENCRYPTION_KEYS lists key version ${version} more than once`);
+    }
+
+    keys[version] = { encryptionKey, signingKey };
+  });
+
+  const activeVersion = process.env.ENCRYPTION_ACTIVE_KEY || entries[0].split(':')[0];
+  if (!keys[activeVersion]) {
+    throw new Error(`ENCRYPTION_ACTIVE_KEY ${activeVersion} is not listed in ENCRYPTION_KEYS`);
+  }
+
+  keyring = { keys, activeVersion };
+  return keyring;
+};
+
+/**
+ * Check whether EMG/EMS session notes and signal data are encrypted (ENCRYPT_SESSION_DATA=true).
+ * Sessions saved before it was enabled stay readable and are encrypted by npm run db:reencrypt.
+ * @returns {boolean} True if session data is encrypted
+ */
+const isSessionDataEncrypted = () => process.env.ENCRYPT_SESSION_DATA === 'true';
+
+/**
+ * Refuse to run in production with the sample keys from the README.
+ * Older key versions may still be sample keys while their data is re-encrypted; that only warns.
+ * @throws {Error} If the active key (or the search index key) is a sample key in production
+ */
+const assertProductionKeys = () => {
+  if (process.env.NODE_ENV !== 'production') return;
+
+  const { keys, activeVersion } = getKeyring();
+  const isSample = ({ encryptionKey, signingKey }) => SAMPLE_KEYS.includes(encryptionKey) || SAMPLE_KEYS.includes(signingKey);
+
+  // The search index key is derived from SIGNING_KEY when it is not set
+  const blindIndexKey = process.env.BLIND_INDEX_KEY || process.env.SIGNING_KEY;
+
+  if (isSample(keys[activeVersion]) || SAMPLE_KEYS.includes(blindIndexKey)) {
+    throw new Error('The sample encryption keys from the README cannot be used in production. Configure new keys (see "Encryption Key Rotation" in the README).');
+  }
+
+  const sampleVersions = Object.keys(keys).filter((version) => isSample(keys[version]));
+  if (sampleVersions.length > 0) {
+    console.warn(`⚠️ Encryption key version(s) ${sampleVersions.join(', ')} are sample keys. Run npm run db:reencrypt and remove them from ENCRYPTION_KEYS.`);
+  }
+};
+
+module.exports = {
+  LEGACY_KEY_VERSION,
+  getKeyring,
+  isSessionDataEncrypted,
+  assertProductionKeys
+};
@@ -0,0 +1,16 @@
+// fhir.js - FHIR R4 interface configuration
+
+const appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+/**
+ * FHIR settings read from the environment
+ */
+const fhirConfig = {
+  // Base URL of the code systems, identifiers and extensions defined by this server
+  systemUrl: (process.env.FHIR_SYSTEM_URL || `${appUrl}/fhir`).replace(/\/$/, ''),
+  // Search results per page (_count)
+  defaultCount: 20,
+  maxCount: 100
+};
+
+module.exports = fhirConfig;
@@ -0,0 +1,39 @@
+// mail.js - Outgoing email configuration
+
+/**
+ * Mail settings read from the environment
+ * MAIL_TRANSPORT selects how messages are delivered:
+ * - smtp: send through the SMTP server below
+ * - file: write each message as an .eml file to MAIL_FILE_DIR (local development and tests)
+ * - console: print each message to the console
+ */
+const mailConfig = {
+  transport: process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console'),
+  from: process.env.MAIL_FROM || 'MyoZen <no-reply@myozen.local>',
+  // Base URL of the frontend, used to build links in emails
+  appUrl: (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, ''),
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD
+  },
+  fileDir: process.env.MAIL_FILE_DIR || 'tmp/mail'
+};
+
+/**
+ * Refuse to run in production with a transport that prints or stores message bodies,
+ * which carry password reset and invitation links
+ * @throws {Error} If MAIL_TRANSPORT is console or file in production
+ */
+const assertProductionMailTransport = () => {
+  if (process.env.NODE_ENV !== 'production') return;
+
+  if (['console', 'file'].includes(mailConfig.transport)) {
+    throw new Error(`MAIL_TRANSPORT "${mailConfig.transport}" writes emails, including password reset links, to the log or disk and cannot be used in production. Configure SMTP.`);
+  }
+};
+
+module.exports = mailConfig;
+module.exports.assertProductionMailTransport = assertProductionMailTransport;
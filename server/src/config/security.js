@@ -0,0 +1,96 @@
+// security.js - Authentication and session security settings
+
+/**
+ * Read a comma-separated list from the environment
+ * @param {string} value - Raw environment value
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+const parseList = (value) =>
+  (value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+/**
+ * Read an integer from the environment, allowing 0
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Value used when unset or invalid
+ * @returns {number} Parsed integer
+ */
+const parseInteger = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+/**
+ * Security settings read from the environment
+ * Every value has a safe default so the server can start without extra configuration
+ */
+const securityConfig = {
+  // Access tokens are short-lived; clients renew them with a refresh token
+  accessTokenExpiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+  // Refresh tokens (and their server-side sessions) live for this many days
+  refreshTokenExpiresDays: parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30,
+
+  // Two-factor authentication
+  mfa: {
+    // Roles that must enrol in TOTP before reaching patient data (e.g. "admin,doctor")
+    requiredRoles: parseList(process.env.MFA_REQUIRED_ROLES),
+    // Issuer name shown in authenticator apps
+    issuer: process.env.MFA_ISSUER || 'MyoZen',
+    // Lifetime of the challenge token returned by the first login step
+    challengeExpiresIn: process.env.MFA_CHALLENGE_EXPIRES_IN || '5m',
+    // Number of recovery codes issued on enrolment
+    recoveryCodeCount: 10
+  },
+
+  // Password rules applied when a password is set (invitation, change and reset)
+  passwordPolicy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 10,
+    // Character classes every password must contain: lower, upper, number, symbol
+    requiredCharacterClasses: parseList(process.env.PASSWORD_REQUIRED_CLASSES || 'lower,upper,number'),
+    // Number of recent passwords (including the current one) that cannot be reused; 0 disables
+    historyCount: parseInteger(process.env.PASSWORD_HISTORY_COUNT, 5),
+    // Days after which a password must be changed at next login; 0 disables
+    maxAgeDays: parseInteger(process.env.PASSWORD_MAX_AGE_DAYS, 0)
+  },
+
+  // Failed login handling
+  lockout: {
+    // Failed attempts before the account is locked
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+    // Failed attempts before each further attempt is delayed (1s, 2s, 4s, ...)
+    delayAfterAttempts: parseInt(process.env.LOGIN_DELAY_AFTER_ATTEMPTS) || 3,
+    maxDelaySeconds: 30,
+    // How long a locked account stays locked
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15
+  },
+
+  // Per-IP limit for login, password reset and two-factor endpoints
+  authRateLimit: {
+    windowMinutes: 15,
+    max: parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 10
+  },
+
+  // Lifetime of single-use password reset links
+  passwordResetExpiresMinutes: parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60,
+
+  // Account invitations
+  invitationExpiresDays: parseInt(process.env.INVITATION_EXPIRES_DAYS) || 7,
+
+  // Break-the-glass access to patients outside the clinician's care teams
+  emergencyAccess: {
+    // How long a grant gives read access
+    durationMinutes: parseInt(process.env.EMERGENCY_ACCESS_MINUTES) || 60
+  },
+
+  // Real-time Socket.IO connections
+  socket: {
+    // Browser origins allowed to connect ("*" allows any)
+    corsOrigins: parseList(process.env.SOCKET_CORS_ORIGINS || process.env.APP_URL || 'http://localhost:3000'),
+    // How often open connections re-check their session and room access
+    sessionCheckSeconds: parseInt(process.env.SOCKET_SESSION_CHECK_SECONDS) || 60
+  }
+};
+
+module.exports = securityConfig;
@@ -0,0 +1,983 @@
+// admin.controller.js - Admin user management controller
+
+const User = require('../models/user.model');
+const SecurityEvent = require('../models/security-event.model');
+const PatientTransfer = require('../models/patient-transfer.model');
+const AuditLog = require('../models/audit-log.model');
+const EmergencyAccess = require('../models/emergency-access.model');
+const Device = require('../models/device.model');
+const { ApiKey, API_KEY_SCOPES } = require('../models/api-key.model');
+const { revokeUserSessions } = require('../services/session.service');
+const { sendSecurityNotification } = require('../services/mail.service');
+const { recordSecurityEvent } = require('../services/security.service');
+const { findTransferTarget, transferAllPatients } = require('../services/transfer.service');
+const { recordAudit, recordListAudit, toCsv } = require('../services/audit.service');
+const { setApiKeySecret } = require('../services/api-key.service');
+const { tenantFilter, isSystemAdmin } = require('../utils/access.utils');
+const { isCalendarDate } = require('../utils/date.utils');
+
+// Fields admins may sort the user list by
+const USER_SORT_FIELDS = ['firstName', 'lastName', 'email', 'role', 'createdAt', 'lastLogin'];
+
+// Maximum number of audit entries in a single export
+const AUDIT_EXPORT_MAX_ROWS = 10000;
+
+// Largest page size of the admin lists
+const ADMIN_PAGE_MAX = 100;
+
+/**
+ * Escape user input for use inside a regular expression
+ * @param {string} value - Raw input
+ * @returns {string} Escaped input
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Read the page and page size of a list request, clamped to 1..ADMIN_PAGE_MAX
+ * @param {Object} query - Request query (page and limit)
+ * @param {number} defaultLimit - Page size when none is given
+ * @returns {Object} page, limit and the number of entries to skip
+ */
+const readPagination = ({ page, limit }, defaultLimit) => {
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || defaultLimit, 1), ADMIN_PAGE_MAX);
+
+  return { page: pageNumber, limit: pageSize, skip: (pageNumber - 1) * pageSize };
+};
+
+/**
+ * Describe the page of a list response
+ * @param {Object} paging - Result of readPagination
+ * @param {number} total - Number of matching entries
+ * @returns {Object} page, limit and number of pages
+ */
+const pageInfo = ({ page, limit }, total) => ({ page, limit, pages: Math.ceil(total / limit) });
+
+/**
+ * Build a query filter for the records an admin manages.
+ * System admins manage every organisation (optionally narrowed with ?organization=);
+ * organisation admins only manage their own.
+ * @param {Object} req - Express request
+ * @returns {Object} Mongoose query filter
+ */
+const adminScope = (req) => {
+  if (isSystemAdmin(req.user)) {
+    return req.query.organization ? { organization: req.query.organization } : {};
+  }
+
+  return tenantFilter(req.user);
+};
+
+/**
+ * Check that a date filter is an ISO 8601 date or date-time
+ * @param {*} value - Query value
+ * @returns {boolean} True if the value is a real date
+ */
+const isDateFilter = (value) => (
+  typeof value === 'string' && isCalendarDate(value) && !Number.isNaN(new Date(value).getTime())
+);
+
+/**
+ * Build an audit log query from request filters
+ * @param {Object} req - Express request
+ * @returns {Object|null} Mongoose query filter, or null if from or to is not a date
+ */
+const buildAuditQuery = (req) => {
+  const { actor, apiKey, action, resourceType, resourceId, patient, emergencyAccess, from, to } = req.query;
+
+  const query = adminScope(req);
+  if (actor) query.actor = actor;
+  if (apiKey) query.apiKey = apiKey;
+  if (action) query.action = action;
+  if (resourceType) query.resourceType = resourceType;
+  if (resourceId) query.resourceId = resourceId;
+  if (patient) query.patient = patient;
+  // emergencyAccess=true lists everything done under break-the-glass access
+  if (emergencyAccess === 'true') query.emergencyAccess = { $ne: null };
+
+  if ((from && !isDateFilter(from)) || (to && !isDateFilter(to))) {
+    return null;
+  }
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+
+  return query;
+};
+
+/**
+ * Load a user by ID and stop admins from changing their own account
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} User document, or null if a response was sent
+ */
+const findManagedUser = async (req, res) => {
+  const user = await User.findOne({ _id: req.params.id, ...adminScope(req) });
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  if (user._id.toString() === req.user._id.toString()) {
+    res.status(400).json({
+      success: false,
+      message: 'Use your own profile settings to change your account'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * Get users with search, filters and pagination
+ * @route GET /api/admin/users
+ * @access Private (admin)
+ */
+exports.getUsers = async (req, res, next) => {
+  try {
+    const { search, role, isActive, sort = 'lastName' } = req.query;
+
+    // Repeated query parameters arrive as arrays
+    if (typeof sort !== 'string' || (search !== undefined && typeof search !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        message: 'search and sort can only be given once'
+      });
+    }
+
+    // Build query
+    const query = adminScope(req);
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [
+        { firstName: pattern },
+        { lastName: pattern },
+        { email: pattern }
+      ];
+    }
+
+    if (role) query.role = role;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    // Build sort - prefix a field with "-" for descending order
+    const sortField = sort.replace(/^-/, '');
+
+    if (!USER_SORT_FIELDS.includes(sortField)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot sort by ${sortField}. Allowed fields: ${USER_SORT_FIELDS.join(', ')}`
+      });
+    }
+
+    // Calculate pagination
+    const paging = readPagination(req.query, 20);
+
+    const users = await User.find(query)
+      .sort({ [sortField]: sort.startsWith('-') ? -1 : 1, _id: 1 })
+      .skip(paging.skip)
+      .limit(paging.limit);
+
+    // Get total count
+    const total = await User.countDocuments(query);
+
+    await recordListAudit(req, 'User', users);
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      total,
+      pagination: pageInfo(paging, total),
+      data: users
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Report users who have not logged in recently
+ * @route GET /api/admin/users/last-login-report
+ * @access Private (admin)
+ */
+exports.getLastLoginReport = async (req, res, next) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const scope = adminScope(req);
+
+    const [neverLoggedIn, inactiveSince, recentlyActive] = await Promise.all([
+      User.find({ ...scope, isActive: true, lastLogin: { $exists: false } })
+        .select('firstName lastName email role createdAt')
+        .sort({ createdAt: 1 }),
+      User.find({ ...scope, isActive: true, lastLogin: { $lt: cutoff } })
+        .select('firstName lastName email role lastLogin')
+        .sort({ lastLogin: 1 }),
+      User.countDocuments({ ...scope, isActive: true, lastLogin: { $gte: cutoff } })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        days,
+        cutoff,
+        recentlyActiveCount: recentlyActive,
+        neverLoggedIn,
+        inactiveSince
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single user by ID
+ * @route GET /api/admin/users/:id
+ * @access Private (admin)
+ */
+exports.getUser = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, ...adminScope(req) });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await recordAudit(req, { action: 'read', resourceType: 'User', resource: user });
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a user's role
+ * @route PATCH /api/admin/users/:id/role
+ * @access Private (admin)
+ */
+exports.updateUserRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a role'
+      });
+    }
+
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+
+    // Patient accounts are tied to a patient record and are created by invitation only
+    if (user.role === 'patient' || role === 'patient') {
+      return res.status(400).json({
+        success: false,
+        message: 'Patient accounts cannot change role'
+      });
+    }
+
+    user.role = role;
+    await user.save();
+    await recordAudit(req, { action: 'update', resourceType: 'User', resource: user, changedFields: ['role'] });
+
+    // Existing tokens carry the old role - make the user log in again
+    await revokeUserSessions(user._id, 'admin');
+
+    res.status(200).json({
+      success: true,
+      message: 'User role updated successfully',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Activate or deactivate a user
+ * @route PATCH /api/admin/users/:id/status
+ * @access Private (admin)
+ */
+exports.updateUserStatus = async (req, res, next) => {
+  try {
+    const { isActive } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide isActive as true or false'
+      });
+    }
+
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+
+    user.isActive = isActive;
+    await user.save();
+    await recordAudit(req, { action: 'update', resourceType: 'User', resource: user, changedFields: ['isActive'] });
+
+    if (!isActive) {
+      await revokeUserSessions(user._id, 'admin');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `User ${isActive ? 'reactivated' : 'deactivated'} successfully`,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Force a user to choose a new password at next login
+ * @route POST /api/admin/users/:id/force-password-reset
+ * @access Private (admin)
+ */
+exports.forcePasswordReset = async (req, res, next) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+
+    user.mustChangePassword = true;
+    await user.save();
+    await recordAudit(req, {
+      action: 'update',
+      resourceType: 'User',
+      resource: user,
+      changedFields: ['mustChangePassword']
+    });
+
+    // Log the user out everywhere
+    await revokeUserSessions(user._id, 'admin');
+    sendSecurityNotification(user, 'password_reset_required', req);
+
+    res.status(200).json({
+      success: true,
+      message: 'User must change their password at next login',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unlock an account locked by failed login attempts
+ * @route POST /api/admin/users/:id/unlock
+ * @access Private (admin)
+ */
+exports.unlockUser = async (req, res, next) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+
+    if (!user.isLoginBlocked() && !user.failedLoginAttempts) {
+      return res.status(400).json({
+        success: false,
+        message: 'User account is not locked'
+      });
+    }
+
+    const failedLoginAttempts = user.failedLoginAttempts;
+    user.resetLoginAttempts();
+    await user.save();
+    await recordAudit(req, {
+      action: 'update',
+      resourceType: 'User',
+      resource: user,
+      changedFields: ['failedLoginAttempts', 'lockUntil']
+    });
+
+    await recordSecurityEvent('account_unlocked', user, req, {
+      actor: req.user,
+      details: { failedLoginAttempts }
+    });
+    sendSecurityNotification(user, 'account_unlocked', req);
+
+    res.status(200).json({
+      success: true,
+      message: 'User account unlocked successfully',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get security events (lockouts, unlocks) with filters and pagination
+ * @route GET /api/admin/security-events
+ * @access Private (admin)
+ */
+exports.getSecurityEvents = async (req, res, next) => {
+  try {
+    const { user, type } = req.query;
+
+    // Build query
+    const query = adminScope(req);
+    if (user) query.user = user;
+    if (type) query.type = type;
+
+    // Calculate pagination
+    const paging = readPagination(req.query, 50);
+
+    const events = await SecurityEvent.find(query)
+      .populate('user', 'firstName lastName email')
+      .populate('actor', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(paging.skip)
+      .limit(paging.limit);
+
+    // Get total count
+    const total = await SecurityEvent.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      total,
+      pagination: pageInfo(paging, total),
+      data: events
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Transfer every patient a user owns to another clinician (e.g. when they leave)
+ * @route POST /api/admin/users/:id/transfer-patients
+ * @access Private (admin)
+ */
+exports.transferUserPatients = async (req, res, next) => {
+  try {
+    const { toUserId, includeDevices = true, includeSessions = false, reason } = req.body;
+
+    if (!toUserId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide toUserId'
+      });
+    }
+
+    const fromUser = await User.findOne({ _id: req.params.id, ...adminScope(req) });
+
+    if (!fromUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (fromUser._id.toString() === toUserId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Patients must be transferred to a different user'
+      });
+    }
+
+    const toUser = await findTransferTarget(toUserId, fromUser.organization);
+
+    if (!toUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'Patients can only be transferred to an active doctor in the same organization'
+      });
+    }
+
+    const { transfers, failed } = await transferAllPatients(fromUser, toUser, req.user, {
+      includeDevices: Boolean(includeDevices),
+      includeSessions: Boolean(includeSessions),
+      reason
+    });
+
+    res.status(failed.length > 0 ? 207 : 200).json({
+      success: failed.length === 0,
+      message: `Transferred ${transfers.length} patient(s) to ${toUser.firstName} ${toUser.lastName}` +
+        (failed.length > 0 ? `; ${failed.length} failed` : ''),
+      data: {
+        transfers,
+        failed
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get patient transfers with filters and pagination
+ * @route GET /api/admin/transfers
+ * @access Private (admin)
+ */
+exports.getTransfers = async (req, res, next) => {
+  try {
+    const { user, patient } = req.query;
+
+    // Build query
+    const query = adminScope(req);
+    if (user) query.$or = [{ fromUser: user }, { toUser: user }, { transferredBy: user }];
+    if (patient) query.patient = patient;
+
+    // Calculate pagination
+    const paging = readPagination(req.query, 50);
+
+    const transfers = await PatientTransfer.find(query)
+      .populate('fromUser toUser transferredBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(paging.skip)
+      .limit(paging.limit);
+
+    // Get total count
+    const total = await PatientTransfer.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: transfers.length,
+      total,
+      pagination: pageInfo(paging, total),
+      data: transfers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get audit log entries with filters and pagination
+ * @route GET /api/admin/audit-logs
+ * @access Private (admin)
+ */
+exports.getAuditLogs = async (req, res, next) => {
+  try {
+    const query = buildAuditQuery(req);
+
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be ISO 8601 dates (YYYY-MM-DD or a date-time)'
+      });
+    }
+
+    // Calculate pagination
+    const paging = readPagination(req.query, 50);
+
+    const entries = await AuditLog.find(query)
+      .populate('actor', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(paging.skip)
+      .limit(paging.limit);
+
+    // Get total count
+    const total = await AuditLog.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      pagination: pageInfo(paging, total),
+      data: entries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Export audit log entries as CSV or JSON, using the same filters as the list
+ * @route GET /api/admin/audit-logs/export
+ * @access Private (admin)
+ */
+exports.exportAuditLogs = async (req, res, next) => {
+  try {
+    const { format = 'csv' } = req.query;
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Export format must be csv or json'
+      });
+    }
+
+    const query = buildAuditQuery(req);
+
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be ISO 8601 dates (YYYY-MM-DD or a date-time)'
+      });
+    }
+
+    const entries = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .limit(AUDIT_EXPORT_MAX_ROWS)
+      .lean();
+
+    // Exports are themselves audited
+    await recordAudit(req, {
+      action: 'export',
+      resourceType: 'AuditLog',
+      details: { format, filters: req.query, count: entries.length }
+    });
+
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.attachment(filename);
+
+    if (format === 'json') {
+      return res.status(200).json(entries);
+    }
+
+    res.type('text/csv').status(200).send(toCsv(entries));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load an emergency access grant the admin manages
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Emergency access document, or null if a response was sent
+ */
+const findManagedGrant = async (req, res) => {
+  const grant = await EmergencyAccess.findOne({ _id: req.params.id, ...adminScope(req) });
+
+  if (!grant) {
+    res.status(404).json({
+      success: false,
+      message: 'Emergency access grant not found'
+    });
+    return null;
+  }
+
+  return grant;
+};
+
+/**
+ * Get emergency access grants with filters and pagination
+ * @route GET /api/admin/emergency-access
+ * @access Private (admin)
+ */
+exports.getEmergencyAccessGrants = async (req, res, next) => {
+  try {
+    const { user, patient, reviewed, active } = req.query;
+
+    // Build query
+    const query = adminScope(req);
+    if (user) query.user = user;
+    if (patient) query.patient = patient;
+    if (reviewed !== undefined) query.reviewedAt = reviewed === 'true' ? { $ne: null } : null;
+    if (active === 'true') {
+      query.revokedAt = null;
+      query.expiresAt = { $gt: new Date() };
+    }
+
+    // Calculate pagination
+    const paging = readPagination(req.query, 50);
+
+    const grants = await EmergencyAccess.find(query)
+      .populate('user revokedBy reviewedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(paging.skip)
+      .limit(paging.limit);
+
+    // Get total count
+    const total = await EmergencyAccess.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: grants.length,
+      total,
+      pagination: pageInfo(paging, total),
+      data: grants
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * End an emergency access grant before it expires
+ * @route POST /api/admin/emergency-access/:id/revoke
+ * @access Private (admin)
+ */
+exports.revokeEmergencyAccess = async (req, res, next) => {
+  try {
+    const grant = await findManagedGrant(req, res);
+    if (!grant) return;
+
+    if (!grant.isActive()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Emergency access grant is no longer active'
+      });
+    }
+
+    grant.revokedAt = new Date();
+    grant.revokedBy = req.user._id;
+    await grant.save();
+
+    await recordAudit(req, {
+      action: 'update',
+      resourceType: 'EmergencyAccess',
+      resource: grant,
+      patient: grant.patient,
+      changedFields: ['revokedAt', 'revokedBy']
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Emergency access revoked successfully',
+      data: grant
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark an emergency access grant as reviewed
+ * @route POST /api/admin/emergency-access/:id/review
+ * @access Private (admin)
+ */
+exports.reviewEmergencyAccess = async (req, res, next) => {
+  try {
+    const grant = await findManagedGrant(req, res);
+    if (!grant) return;
+
+    if (grant.reviewedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Emergency access grant has already been reviewed'
+      });
+    }
+
+    grant.reviewedAt = new Date();
+    grant.reviewedBy = req.user._id;
+    grant.reviewNotes = req.body.notes;
+    await grant.save();
+
+    await recordAudit(req, {
+      action: 'update',
+      resourceType: 'EmergencyAccess',
+      resource: grant,
+      patient: grant.patient,
+      changedFields: ['reviewedAt', 'reviewedBy', 'reviewNotes']
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Emergency access marked as reviewed',
+      data: grant
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load an API key the admin manages
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} API key document, or null if a response was sent
+ */
+const findManagedApiKey = async (req, res) => {
+  const apiKey = await ApiKey.findOne({ _id: req.params.id, ...adminScope(req) });
+
+  if (!apiKey) {
+    res.status(404).json({
+      success: false,
+      message: 'API key not found'
+    });
+    return null;
+  }
+
+  return apiKey;
+};
+
+/**
+ * Get device and gateway API keys
+ * @route GET /api/admin/api-keys
+ * @access Private (admin)
+ */
+exports.getApiKeys = async (req, res, next) => {
+  try {
+    const { type, device, active } = req.query;
+
+    // Build query
+    const query = adminScope(req);
+    if (type) query.type = type;
+    if (device) query.device = device;
+    if (active === 'true') {
+      query.revokedAt = null;
+      query.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+    }
+
+    const apiKeys = await ApiKey.find(query)
+      .populate('device', 'serialNumber name')
+      .populate('createdBy revokedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Issue an API key for a device, or for a gateway posting for any device in the organisation.
+ * The full key is only returned in this response.
+ * @route POST /api/admin/api-keys
+ * @access Private (admin)
+ */
+exports.createApiKey = async (req, res, next) => {
+  try {
+    const { name, type, deviceId, scopes, expiresInDays } = req.body;
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every((scope) => API_KEY_SCOPES.includes(scope))) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide scopes (${API_KEY_SCOPES.join(', ')})`
+      });
+    }
+
+    const apiKey = new ApiKey({
+      name,
+      type,
+      scopes,
+      createdBy: req.user._id,
+      organization: isSystemAdmin(req.user) ? req.body.organization : req.user.organization
+    });
+
+    if (type === 'device') {
+      const device = await Device.findOne({ _id: deviceId, ...adminScope(req) });
+
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not found'
+        });
+      }
+
+      apiKey.device = device._id;
+      apiKey.organization = device.organization;
+    }
+
+    if (expiresInDays) {
+      apiKey.expiresAt = new Date(Date.now() + parseInt(expiresInDays) * 24 * 60 * 60 * 1000);
+    }
+
+    const key = setApiKeySecret(apiKey);
+    await apiKey.save();
+
+    await recordAudit(req, { action: 'create', resourceType: 'ApiKey', resource: apiKey, details: { type, scopes } });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store it now - it will not be shown again.',
+      key,
+      data: apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace an API key's secret. The previous key stops working immediately.
+ * @route POST /api/admin/api-keys/:id/rotate
+ * @access Private (admin)
+ */
+exports.rotateApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await findManagedApiKey(req, res);
+    if (!apiKey) return;
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Revoked API keys cannot be rotated'
+      });
+    }
+
+    const key = setApiKeySecret(apiKey);
+    apiKey.rotatedAt = new Date();
+    await apiKey.save();
+
+    await recordAudit(req, {
+      action: 'update',
+      resourceType: 'ApiKey',
+      resource: apiKey,
+      changedFields: ['keyHash', 'rotatedAt']
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'API key rotated. Store the new key now - it will not be shown again.',
+      key,
+      data: apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke an API key
+ * @route DELETE /api/admin/api-keys/:id
+ * @access Private (admin)
+ */
+exports.revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await findManagedApiKey(req, res);
+    if (!apiKey) return;
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'API key has already been revoked'
+      });
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user._id;
+    await apiKey.save();
+
+    await recordAudit(req, {
+      action: 'update',
+      resourceType: 'ApiKey',
+      resource: apiKey,
+      changedFields: ['revokedAt', 'revokedBy']
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+};
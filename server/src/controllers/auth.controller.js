@@ -1,60 +1,159 @@
 // auth.controller.js - Authentication controller
 
 const User = require("../models/user.model");
-const jwt = require("jsonwebtoken");
+const Session = require("../models/session.model");
+const Invitation = require("../models/invitation.model");
+const Organization = require("../models/organization.model");
+const securityConfig = require("../config/security");
+const mailConfig = require("../config/mail");
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+} = require("../services/session.service");
+const {
+  sendTemplate,
+  sendSecurityNotification,
+} = require("../services/mail.service");
+const {
+  recordFailedLogin,
+  sendLoginBlocked,
+} = require("../services/security.service");
+const { recordAudit } = require("../services/audit.service");
+const { generateToken, hashToken } = require("../utils/token.utils");
+const { describePasswordPolicy } = require("../utils/password.utils");
 
 /**
- * Register a new user
- * @route POST /api/auth/register
+ * Accept an invitation and create the invited account
+ * @route POST /api/auth/accept-invite
  * @access Public
  */
-exports.register = async (req, res, next) => {
+exports.acceptInvitation = async (req, res, next) => {
   try {
     const {
+      token,
       firstName,
       lastName,
-      email,
       password,
-      role,
       specialization,
       licenseNumber,
       phoneNumber,
     } = req.body;
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide invitation token and password",
+      });
+    }
+
+    // Claim the invitation so it cannot be used twice
+    const invitation = await Invitation.findOneAndUpdate(
+      {
+        tokenHash: hashToken(token),
+        acceptedAt: { $exists: false },
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() },
+      },
+      { acceptedAt: new Date() },
+      { new: true }
+    );
 
-    if (existingUser) {
+    if (!invitation) {
       return res.status(400).json({
         success: false,
-        message: "User with this email already exists",
+        message: "Invalid or expired invitation",
       });
     }
 
-    // Create new user
-    const user = await User.create({
-      firstName,
-      lastName,
-      email,
-      password,
-      role: role || "doctor",
-      specialization,
-      licenseNumber,
-      phoneNumber,
+    let user;
+    try {
+      // Check if user already exists
+      const existingUser = await User.findOne({ email: invitation.email });
+
+      if (existingUser) {
+        await Invitation.updateOne(
+          { _id: invitation._id },
+          { $unset: { acceptedAt: 1 } }
+        );
+        return res.status(400).json({
+          success: false,
+          message: "User with this email already exists",
+        });
+      }
+
+      // The organisation may have been deactivated since the invitation was sent
+      if (invitation.organization) {
+        const organization = await Organization.findById(invitation.organization);
+
+        if (!organization || !organization.isActive) {
+          await Invitation.updateOne(
+            { _id: invitation._id },
+            { $unset: { acceptedAt: 1 } }
+          );
+          return res.status(400).json({
+            success: false,
+            message: "Invalid or expired invitation",
+          });
+        }
+      }
+
+      // Create the user with the email, role and organization fixed by the invitation.
+      // The token was delivered to this address, which proves the user owns it.
+      user = new User({
+        firstName,
+        lastName,
+        email: invitation.email,
+        role: invitation.role,
+        organization: invitation.organization,
+        patient: invitation.patient,
+        // Clinical details only apply to staff accounts
+        specialization: invitation.role === "patient" ? undefined : specialization,
+        licenseNumber: invitation.role === "patient" ? undefined : licenseNumber,
+        phoneNumber,
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+      });
+      await user.setPassword(password);
+      await user.save();
+    } catch (error) {
+      // Release the invitation so the invitee can fix the form and retry
+      await Invitation.updateOne(
+        { _id: invitation._id },
+        { $unset: { acceptedAt: 1 } }
+      );
+      throw error;
+    }
+
+    invitation.acceptedUser = user._id;
+    await invitation.save();
+
+    await recordAudit(req, {
+      action: "create",
+      resourceType: "User",
+      resource: user,
+      actor: user,
+      details: { invitation: invitation._id },
     });
 
-    // Generate token
-    const token = user.generateAuthToken();
+    // Start a session and generate tokens
+    const { accessToken, refreshToken, expiresIn } = await createSession(
+      user,
+      req
+    );
 
     // Remove password from response
     user.password = undefined;
 
     res.status(201).json({
       success: true,
-      message: "User registered successfully",
+      message: "Account created successfully",
       data: {
         user,
-        token,
+        token: accessToken,
+        refreshToken,
+        expiresIn,
       },
     });
   } catch (error) {
@@ -99,22 +198,57 @@ exports.login = async (req, res, next) => {
       });
     }
 
+    // Refuse attempts while a progressive delay or lockout is running
+    if (user.isLoginBlocked()) {
+      return sendLoginBlocked(user, res);
+    }
+
     // Check if password matches
     const isMatch = await user.isPasswordMatch(password);
 
     if (!isMatch) {
+      await recordFailedLogin(user, req);
       return res.status(401).json({
         success: false,
         message: "Invalid credentials",
       });
     }
 
+    // Members of a deactivated organisation cannot log in
+    if (user.organization) {
+      const organization = await Organization.findById(user.organization);
+
+      if (!organization || !organization.isActive) {
+        return res.status(403).json({
+          success: false,
+          message:
+            "Your organization has been deactivated. Please contact an administrator.",
+        });
+      }
+    }
+
+    // Ask for the second factor before issuing any session
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: "Two-factor authentication required",
+        data: {
+          mfaRequired: true,
+          mfaToken: user.generateMfaChallengeToken(),
+        },
+      });
+    }
+
     // Update last login
     user.lastLogin = Date.now();
+    user.resetLoginAttempts();
     await user.save();
 
-    // Generate token
-    const token = user.generateAuthToken();
+    // Start a session and generate tokens
+    const { accessToken, refreshToken, expiresIn } = await createSession(
+      user,
+      req
+    );
 
     // Remove password from response
     user.password = undefined;
@@ -124,7 +258,11 @@ exports.login = async (req, res, next) => {
       message: "Login successful",
       data: {
         user,
-        token,
+        token: accessToken,
+        refreshToken,
+        expiresIn,
+        mfaEnrollmentRequired: user.isTwoFactorRequired(),
+        passwordChangeRequired: user.isPasswordChangeRequired(),
       },
     });
   } catch (error) {
@@ -132,6 +270,134 @@ exports.login = async (req, res, next) => {
   }
 };
 
+/**
+ * Exchange a refresh token for a new access token
+ * @route POST /api/auth/refresh
+ * @access Public
+ */
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a refresh token",
+      });
+    }
+
+    // Rotate the refresh token (revokes the session if an old token is replayed)
+    const rotated = await rotateRefreshToken(refreshToken, req);
+
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token",
+      });
+    }
+
+    const user = await User.findById(rotated.session.user);
+
+    if (!user || !user.isActive) {
+      await revokeSession(rotated.session, "revoked");
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token: user.generateAuthToken(rotated.session._id),
+        refreshToken: rotated.refreshToken,
+        expiresIn: securityConfig.accessTokenExpiresIn,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Logout - revoke the current session
+ * @route POST /api/auth/logout
+ * @access Private
+ */
+exports.logout = async (req, res, next) => {
+  try {
+    await revokeSession(req.authSession, "logout");
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List active sessions of the current user
+ * @route GET /api/auth/sessions
+ * @access Private
+ */
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.authSession._id.toString(),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions
+ * @route DELETE /api/auth/sessions/:id
+ * @access Private
+ */
+exports.revokeUserSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    await revokeSession(session, "revoked");
+
+    res.status(200).json({
+      success: true,
+      message: "Session revoked successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get current user profile
  * @route GET /api/auth/me
@@ -178,6 +444,13 @@ exports.updateProfile = async (req, res, next) => {
       runValidators: true,
     });
 
+    await recordAudit(req, {
+      action: "update",
+      resourceType: "User",
+      resource: user,
+      changedFields: Object.keys(fieldsToUpdate),
+    });
+
     res.status(200).json({
       success: true,
       message: "Profile updated successfully",
@@ -205,8 +478,10 @@ exports.changePassword = async (req, res, next) => {
       });
     }
 
-    // Get user with password
-    const user = await User.findById(req.user._id).select("+password");
+    // Get user with password and password history
+    const user = await User.findById(req.user._id).select(
+      "+password +passwordHistory"
+    );
 
     // Check if current password is correct
     const isMatch = await user.isPasswordMatch(currentPassword);
@@ -218,13 +493,33 @@ exports.changePassword = async (req, res, next) => {
       });
     }
 
-    // Update password
-    user.password = newPassword;
+    // Update password - rejected if it breaks the password policy
+    await user.setPassword(newPassword);
     await user.save();
 
+    await recordAudit(req, {
+      action: "update",
+      resourceType: "User",
+      resource: user,
+      changedFields: ["password"],
+    });
+
+    // End every existing session and start a fresh one for this client
+    await revokeUserSessions(user._id, "password_changed");
+    sendSecurityNotification(user, "password_changed", req);
+    const { accessToken, refreshToken, expiresIn } = await createSession(
+      user,
+      req
+    );
+
     res.status(200).json({
       success: true,
       message: "Password changed successfully",
+      data: {
+        token: accessToken,
+        refreshToken,
+        expiresIn,
+      },
     });
   } catch (error) {
     next(error);
@@ -259,24 +554,29 @@ exports.forgotPassword = async (req, res, next) => {
       });
     }
 
-    // Generate a reset token (valid for 1 hour)
-    const resetToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "1h",
-    });
-
-    // In a real application, you would send an email with the reset link
-    // For this example, we'll just return the token in the response
+    // Generate a single-use reset token and store only its hash
+    const resetToken = generateToken();
+    user.passwordResetTokenHash = hashToken(resetToken);
+    user.passwordResetExpires = new Date(
+      Date.now() + securityConfig.passwordResetExpiresMinutes * 60 * 1000
+    );
+    await user.save();
 
-    // Log the token for testing purposes
-    console.log(`Reset token for ${email}: ${resetToken}`);
+    try {
+      await sendTemplate("passwordReset", user.email, {
+        user,
+        resetUrl: `${mailConfig.appUrl}/reset-password?token=${resetToken}`,
+        expiresMinutes: securityConfig.passwordResetExpiresMinutes,
+      });
+    } catch (error) {
+      // Keep the response identical so delivery problems do not reveal accounts
+      console.error(`❌ Failed to send password reset email: ${error.message}`);
+    }
 
     res.status(200).json({
       success: true,
       message:
         "If your email is registered, you will receive a password reset link",
-      // In a real application, you would NOT include the token in the response
-      // This is just for testing purposes
-      resetToken,
     });
   } catch (error) {
     next(error);
@@ -299,30 +599,51 @@ exports.resetPassword = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    let decoded;
-    try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
-    } catch (error) {
+    // Claim the token so it cannot be used twice
+    const tokenHash = hashToken(token);
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetTokenHash: tokenHash,
+        passwordResetExpires: { $gt: new Date() },
+      },
+      { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } }
+    ).select("+password +passwordHistory");
+
+    if (!user) {
       return res.status(400).json({
         success: false,
         message: "Invalid or expired reset token",
       });
     }
 
-    // Find user
-    const user = await User.findById(decoded.id);
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: "User not found",
-      });
+    try {
+      await user.setPassword(newPassword);
+      await user.save();
+    } catch (error) {
+      // Give the token back so a password that breaks the policy can be retried,
+      // unless a new reset has been requested in the meantime
+      await User.updateOne(
+        { _id: user._id, passwordResetTokenHash: { $exists: false } },
+        {
+          passwordResetTokenHash: tokenHash,
+          passwordResetExpires: user.passwordResetExpires,
+        }
+      );
+      throw error;
     }
 
-    // Update password
-    user.password = newPassword;
-    await user.save();
+    await recordAudit(req, {
+      action: "update",
+      resourceType: "User",
+      resource: user,
+      actor: user,
+      changedFields: ["password"],
+      details: { via: "reset_token" },
+    });
+
+    // Log out every device that was using the old password
+    await revokeUserSessions(user._id, "password_changed");
+    sendSecurityNotification(user, "password_reset", req);
 
     res.status(200).json({
       success: true,
@@ -332,3 +653,15 @@ exports.resetPassword = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Get the password rules so clients can show them before submitting
+ * @route GET /api/auth/password-policy
+ * @access Public
+ */
+exports.getPasswordPolicy = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: describePasswordPolicy(),
+  });
+};
@@ -0,0 +1,223 @@
+// care-team.controller.js - Care team management for patients and devices
+
+const User = require('../models/user.model');
+const { CARE_TEAM_ROLES } = require('../models/plugins/care-team.plugin');
+const { recordAudit } = require('../services/audit.service');
+const { tenantFilter, hasAccess } = require('../utils/access.utils');
+
+// User fields shown for care team members
+const MEMBER_FIELDS = 'firstName lastName email role specialization';
+
+/**
+ * Build care team handlers for a model that uses the care team plugin
+ * @param {Object} Model - Patient or Device model
+ * @param {string} label - Resource name used in messages (e.g. "Patient")
+ * @returns {Object} Express handlers
+ */
+const createCareTeamController = (Model, label) => {
+  const resourceName = label.toLowerCase();
+
+  /**
+   * Load the resource and check the user's permission
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {string} permission - Required permission
+   * @returns {Promise<Object|null>} Resource document, or null if a response was sent
+   */
+  const findResource = async (req, res, permission) => {
+    const resource = await Model.findOne({ _id: req.params.id, ...tenantFilter(req.user) });
+
+    if (!resource) {
+      res.status(404).json({
+        success: false,
+        message: `${label} not found`
+      });
+      return null;
+    }
+
+    if (!hasAccess(resource, req.user, permission)) {
+      res.status(403).json({
+        success: false,
+        message: `Not authorized to ${permission === 'read' ? 'view' : 'manage'} the care team of this ${resourceName}`
+      });
+      return null;
+    }
+
+    return resource;
+  };
+
+  /**
+   * Check whether a change would leave the care team without an owner
+   * @param {Object} resource - Resource document
+   * @param {string} userId - Member being changed
+   * @returns {boolean} True if the member is the only owner
+   */
+  const isLastOwner = (resource, userId) => {
+    const owners = resource.careTeam.filter((member) => member.role === 'owner');
+    return owners.length === 1 && owners[0].user.toString() === userId;
+  };
+
+  /**
+   * Record a care team change in the audit log
+   * @param {Object} req - Express request
+   * @param {Object} resource - Resource document
+   * @param {Object} details - What changed
+   * @returns {Promise<void>}
+   */
+  const auditCareTeamChange = (req, resource, details) => recordAudit(req, {
+    action: 'update',
+    resourceType: label,
+    resource,
+    patient: label === 'Patient' ? resource : resource.assignedPatient,
+    changedFields: ['careTeam'],
+    details
+  });
+
+  /**
+   * Send the care team with member details populated
+   * @param {Object} resource - Resource document
+   * @param {Object} res - Express response
+   * @param {number} statusCode - HTTP status
+   * @param {string} [message] - Response message
+   */
+  const sendCareTeam = async (resource, res, statusCode, message) => {
+    await resource.populate([
+      { path: 'careTeam.user', select: MEMBER_FIELDS },
+      { path: 'careTeam.addedBy', select: 'firstName lastName' }
+    ]);
+
+    res.status(statusCode).json({
+      success: true,
+      message,
+      count: resource.careTeam.length,
+      data: resource.careTeam
+    });
+  };
+
+  return {
+    /**
+     * Get the care team
+     * @route GET /api/{patients|devices}/:id/care-team
+     * @access Private (care team)
+     */
+    getCareTeam: async (req, res, next) => {
+      try {
+        const resource = await findResource(req, res, 'read');
+        if (!resource) return;
+
+        await sendCareTeam(resource, res, 200);
+      } catch (error) {
+        next(error);
+      }
+    },
+
+    /**
+     * Add a care team member, or change an existing member's role
+     * @route POST /api/{patients|devices}/:id/care-team
+     * @access Private (care team owner or organisation admin)
+     */
+    addCareTeamMember: async (req, res, next) => {
+      try {
+        const { userId, role } = req.body;
+
+        if (!userId || !CARE_TEAM_ROLES.includes(role)) {
+          return res.status(400).json({
+            success: false,
+            message: `Please provide userId and a role (${CARE_TEAM_ROLES.join(', ')})`
+          });
+        }
+
+        const resource = await findResource(req, res, 'manage');
+        if (!resource) return;
+
+        // Members must belong to the same organisation as the record
+        const user = await User.findOne({ _id: userId, organization: resource.organization || null });
+
+        if (!user || !user.isActive) {
+          return res.status(404).json({
+            success: false,
+            message: 'User not found'
+          });
+        }
+
+        if (user.role === 'patient') {
+          return res.status(400).json({
+            success: false,
+            message: 'Patient accounts cannot join a care team'
+          });
+        }
+
+        const existing = resource.careTeam.find((member) => member.user.toString() === user._id.toString());
+
+        if (existing) {
+          if (role !== 'owner' && isLastOwner(resource, existing.user.toString())) {
+            return res.status(400).json({
+              success: false,
+              message: `A ${resourceName} must keep at least one owner`
+            });
+          }
+
+          existing.role = role;
+        } else {
+          resource.careTeam.push({
+            user: user._id,
+            role,
+            addedBy: req.user._id
+          });
+        }
+
+        await resource.save();
+        await auditCareTeamChange(req, resource, { member: user._id, role });
+
+        await sendCareTeam(
+          resource,
+          res,
+          existing ? 200 : 201,
+          existing ? 'Care team role updated successfully' : 'Care team member added successfully'
+        );
+      } catch (error) {
+        next(error);
+      }
+    },
+
+    /**
+     * Remove a care team member
+     * @route DELETE /api/{patients|devices}/:id/care-team/:userId
+     * @access Private (care team owner or organisation admin)
+     */
+    removeCareTeamMember: async (req, res, next) => {
+      try {
+        const resource = await findResource(req, res, 'manage');
+        if (!resource) return;
+
+        const index = resource.careTeam.findIndex((member) => member.user.toString() === req.params.userId);
+
+        if (index === -1) {
+          return res.status(404).json({
+            success: false,
+            message: 'User is not on the care team'
+          });
+        }
+
+        if (isLastOwner(resource, req.params.userId)) {
+          return res.status(400).json({
+            success: false,
+            message: `A ${resourceName} must keep at least one owner`
+          });
+        }
+
+        resource.careTeam.splice(index, 1);
+        await resource.save();
+        await auditCareTeamChange(req, resource, { member: req.params.userId, removed: true });
+
+        await sendCareTeam(resource, res, 200, 'Care team member removed successfully');
+      } catch (error) {
+        next(error);
+      }
+    }
+  };
+};
+
+module.exports = {
+  createCareTeamController
+};
@@ -3,33 +3,80 @@
 const { EMGData, EMSData } = require('../models/data.model');
 const Device = require('../models/device.model');
 const Patient = require('../models/patient.model');
+const { recordAudit, recordListAudit, getChangedFields } = require('../services/audit.service');
+const { getReadAccess } = require('../services/emergency-access.service');
+const { publishDeviceStatus } = require('../services/stream.service');
+const { tenantFilter, hasAccess } = require('../utils/access.utils');
+
+/**
+ * Check if a user may read data recorded for a patient
+ * @param {Object} patient - Patient ID or populated patient
+ * @param {Object} user - Logged-in user
+ * @returns {Promise<Object|null>} Read access (see getReadAccess), or null if not allowed
+ */
+const getPatientDataAccess = async (patient, user) => {
+  const careTeamPatient = await Patient.findOne({ _id: patient._id || patient, ...tenantFilter(user) })
+    .select('careTeam organization');
+  return careTeamPatient ? getReadAccess(careTeamPatient, user) : null;
+};
+
+/**
+ * Load the device a request posts for and check the caller may write to it.
+ * Staff users need write access to the device; API keys must belong to the device
+ * or be a gateway key from the device's organisation. Archived devices cannot post data.
+ * @param {Object} req - Express request (req.user or req.apiKey)
+ * @param {Object} res - Express response
+ * @param {string} deviceId - Device ID from the request body
+ * @returns {Promise<Object|null>} Device document, or null if a response was sent
+ */
+const findWritableDevice = async (req, res, deviceId) => {
+  const device = await Device.findOne({
+    _id: deviceId,
+    ...tenantFilter(req.apiKey || req.user)
+  });
+  
+  if (!device || device.archivedAt || (req.apiKey && !device.isActive)) {
+    res.status(404).json({
+      success: false,
+      message: 'Device not found'
+    });
+    return null;
+  }
+  
+  const allowed = req.apiKey ? req.apiKey.appliesToDevice(device) : hasAccess(device, req.user, 'write');
+  
+  if (!allowed) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to post data for this device'
+    });
+    return null;
+  }
+  
+  return device;
+};
+
+/**
+ * Get the clinician data is attributed to. Uploads made with an API key
+ * have no user, so they are attributed to the device's owner.
+ * @param {Object} req - Express request
+ * @param {Object} device - Device document
+ * @returns {Object} User ID
+ */
+const recordedBy = (req, device) => (req.user ? req.user._id : device.getCareTeamOwner());
 
 /**
  * Post new EMG data
  * @route POST /api/data/emg
- * @access Private
+ * @access Private (staff user or API key with data:write)
  */
 exports.postEMGData = async (req, res, next) => {
   try {
     const { deviceId, sessionId, dataPoints, metadata } = req.body;
     
-    // Validate device
-    const device = await Device.findById(deviceId);
-    
-    if (!device) {
-      return res.status(404).json({
-        success: false,
-        message: 'Device not found'
-      });
-    }
-    
-    // Check if device belongs to the logged-in doctor
-    if (device.assignedDoctor.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to post data for this device'
-      });
-    }
+    // Validate device and check the caller may record data with it
+    const device = await findWritableDevice(req, res, deviceId);
+    if (!device) return;
     
     // Check if device has an assigned patient
     if (!device.assignedPatient) {
@@ -43,7 +90,8 @@ exports.postEMGData = async (req, res, next) => {
     const emgData = await EMGData.create({
       device: deviceId,
       patient: device.assignedPatient,
-      doctor: req.user._id,
+      doctor: recordedBy(req, device),
+      organization: device.organization,
       sessionId,
       dataPoints,
       metadata,
@@ -52,6 +100,8 @@ exports.postEMGData = async (req, res, next) => {
       }
     });
     
+    await recordAudit(req, { action: 'create', resourceType: 'EMGData', resource: emgData, patient: emgData.patient });
+    
     res.status(201).json({
       success: true,
       message: 'EMG data recorded successfully',
@@ -70,7 +120,7 @@ exports.postEMGData = async (req, res, next) => {
 /**
  * Post new EMS data
  * @route POST /api/data/ems
- * @access Private
+ * @access Private (staff user or API key with data:write)
  */
 exports.postEMSData = async (req, res, next) => {
   try {
@@ -83,23 +133,9 @@ exports.postEMSData = async (req, res, next) => {
       metadata 
     } = req.body;
     
-    // Validate device
-    const device = await Device.findById(deviceId);
-    
-    if (!device) {
-      return res.status(404).json({
-        success: false,
-        message: 'Device not found'
-      });
-    }
-    
-    // Check if device belongs to the logged-in doctor
-    if (device.assignedDoctor.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to post data for this device'
-      });
-    }
+    // Validate device and check the caller may record data with it
+    const device = await findWritableDevice(req, res, deviceId);
+    if (!device) return;
     
     // Check if device has an assigned patient
     if (!device.assignedPatient) {
@@ -113,7 +149,8 @@ exports.postEMSData = async (req, res, next) => {
     const emsData = await EMSData.create({
       device: deviceId,
       patient: device.assignedPatient,
-      doctor: req.user._id,
+      doctor: recordedBy(req, device),
+      organization: device.organization,
       sessionId,
       stimulationParameters,
       stimulationPattern,
@@ -124,6 +161,8 @@ exports.postEMSData = async (req, res, next) => {
       }
     });
     
+    await recordAudit(req, { action: 'create', resourceType: 'EMSData', resource: emsData, patient: emsData.patient });
+    
     res.status(201).json({
       success: true,
       message: 'EMS data recorded successfully',
@@ -138,6 +177,43 @@ exports.postEMSData = async (req, res, next) => {
   }
 };
 
+/**
+ * Report a device's battery level and firmware version
+ * @route POST /api/data/status
+ * @access Private (staff user or API key with status:write)
+ */
+exports.postDeviceStatus = async (req, res, next) => {
+  try {
+    const { deviceId, batteryLevel, firmwareVersion } = req.body;
+    
+    const device = await findWritableDevice(req, res, deviceId);
+    if (!device) return;
+    
+    if (batteryLevel !== undefined) device.batteryLevel = batteryLevel;
+    if (firmwareVersion) device.firmwareVersion = firmwareVersion;
+    device.lastConnected = new Date();
+    
+    const changedFields = getChangedFields(device);
+    await device.save();
+    
+    publishDeviceStatus(device, { batteryLevel: device.batteryLevel, firmwareVersion: device.firmwareVersion });
+    await recordAudit(req, { action: 'update', resourceType: 'Device', resource: device, changedFields });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Device status updated successfully',
+      data: {
+        id: device._id,
+        batteryLevel: device.batteryLevel,
+        firmwareVersion: device.firmwareVersion,
+        lastConnected: device.lastConnected
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get EMG data for a patient
  * @route GET /api/data/emg/patient/:patientId
@@ -149,7 +225,8 @@ exports.getPatientEMGData = async (req, res, next) => {
     const { limit = 10, page = 1, startDate, endDate } = req.query;
     
     // Validate patient
-    const patient = await Patient.findById(patientId);
+    const patient = await Patient.findOne({ _id: patientId, ...tenantFilter(req.user) })
+      .select('careTeam organization');
     
     if (!patient) {
       return res.status(404).json({
@@ -158,16 +235,18 @@ exports.getPatientEMGData = async (req, res, next) => {
       });
     }
     
-    // Check if patient belongs to the logged-in doctor
-    if (patient.assignedDoctor.toString() !== req.user._id.toString()) {
+    // Check if the logged-in user may see the patient, possibly through emergency access
+    const access = await getReadAccess(patient, req.user);
+    
+    if (!access) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access data for this patient'
       });
     }
     
-    // Build query
-    const query = { patient: patientId, doctor: req.user._id };
+    // Build query - every session for the patient, whoever recorded it
+    const query = { patient: patientId, ...tenantFilter(req.user) };
     
     // Add date filters if provided
     if (startDate || endDate) {
@@ -181,7 +260,7 @@ exports.getPatientEMGData = async (req, res, next) => {
     
     // Get data
     const emgData = await EMGData.find(query)
-      .select('-dataPoints') // Exclude large data arrays
+      .select('-dataPoints') // Exclude large data arrays (encrypted sessions are still decrypted whole)
       .populate('device', 'name type serialNumber')
       .sort({ startTime: -1 })
       .skip(skip)
@@ -190,6 +269,8 @@ exports.getPatientEMGData = async (req, res, next) => {
     // Get total count
     const total = await EMGData.countDocuments(query);
     
+    await recordListAudit(req, 'EMGData', emgData, (session) => session.patient, access.emergencyAccess);
+    
     res.status(200).json({
       success: true,
       count: emgData.length,
@@ -217,7 +298,8 @@ exports.getPatientEMSData = async (req, res, next) => {
     const { limit = 10, page = 1, startDate, endDate } = req.query;
     
     // Validate patient
-    const patient = await Patient.findById(patientId);
+    const patient = await Patient.findOne({ _id: patientId, ...tenantFilter(req.user) })
+      .select('careTeam organization');
     
     if (!patient) {
       return res.status(404).json({
@@ -226,16 +308,18 @@ exports.getPatientEMSData = async (req, res, next) => {
       });
     }
     
-    // Check if patient belongs to the logged-in doctor
-    if (patient.assignedDoctor.toString() !== req.user._id.toString()) {
+    // Check if the logged-in user may see the patient, possibly through emergency access
+    const access = await getReadAccess(patient, req.user);
+    
+    if (!access) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access data for this patient'
       });
     }
     
-    // Build query
-    const query = { patient: patientId, doctor: req.user._id };
+    // Build query - every session for the patient, whoever recorded it
+    const query = { patient: patientId, ...tenantFilter(req.user) };
     
     // Add date filters if provided
     if (startDate || endDate) {
@@ -249,7 +333,7 @@ exports.getPatientEMSData = async (req, res, next) => {
     
     // Get data
     const emsData = await EMSData.find(query)
-      .select('-responseData') // Exclude large data arrays
+      .select('-responseData') // Exclude large data arrays (encrypted sessions are still decrypted whole)
       .populate('device', 'name type serialNumber')
       .sort({ startTime: -1 })
       .skip(skip)
@@ -258,6 +342,8 @@ exports.getPatientEMSData = async (req, res, next) => {
     // Get total count
     const total = await EMSData.countDocuments(query);
     
+    await recordListAudit(req, 'EMSData', emsData, (session) => session.patient, access.emergencyAccess);
+    
     res.status(200).json({
       success: true,
       count: emsData.length,
@@ -281,7 +367,7 @@ exports.getPatientEMSData = async (req, res, next) => {
  */
 exports.getEMGSession = async (req, res, next) => {
   try {
-    const emgData = await EMGData.findById(req.params.id)
+    const emgData = await EMGData.findOne({ _id: req.params.id, ...tenantFilter(req.user) })
       .populate('device', 'name type serialNumber')
       .populate('patient', 'firstName lastName');
     
@@ -292,14 +378,27 @@ exports.getEMGSession = async (req, res, next) => {
       });
     }
     
-    // Check if data belongs to the logged-in doctor
-    if (emgData.doctor.toString() !== req.user._id.toString()) {
+    // Check if the logged-in user may see the patient
+    const access = await getPatientDataAccess(emgData.patient, req.user);
+    
+    if (!access) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this data'
       });
     }
     
+    // Samples appended to an encrypted session are stored in chunks of their own
+    await EMGData.loadChunkedData([emgData]);
+    
+    await recordAudit(req, {
+      action: 'read',
+      resourceType: 'EMGData',
+      resource: emgData,
+      patient: emgData.patient,
+      emergencyAccess: access.emergencyAccess
+    });
+    
     res.status(200).json({
       success: true,
       data: emgData
@@ -316,7 +415,7 @@ exports.getEMGSession = async (req, res, next) => {
  */
 exports.getEMSSession = async (req, res, next) => {
   try {
-    const emsData = await EMSData.findById(req.params.id)
+    const emsData = await EMSData.findOne({ _id: req.params.id, ...tenantFilter(req.user) })
       .populate('device', 'name type serialNumber')
       .populate('patient', 'firstName lastName');
     
@@ -327,14 +426,27 @@ exports.getEMSSession = async (req, res, next) => {
       });
     }
     
-    // Check if data belongs to the logged-in doctor
-    if (emsData.doctor.toString() !== req.user._id.toString()) {
+    // Check if the logged-in user may see the patient
+    const access = await getPatientDataAccess(emsData.patient, req.user);
+    
+    if (!access) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this data'
       });
     }
     
+    // Samples appended to an encrypted session are stored in chunks of their own
+    await EMSData.loadChunkedData([emsData]);
+    
+    await recordAudit(req, {
+      action: 'read',
+      resourceType: 'EMSData',
+      resource: emsData,
+      patient: emsData.patient,
+      emergencyAccess: access.emergencyAccess
+    });
+    
     res.status(200).json({
       success: true,
       data: emsData
@@ -2,17 +2,127 @@
 
 const Device = require('../models/device.model');
 const Patient = require('../models/patient.model');
+const { EMGData, EMSData } = require('../models/data.model');
+const { createCareTeamController } = require('./care-team.controller');
+const { recordAudit, recordListAudit, getChangedFields } = require('../services/audit.service');
+const { tenantFilter, hasAccess, accessFilter } = require('../utils/access.utils');
+const { blindIndex, normalizeHardwareId } = require('../utils/blind-index.utils');
+
+// Fields set through the register and update endpoints. The care team and archiving
+// have their own endpoints; the organisation and search index never come from the request.
+const DEVICE_WRITABLE_FIELDS = [
+  'serialNumber',
+  'name',
+  'type',
+  'macAddress',
+  'firmwareVersion',
+  'batteryLevel',
+  'lastConnected',
+  'settings',
+  'sharedWithOrganization',
+  'assignedPatient',
+  'connectionDetails',
+  'syncStatus'
+];
+
+/**
+ * Pick the device fields a request may set
+ * @param {Object} body - Request body
+ * @returns {Object} Writable device fields that were given
+ */
+const pickDeviceFields = (body) => Object.fromEntries(
+  DEVICE_WRITABLE_FIELDS
+    .filter((field) => body[field] !== undefined)
+    .map((field) => [field, body[field]])
+);
 
 /**
- * Get all devices for the logged-in doctor
+ * Check that the user may assign a device to a patient
+ * @param {string} patientId - Patient ID from the request
+ * @param {Object} user - Logged-in user
+ * @param {Object} res - Express response
+ * @returns {Promise<boolean>} True if allowed, false if a response was sent
+ */
+const canAssignPatient = async (patientId, user, res) => {
+  const patient = await Patient.findOne({ _id: patientId, ...tenantFilter(user) })
+    .select('careTeam organization archivedAt');
+  
+  if (!patient) {
+    res.status(404).json({
+      success: false,
+      message: 'Patient not found'
+    });
+    return false;
+  }
+  
+  if (!hasAccess(patient, user, 'write')) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to assign devices to this patient'
+    });
+    return false;
+  }
+  
+  if (patient.archivedAt) {
+    res.status(409).json({
+      success: false,
+      message: 'Devices cannot be assigned to archived patients'
+    });
+    return false;
+  }
+  
+  return true;
+};
+
+/**
+ * Get all devices the logged-in user can access, including the organisation's shared devices.
+ * Archived devices are only listed with ?archived=true (or all).
  * @route GET /api/devices
  * @access Private
  */
 exports.getDevices = async (req, res, next) => {
   try {
-    const devices = await Device.find({ assignedDoctor: req.user._id })
+    const devices = await Device.find({ ...accessFilter(Device, req.user), ...Device.archivedFilter(req.query.archived) })
+      .populate('assignedPatient', 'firstName lastName');
+    
+    await recordListAudit(req, 'Device', devices, (device) => device.assignedPatient);
+    
+    res.status(200).json({
+      success: true,
+      count: devices.length,
+      data: devices
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Find devices by exact MAC address or Bluetooth ID through the search index
+ * @route GET /api/devices/lookup
+ * @access Private
+ */
+exports.lookupDevices = async (req, res, next) => {
+  try {
+    const macAddress = normalizeHardwareId(req.query.macAddress || '');
+    const bluetoothId = normalizeHardwareId(req.query.bluetoothId || '');
+    
+    if (!macAddress && !bluetoothId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a macAddress or bluetoothId to look up'
+      });
+    }
+    
+    const query = accessFilter(Device, req.user);
+    if (macAddress) query['searchIndex.macAddress'] = blindIndex('mac', macAddress);
+    if (bluetoothId) query['searchIndex.bluetoothId'] = blindIndex('bluetooth', bluetoothId);
+    
+    const devices = await Device.find(query)
       .populate('assignedPatient', 'firstName lastName');
     
+    await recordListAudit(req, 'Device', devices, (device) => device.assignedPatient);
+    
     res.status(200).json({
       success: true,
       count: devices.length,
@@ -30,7 +140,7 @@ exports.getDevices = async (req, res, next) => {
  */
 exports.getDevice = async (req, res, next) => {
   try {
-    const device = await Device.findById(req.params.id)
+    const device = await Device.findOne({ _id: req.params.id, ...tenantFilter(req.user) })
       .populate('assignedPatient', 'firstName lastName dateOfBirth gender');
     
     if (!device) {
@@ -40,14 +150,16 @@ exports.getDevice = async (req, res, next) => {
       });
     }
     
-    // Check if device belongs to the logged-in doctor
-    if (device.assignedDoctor.toString() !== req.user._id.toString()) {
+    // Check if the logged-in user may see the device
+    if (!hasAccess(device, req.user, 'read')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this device'
       });
     }
     
+    await recordAudit(req, { action: 'read', resourceType: 'Device', resource: device, patient: device.assignedPatient });
+    
     res.status(200).json({
       success: true,
       data: device
@@ -64,10 +176,22 @@ exports.getDevice = async (req, res, next) => {
  */
 exports.registerDevice = async (req, res, next) => {
   try {
-    // Add the logged-in doctor as the assigned doctor
-    req.body.assignedDoctor = req.user._id;
+    // Assigning a patient requires write access to the patient
+    if (req.body.assignedPatient && !(await canAssignPatient(req.body.assignedPatient, req.user, res))) {
+      return;
+    }
     
-    const device = await Device.create(req.body);
+    const device = await Device.create({
+      ...pickDeviceFields(req.body),
+      // The device belongs to the logged-in user's organisation
+      organization: req.user.organization,
+      // The logged-in user owns the new device's care team
+      careTeam: [{
+        user: req.user._id,
+        role: 'owner',
+        addedBy: req.user._id
+      }]
+    });
     
     // If a patient is assigned, update the patient's devices array
     if (device.assignedPatient) {
@@ -77,6 +201,8 @@ exports.registerDevice = async (req, res, next) => {
       );
     }
     
+    await recordAudit(req, { action: 'create', resourceType: 'Device', resource: device, patient: device.assignedPatient });
+    
     res.status(201).json({
       success: true,
       message: 'Device registered successfully',
@@ -94,7 +220,7 @@ exports.registerDevice = async (req, res, next) => {
  */
 exports.updateDevice = async (req, res, next) => {
   try {
-    let device = await Device.findById(req.params.id);
+    const device = await Device.findOne({ _id: req.params.id, ...tenantFilter(req.user) });
     
     if (!device) {
       return res.status(404).json({
@@ -103,24 +229,41 @@ exports.updateDevice = async (req, res, next) => {
       });
     }
     
-    // Check if device belongs to the logged-in doctor
-    if (device.assignedDoctor.toString() !== req.user._id.toString()) {
+    // Check if the logged-in user may edit the device
+    if (!hasAccess(device, req.user, 'write')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this device'
       });
     }
     
+    if (device.archivedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Archived devices cannot be changed. Restore the device first.'
+      });
+    }
+    
     // Check if patient assignment is changing
     const oldPatientId = device.assignedPatient ? device.assignedPatient.toString() : null;
-    const newPatientId = req.body.assignedPatient;
+    const newPatientId = 'assignedPatient' in req.body ? req.body.assignedPatient || null : oldPatientId;
+    
+    if (newPatientId && newPatientId !== oldPatientId && !(await canAssignPatient(newPatientId, req.user, res))) {
+      return;
+    }
+    
+    // Update device - saving the document keeps sensitive fields encrypted
+    device.set(pickDeviceFields(req.body));
+    const changedFields = getChangedFields(device);
+    await device.save();
     
-    // Update device
-    device = await Device.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    await recordAudit(req, {
+      action: 'update',
+      resourceType: 'Device',
+      resource: device,
+      patient: device.assignedPatient,
+      changedFields
+    });
     
     // Handle patient device associations if patient assignment changed
     if (oldPatientId !== newPatientId) {
@@ -152,44 +295,175 @@ exports.updateDevice = async (req, res, next) => {
 };
 
 /**
- * Delete a device
+ * Load a device the logged-in user manages (care team owner or organisation admin)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} action - What the user is doing, for the error message (e.g. "archive")
+ * @returns {Promise<Object|null>} Device document, or null if a response was sent
+ */
+const findManagedDevice = async (req, res, action) => {
+  const device = await Device.findOne({ _id: req.params.id, ...tenantFilter(req.user) });
+  
+  if (!device) {
+    res.status(404).json({
+      success: false,
+      message: 'Device not found'
+    });
+    return null;
+  }
+  
+  if (!hasAccess(device, req.user, 'manage')) {
+    res.status(403).json({
+      success: false,
+      message: `Not authorized to ${action} this device`
+    });
+    return null;
+  }
+  
+  return device;
+};
+
+/**
+ * Archive a device. It is released from its patient and stops recording data;
+ * sessions recorded with it stay with the patient.
  * @route DELETE /api/devices/:id
- * @access Private
+ * @access Private (care team owner)
  */
-exports.deleteDevice = async (req, res, next) => {
+exports.archiveDevice = async (req, res, next) => {
   try {
-    const device = await Device.findById(req.params.id);
+    const device = await findManagedDevice(req, res, 'archive');
+    if (!device) return;
     
-    if (!device) {
-      return res.status(404).json({
+    if (device.archivedAt) {
+      return res.status(400).json({
         success: false,
-        message: 'Device not found'
+        message: 'Device is already archived'
       });
     }
     
-    // Check if device belongs to the logged-in doctor
-    if (device.assignedDoctor.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to delete this device'
-      });
-    }
+    const patientId = device.assignedPatient;
     
     // Remove device from patient's devices array if assigned
-    if (device.assignedPatient) {
+    if (patientId) {
       await Patient.findByIdAndUpdate(
-        device.assignedPatient,
+        patientId,
         { $pull: { devices: device._id } }
       );
     }
     
+    device.archive(req.user);
+    device.assignedPatient = undefined;
+    await device.save();
+    
+    await recordAudit(req, {
+      action: 'update',
+      resourceType: 'Device',
+      resource: device,
+      patient: patientId,
+      changedFields: ['isActive', 'archivedAt', 'archivedBy', 'assignedPatient']
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Device archived successfully',
+      data: device
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore an archived device. It has to be assigned to a patient again.
+ * @route POST /api/devices/:id/restore
+ * @access Private (care team owner)
+ */
+exports.restoreDevice = async (req, res, next) => {
+  try {
+    const device = await findManagedDevice(req, res, 'restore');
+    if (!device) return;
+    
+    if (!device.archivedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Device is not archived'
+      });
+    }
+    
+    device.restore();
+    await device.save();
+    
+    await recordAudit(req, {
+      action: 'update',
+      resourceType: 'Device',
+      resource: device,
+      changedFields: ['isActive', 'archivedAt', 'archivedBy']
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Device restored successfully',
+      data: device
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Permanently delete an archived device once the retention period has passed.
+ * Sessions belong to patient records, so a device that recorded sessions can only be
+ * purged after those patients have been purged.
+ * @route DELETE /api/devices/:id/purge
+ * @access Private (admin)
+ */
+exports.purgeDevice = async (req, res, next) => {
+  try {
+    const device = await findManagedDevice(req, res, 'purge');
+    if (!device) return;
+    
+    if (!device.archivedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only archived devices can be purged. Archive the device first.'
+      });
+    }
+    
+    const retainedUntil = device.retainedUntil();
+    if (retainedUntil > new Date()) {
+      return res.status(409).json({
+        success: false,
+        message: `Device records must be kept until ${retainedUntil.toISOString()}`,
+        retainedUntil
+      });
+    }
+    
+    const sessions = await EMGData.countDocuments({ device: device._id }) +
+      await EMSData.countDocuments({ device: device._id });
+    
+    if (sessions > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `The device recorded ${sessions} session(s) that are part of patient records. Purge those patients first.`
+      });
+    }
+    
     await device.deleteOne();
     
+    await recordAudit(req, { action: 'delete', resourceType: 'Device', resource: device });
+    
     res.status(200).json({
       success: true,
-      message: 'Device deleted successfully'
+      message: 'Device purged successfully'
     });
   } catch (error) {
     next(error);
   }
 };
+
+// Care team management
+const careTeam = createCareTeamController(Device, 'Device');
+
+exports.getDeviceCareTeam = careTeam.getCareTeam;
+exports.addDeviceCareTeamMember = careTeam.addCareTeamMember;
+exports.removeDeviceCareTeamMember = careTeam.removeCareTeamMember;
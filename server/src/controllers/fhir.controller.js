@@ -0,0 +1,446 @@
+// fhir.controller.js - FHIR R4 interface for patients and EMG/EMS sessions
+
+const mongoose = require('mongoose');
+const Patient = require('../models/patient.model');
+const Device = require('../models/device.model');
+const { EMGData, EMSData } = require('../models/data.model');
+const fhirConfig = require('../config/fhir');
+const { recordAudit, recordListAudit } = require('../services/audit.service');
+const { getReadAccess } = require('../services/emergency-access.service');
+const { recordPatientVersion } = require('../services/patient-version.service');
+const {
+  outcomeIssue,
+  operationOutcome,
+  parsePatientResource,
+  toFhirPatient,
+  toFhirDevice,
+  toFhirObservation,
+  toFhirProcedure,
+  toSearchBundle
+} = require('../services/fhir.service');
+const { tenantFilter, accessFilter } = require('../utils/access.utils');
+const { MIN_PREFIX_LENGTH, blindIndex, searchWords, normalizePhoneNumber } = require('../utils/blind-index.utils');
+const { isCalendarDate } = require('../utils/date.utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Send a FHIR resource
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {Object} resource - FHIR resource
+ */
+const sendResource = (res, status, resource) => {
+  res.status(status).type('application/fhir+json').json(resource);
+};
+
+/**
+ * Send an OperationOutcome with a single issue
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} code - FHIR issue type
+ * @param {string} diagnostics - Human readable description
+ */
+const sendOutcome = (res, status, code, diagnostics) => {
+  sendResource(res, status, operationOutcome([outcomeIssue(code, null, diagnostics)]));
+};
+
+/**
+ * Get the base URL of the FHIR endpoint
+ * @param {Object} req - Express request
+ * @returns {string} e.g. https://example.com/api/fhir
+ */
+const fhirBaseUrl = (req) => `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+/**
+ * Read the page size and offset of a search
+ * @param {Object} req - Express request (_count and _offset)
+ * @returns {Object} count and offset
+ */
+const readPaging = (req) => ({
+  count: Math.min(Math.max(parseInt(req.query._count) || fhirConfig.defaultCount, 1), fhirConfig.maxCount),
+  offset: Math.max(parseInt(req.query._offset) || 0, 0)
+});
+
+/**
+ * Find a search parameter that should have one value but was given more than once
+ * (or with a nested value), which Express parses as an array or object
+ * @param {Object} query - Parsed query string
+ * @param {Array<string>} names - Parameters taking a single value
+ * @returns {string|undefined} Name of the first such parameter
+ */
+const repeatedParameter = (query, names) => names.find((name) => query[name] !== undefined && typeof query[name] !== 'string');
+
+/**
+ * Build the self and next links of a search page
+ * @param {Object} req - Express request
+ * @param {Object} paging - count and offset of the page
+ * @param {number} total - Number of matches
+ * @returns {Object} selfUrl and nextUrl (undefined on the last page)
+ */
+const pageLinks = (req, { count, offset }, total) => {
+  const url = new URL(`${req.protocol}://${req.get('host')}${req.originalUrl}`);
+  const selfUrl = url.toString();
+
+  if (offset + count >= total) return { selfUrl };
+
+  url.searchParams.set('_offset', offset + count);
+  return { selfUrl, nextUrl: url.toString() };
+};
+
+/**
+ * Build a startTime filter from FHIR date search values (e.g. date=ge2024-01-01&date=lt2024-02-01)
+ * @param {string|Array<string>} values - Date parameters with an optional eq, gt, ge, lt or le prefix
+ * @returns {Object|null} Mongoose range filter, or null if a value is invalid
+ */
+const dateFilter = (values) => {
+  const range = {};
+
+  for (const value of [].concat(values)) {
+    const match = /^(eq|gt|ge|lt|le)?(\d{4}-\d{2}-\d{2}(T.+)?)$/.exec(value);
+    const start = match ? new Date(match[2]) : null;
+    if (!start || Number.isNaN(start.getTime()) || !isCalendarDate(match[2])) return null;
+
+    // A date without a time covers the whole day
+    const wholeDay = !match[3];
+    const end = wholeDay ? new Date(start.getTime() + DAY_MS) : start;
+
+    switch (match[1] || 'eq') {
+      case 'gt':
+        if (wholeDay) range.$gte = end;
+        else range.$gt = start;
+        break;
+      case 'ge':
+        range.$gte = start;
+        break;
+      case 'lt':
+        range.$lt = start;
+        break;
+      case 'le':
+        if (wholeDay) range.$lt = end;
+        else range.$lte = start;
+        break;
+      default:
+        range.$gte = start;
+        if (wholeDay) range.$lt = end;
+        else range.$lte = start;
+    }
+  }
+
+  return range;
+};
+
+/**
+ * Load a patient and check the user may read it, possibly through emergency access
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} patientId - Patient ID
+ * @returns {Promise<Object|null>} { patient, access }, or null if a response was sent
+ */
+const findReadablePatient = async (req, res, patientId) => {
+  const patient = mongoose.isValidObjectId(patientId)
+    ? await Patient.findOne({ _id: patientId, ...tenantFilter(req.user) })
+    : null;
+
+  if (!patient) {
+    sendOutcome(res, 404, 'not-found', `Patient/${patientId} not found`);
+    return null;
+  }
+
+  const access = await getReadAccess(patient, req.user);
+
+  if (!access) {
+    sendOutcome(res, 403, 'forbidden', 'Not authorized to access this patient');
+    return null;
+  }
+
+  return { patient, access };
+};
+
+/**
+ * Search patients the logged-in user can access
+ * Supported parameters: name, family, given (prefix match on any name), birthdate, gender,
+ * email, phone, active, _id, _count and _offset
+ * @route GET /api/fhir/Patient
+ * @access Private
+ */
+exports.searchPatients = async (req, res, next) => {
+  try {
+    const { name, family, given, birthdate, gender, email, phone, active, _id: id } = req.query;
+    const paging = readPaging(req);
+
+    const repeated = repeatedParameter(req.query, ['name', 'family', 'given', 'gender', 'email', 'phone', 'active', '_id']);
+    if (repeated) return sendOutcome(res, 400, 'invalid', `${repeated} can only be given once`);
+
+    // Every parameter must match
+    const filters = [accessFilter(Patient, req.user)];
+
+    if (name || family || given) {
+      const words = [name, family, given].filter(Boolean).flatMap(searchWords);
+
+      if (words.length === 0) {
+        return sendOutcome(res, 400, 'invalid', `Name searches must be at least ${MIN_PREFIX_LENGTH} characters long`);
+      }
+
+      filters.push({ 'searchIndex.names': { $all: words.map((word) => blindIndex('name', word)) } });
+    }
+
+    if (birthdate) {
+      const range = dateFilter(birthdate);
+      if (!range) return sendOutcome(res, 400, 'invalid', 'birthdate must be a date (YYYY-MM-DD)');
+      filters.push({ dateOfBirth: range });
+    }
+
+    // An ID that is not one of ours matches nothing
+    if (id) filters.push({ _id: mongoose.isValidObjectId(id) ? id : null });
+    if (gender) filters.push({ gender: String(gender) });
+    if (active !== undefined) filters.push({ isActive: active === 'true' });
+    if (email) filters.push({ 'searchIndex.email': blindIndex('email', email) });
+    if (phone) filters.push({ 'searchIndex.phoneNumber': blindIndex('phone', normalizePhoneNumber(phone)) });
+
+    const patients = await Patient.find({ $and: filters })
+      .sort({ lastName: 1, _id: 1 })
+      .skip(paging.offset)
+      .limit(paging.count);
+
+    const total = await Patient.countDocuments({ $and: filters });
+
+    await recordListAudit(req, 'Patient', patients, (patient) => patient._id);
+
+    sendResource(res, 200, toSearchBundle(fhirBaseUrl(req), patients.map(toFhirPatient), {
+      ...pageLinks(req, paging, total),
+      total
+    }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Read a patient
+ * @route GET /api/fhir/Patient/:id
+ * @access Private
+ */
+exports.readPatient = async (req, res, next) => {
+  try {
+    const found = await findReadablePatient(req, res, req.params.id);
+    if (!found) return;
+
+    await recordAudit(req, {
+      action: 'read',
+      resourceType: 'Patient',
+      resource: found.patient,
+      patient: found.patient,
+      emergencyAccess: found.access.emergencyAccess
+    });
+
+    sendResource(res, 200, toFhirPatient(found.patient));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a patient from a FHIR Patient resource. The logged-in user owns the new patient's care team.
+ * @route POST /api/fhir/Patient
+ * @access Private
+ */
+exports.createPatient = async (req, res, next) => {
+  try {
+    const { issues, fields } = parsePatientResource(req.body);
+
+    if (issues.length > 0) {
+      return sendResource(res, 400, operationOutcome(issues));
+    }
+
+    const patient = await Patient.create({
+      ...fields,
+      organization: req.user.organization,
+      careTeam: [{
+        user: req.user._id,
+        role: 'owner',
+        addedBy: req.user._id
+      }]
+    });
+
+    await recordPatientVersion(req, patient, { action: 'create' });
+    await recordAudit(req, { action: 'create', resourceType: 'Patient', resource: patient, patient, details: { format: 'fhir' } });
+
+    res.location(`${fhirBaseUrl(req)}/Patient/${patient._id}`);
+    sendResource(res, 201, toFhirPatient(patient));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendResource(res, 400, operationOutcome(
+        Object.values(error.errors).map((fieldError) => outcomeIssue('invalid', null, fieldError.message))
+      ));
+    }
+    next(error);
+  }
+};
+
+/**
+ * Export everything about a patient as one Bundle: the patient, their devices, EMG
+ * sessions as Observations and EMS sessions as Procedures. start and end limit the
+ * sessions to a date range. Sessions are paged in start time order (_count, _offset);
+ * the patient and their devices come with every page.
+ * @route GET /api/fhir/Patient/:id/$everything
+ * @access Private
+ */
+exports.patientEverything = async (req, res, next) => {
+  try {
+    const found = await findReadablePatient(req, res, req.params.id);
+    if (!found) return;
+
+    const { patient, access } = found;
+    const query = { patient: patient._id, ...tenantFilter(req.user) };
+
+    const dates = [req.query.start && `ge${req.query.start}`, req.query.end && `le${req.query.end}`].filter(Boolean);
+    if (dates.length > 0) {
+      const range = dateFilter(dates);
+      if (!range) return sendOutcome(res, 400, 'invalid', 'start and end must be dates (YYYY-MM-DD)');
+      query.startTime = range;
+    }
+
+    // Only the sessions on this page are loaded with their signal data
+    const paging = readPaging(req);
+    const emgIndex = await EMGData.find(query).select('startTime device').lean();
+    const emsIndex = await EMSData.find(query).select('startTime device').lean();
+    const page = [...emgIndex, ...emsIndex]
+      .sort((a, b) => a.startTime - b.startTime)
+      .slice(paging.offset, paging.offset + paging.count);
+    const onPage = (index) => ({ _id: { $in: index.filter((session) => page.includes(session)).map((session) => session._id) } });
+
+    const emgSessions = await EMGData.loadChunkedData(await EMGData.find(onPage(emgIndex)).sort({ startTime: 1 }));
+    const emsSessions = await EMSData.loadChunkedData(await EMSData.find(onPage(emsIndex)).sort({ startTime: 1 }));
+    const sessionCount = emgIndex.length + emsIndex.length;
+
+    // Devices assigned to the patient and the ones their sessions were recorded with
+    const deviceIds = new Set([...patient.devices, ...emgIndex.map((session) => session.device), ...emsIndex.map((session) => session.device)]
+      .map((id) => id.toString()));
+    const devices = await Device.find({ _id: { $in: [...deviceIds] }, ...tenantFilter(req.user) });
+
+    const resources = [
+      toFhirPatient(patient),
+      ...devices.map(toFhirDevice),
+      ...emgSessions.map(toFhirObservation),
+      ...emsSessions.map(toFhirProcedure)
+    ];
+
+    await recordAudit(req, {
+      action: 'export',
+      resourceType: 'Patient',
+      resource: patient,
+      patient,
+      emergencyAccess: access.emergencyAccess,
+      details: { format: 'fhir', observations: emgSessions.length, procedures: emsSessions.length, offset: paging.offset }
+    });
+
+    sendResource(res, 200, toSearchBundle(fhirBaseUrl(req), resources, {
+      ...pageLinks(req, paging, sessionCount),
+      total: 1 + devices.length + sessionCount,
+      searchMode: (resource) => (resource.resourceType === 'Patient' ? 'match' : 'include')
+    }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Build search and read handlers for a session model exposed as a FHIR resource
+ * @param {Object} Model - EMGData or EMSData
+ * @param {string} resourceType - FHIR resource type (Observation or Procedure)
+ * @param {Function} toResource - Maps a session to the resource
+ * @returns {Object} Express handlers
+ */
+const createSessionController = (Model, resourceType, toResource) => {
+  /**
+   * Search a patient's sessions, newest first (patient or subject is required; date filters the start time)
+   */
+  const search = async (req, res, next) => {
+    try {
+      const repeated = repeatedParameter(req.query, ['patient', 'subject']);
+      if (repeated) return sendOutcome(res, 400, 'invalid', `${repeated} can only be given once`);
+
+      const patientId = (req.query.patient || req.query.subject || '').replace(/^Patient\//, '');
+      const paging = readPaging(req);
+
+      if (!patientId) {
+        return sendOutcome(res, 400, 'required', `${resourceType} searches need a patient (or subject) parameter`);
+      }
+
+      const found = await findReadablePatient(req, res, patientId);
+      if (!found) return;
+
+      const query = { patient: found.patient._id, ...tenantFilter(req.user) };
+
+      if (req.query.date) {
+        const range = dateFilter(req.query.date);
+        if (!range) return sendOutcome(res, 400, 'invalid', 'date must be a date or date-time with an optional eq, gt, ge, lt or le prefix');
+        query.startTime = range;
+      }
+
+      const sessions = await Model.loadChunkedData(await Model.find(query)
+        .sort({ startTime: -1 })
+        .skip(paging.offset)
+        .limit(paging.count));
+
+      const total = await Model.countDocuments(query);
+
+      await recordListAudit(req, Model.modelName, sessions, (session) => session.patient, found.access.emergencyAccess);
+
+      sendResource(res, 200, toSearchBundle(fhirBaseUrl(req), sessions.map(toResource), {
+        ...pageLinks(req, paging, total),
+        total
+      }));
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Read a single session
+   */
+  const read = async (req, res, next) => {
+    try {
+      const session = mongoose.isValidObjectId(req.params.id)
+        ? await Model.findOne({ _id: req.params.id, ...tenantFilter(req.user) })
+        : null;
+
+      if (!session) {
+        return sendOutcome(res, 404, 'not-found', `${resourceType}/${req.params.id} not found`);
+      }
+
+      const patient = await Patient.findOne({ _id: session.patient, ...tenantFilter(req.user) })
+        .select('careTeam organization');
+      const access = patient ? await getReadAccess(patient, req.user) : null;
+
+      if (!access) {
+        return sendOutcome(res, 403, 'forbidden', 'Not authorized to access this patient');
+      }
+
+      await recordAudit(req, {
+        action: 'read',
+        resourceType: Model.modelName,
+        resource: session,
+        patient: session.patient,
+        emergencyAccess: access.emergencyAccess
+      });
+
+      await Model.loadChunkedData([session]);
+      sendResource(res, 200, toResource(session));
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  return { search, read };
+};
+
+// EMG sessions are summarised as Observations, EMS sessions as Procedures
+const observations = createSessionController(EMGData, 'Observation', toFhirObservation);
+const procedures = createSessionController(EMSData, 'Procedure', toFhirProcedure);
+
+exports.searchObservations = observations.search;
+exports.readObservation = observations.read;
+exports.searchProcedures = procedures.search;
+exports.readProcedure = procedures.read;
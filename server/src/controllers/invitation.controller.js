@@ -0,0 +1,213 @@
+// invitation.controller.js - Admin invitation controller
+
+const Invitation = require('../models/invitation.model');
+const User = require('../models/user.model');
+const Organization = require('../models/organization.model');
+const Patient = require('../models/patient.model');
+const securityConfig = require('../config/security');
+const mailConfig = require('../config/mail');
+const { sendTemplate } = require('../services/mail.service');
+const { generateToken, hashToken } = require('../utils/token.utils');
+const { tenantFilter, isSystemAdmin } = require('../utils/access.utils');
+
+/**
+ * Build a query filter for the invitations an admin manages
+ * @param {Object} user - Logged-in admin
+ * @returns {Object} Mongoose query filter
+ */
+const invitationScope = (user) => (isSystemAdmin(user) ? {} : tenantFilter(user));
+
+/**
+ * Invite a new user
+ * @route POST /api/admin/invitations
+ * @access Private (admin)
+ */
+exports.createInvitation = async (req, res, next) => {
+  try {
+    const { email, role, organization: organizationId, patient: patientId } = req.body;
+
+    if (typeof email !== 'string' || !email || !role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide email and role'
+      });
+    }
+
+    // Check if user already exists
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    // Organisation admins invite into their own organisation; system admins may choose one
+    let organization = req.user.organization;
+
+    if (isSystemAdmin(req.user)) {
+      organization = undefined;
+
+      if (organizationId) {
+        const target = await Organization.findById(organizationId);
+
+        if (!target || !target.isActive) {
+          return res.status(400).json({
+            success: false,
+            message: 'Organization not found or inactive'
+          });
+        }
+
+        organization = target._id;
+      }
+    }
+
+    // Patient accounts are linked to one patient record in the same organisation
+    let patient;
+
+    if (role === 'patient') {
+      patient = patientId
+        ? await Patient.findOne({ _id: patientId, organization: organization || null }).select('_id')
+        : null;
+
+      if (!patient) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide the patient record the account is for'
+        });
+      }
+
+      if (await User.exists({ patient: patient._id })) {
+        return res.status(400).json({
+          success: false,
+          message: 'This patient already has an account'
+        });
+      }
+    }
+
+    // Only one invitation per email can be pending - replace older ones
+    await Invitation.updateMany(
+      {
+        email: email.toLowerCase(),
+        acceptedAt: { $exists: false },
+        revokedAt: { $exists: false },
+        ...invitationScope(req.user)
+      },
+      { revokedAt: new Date(), revokedBy: req.user._id }
+    );
+
+    const token = generateToken();
+
+    const invitation = await Invitation.create({
+      email,
+      role,
+      organization,
+      patient: patient ? patient._id : undefined,
+      tokenHash: hashToken(token),
+      invitedBy: req.user._id,
+      expiresAt: new Date(
+        Date.now() + securityConfig.invitationExpiresDays * 24 * 60 * 60 * 1000
+      )
+    });
+
+    try {
+      await sendTemplate('invitation', invitation.email, {
+        invitation,
+        inviter: req.user,
+        acceptUrl: `${mailConfig.appUrl}/accept-invite?token=${token}`
+      });
+    } catch (error) {
+      // Nobody can use an invitation that never arrived
+      await invitation.deleteOne();
+      throw error;
+    }
+
+    invitation.tokenHash = undefined;
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${invitation.email}`,
+      data: invitation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get invitations (pending by default)
+ * @route GET /api/admin/invitations
+ * @access Private (admin)
+ */
+exports.getInvitations = async (req, res, next) => {
+  try {
+    const { status = 'pending' } = req.query;
+    const now = new Date();
+
+    // Build query
+    const queries = {
+      pending: { acceptedAt: { $exists: false }, revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+      accepted: { acceptedAt: { $exists: true } },
+      revoked: { revokedAt: { $exists: true } },
+      expired: { acceptedAt: { $exists: false }, revokedAt: { $exists: false }, expiresAt: { $lte: now } },
+      all: {}
+    };
+
+    if (!queries[status]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Allowed values: ${Object.keys(queries).join(', ')}`
+      });
+    }
+
+    const invitations = await Invitation.find({ ...queries[status], ...invitationScope(req.user) })
+      .populate('invitedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      data: invitations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a pending invitation
+ * @route DELETE /api/admin/invitations/:id
+ * @access Private (admin)
+ */
+exports.revokeInvitation = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findOne({ _id: req.params.id, ...invitationScope(req.user) });
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (!invitation.isPending()) {
+      return res.status(400).json({
+        success: false,
+        message: `Invitation is already ${invitation.status}`
+      });
+    }
+
+    invitation.revokedAt = new Date();
+    invitation.revokedBy = req.user._id;
+    await invitation.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked successfully',
+      data: invitation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,150 @@
+// organization.controller.js - Organisation (clinic) management controller
+
+const Organization = require('../models/organization.model');
+const User = require('../models/user.model');
+const { revokeUserSessions } = require('../services/session.service');
+const { isSystemAdmin, organizationId } = require('../utils/access.utils');
+
+// Fields that can be set when creating or updating an organisation
+const ORGANIZATION_FIELDS = ['name', 'slug', 'contactEmail', 'phoneNumber'];
+
+/**
+ * Pick the editable organisation fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Organisation fields
+ */
+const pickOrganizationFields = (body) => {
+  return ORGANIZATION_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+};
+
+/**
+ * Get organisations
+ * @route GET /api/admin/organizations
+ * @access Private (system admin)
+ */
+exports.getOrganizations = async (req, res, next) => {
+  try {
+    const { isActive } = req.query;
+
+    // Build query
+    const query = {};
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const organizations = await Organization.find(query).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: organizations.length,
+      data: organizations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an organisation
+ * @route POST /api/admin/organizations
+ * @access Private (system admin)
+ */
+exports.createOrganization = async (req, res, next) => {
+  try {
+    const organization = await Organization.create({
+      ...pickOrganizationFields(req.body),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Organization created successfully',
+      data: organization
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an organisation with member counts
+ * @route GET /api/admin/organizations/:id
+ * @access Private (system admin, or an admin of the organisation)
+ */
+exports.getOrganization = async (req, res, next) => {
+  try {
+    // Organisation admins may only see their own organisation
+    if (!isSystemAdmin(req.user) && organizationId(req.user) !== req.params.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+
+    const organization = await Organization.findById(req.params.id);
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+
+    const members = await User.aggregate([
+      { $match: { organization: organization._id } },
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...organization.toObject(),
+        members: members.reduce((counts, { _id, count }) => ({ ...counts, [_id]: count }), {})
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update an organisation, or activate/deactivate it
+ * @route PATCH /api/admin/organizations/:id
+ * @access Private (system admin)
+ */
+exports.updateOrganization = async (req, res, next) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+
+    organization.set(pickOrganizationFields(req.body));
+
+    const deactivating = req.body.isActive === false && organization.isActive;
+    if (typeof req.body.isActive === 'boolean') {
+      organization.isActive = req.body.isActive;
+    }
+
+    await organization.save();
+
+    // Members of a deactivated organisation are logged out everywhere
+    if (deactivating) {
+      const members = await User.find({ organization: organization._id }).select('_id');
+      await Promise.all(members.map((member) => revokeUserSessions(member._id, 'admin')));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Organization updated successfully',
+      data: organization
+    });
+  } catch (error) {
+    next(error);
+  }
+};
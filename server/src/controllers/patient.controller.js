@@ -1,19 +1,294 @@
 // patient.controller.js - Patient controller
 
+const mongoose = require('mongoose');
 const Patient = require('../models/patient.model');
 const Device = require('../models/device.model');
+const User = require('../models/user.model');
+const PatientTransfer = require('../models/patient-transfer.model');
+const PatientMerge = require('../models/patient-merge.model');
+const AuditLog = require('../models/audit-log.model');
+const EmergencyAccess = require('../models/emergency-access.model');
+const { PatientVersion, PATIENT_VERSIONED_FIELDS } = require('../models/patient-version.model');
+const { EMGData, EMSData, SessionChunk } = require('../models/data.model');
+const { createCareTeamController } = require('./care-team.controller');
+const { findTransferTarget, transferPatient } = require('../services/transfer.service');
+const { recordAudit, recordListAudit, getChangedFields } = require('../services/audit.service');
+const { findActiveGrant, getReadAccess, grantEmergencyAccess } = require('../services/emergency-access.service');
+const { snapshotPatient, recordPatientVersion } = require('../services/patient-version.service');
+const {
+  readImportRows,
+  validateImportRows,
+  findImportDuplicates,
+  saveImportedPatients
+} = require('../services/patient-import.service');
+const { findDuplicateCandidates, findDuplicatePairs } = require('../services/patient-duplicate.service');
+const {
+  MERGE_FIELDS,
+  latestPatientVersion,
+  mergePatients,
+  undoPatientMerge
+} = require('../services/patient-merge.service');
+const { tenantFilter, hasAccess, accessFilter } = require('../utils/access.utils');
+const { MIN_PREFIX_LENGTH, blindIndex, searchWords, normalizePhoneNumber } = require('../utils/blind-index.utils');
+const { runInTransaction } = require('../utils/db.utils');
+
+// Fields patients can be sorted by; all of them are set on every patient
+const PATIENT_SORT_FIELDS = ['lastName', 'firstName', 'dateOfBirth', 'createdAt', 'updatedAt'];
+
+// Sort fields holding dates, which cursors store as ISO strings
+const PATIENT_DATE_FIELDS = ['dateOfBirth', 'createdAt', 'updatedAt'];
+
+// Largest page of patients returned at once
+const PATIENT_PAGE_MAX = 100;
+
+// Fields set through the register and update endpoints. The care team, archiving (and
+// with it isActive), merges and device assignment have their own endpoints; the
+// organisation, version counter and search index never come from the request.
+const PATIENT_WRITABLE_FIELDS = [
+  'firstName',
+  'lastName',
+  'dateOfBirth',
+  'gender',
+  'contactInformation',
+  'medicalInformation',
+  'treatmentPlan'
+];
+
+// How a bulk import commits: every patient or none, or the valid rows only
+const IMPORT_MODES = ['all', 'partial'];
+
+// What a bulk import does with rows that look like existing patients
+const IMPORT_DUPLICATE_ACTIONS = ['reject', 'skip', 'allow'];
+
+// Most pairs of likely duplicates returned at once
+const DUPLICATE_PAIRS_MAX = 200;
+
+/**
+ * Pick the patient fields a request may set
+ * @param {Object} body - Request body
+ * @returns {Object} Writable patient fields that were given
+ */
+const pickPatientFields = (body) => Object.fromEntries(
+  PATIENT_WRITABLE_FIELDS
+    .filter((field) => body[field] !== undefined)
+    .map((field) => [field, body[field]])
+);
+
+/**
+ * Pick the fields shown for a patient in duplicate lists
+ * @param {Object} patient - Patient document or plain object
+ * @returns {Object} ID, name and date of birth
+ */
+const toDuplicateSummary = (patient) => ({
+  _id: patient._id,
+  firstName: patient.firstName,
+  lastName: patient.lastName,
+  dateOfBirth: patient.dateOfBirth
+});
+
+/**
+ * Build a date range filter from optional query values
+ * @param {string} [from] - Earliest date (inclusive)
+ * @param {string} [to] - Latest date (inclusive)
+ * @returns {Object|null} Mongoose range filter, or null if neither is set
+ */
+const dateRange = (from, to) => {
+  if (!from && !to) return null;
+
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = new Date(to);
+  return range;
+};
+
+/**
+ * Encode the position after a patient in a sorted list
+ * @param {Object} patient - Last patient on the page
+ * @param {string} sortField - Field the list is sorted by
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (patient, sortField) => {
+  return Buffer.from(JSON.stringify([patient[sortField], patient._id])).toString('base64url');
+};
+
+/**
+ * Build the filter for patients after a cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} sortField - Field the list is sorted by
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @returns {Object|null} Mongoose query filter, or null if the cursor is invalid
+ */
+const cursorFilter = (cursor, sortField, direction) => {
+  let value;
+  let id;
+
+  try {
+    [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch (error) {
+    return null;
+  }
+
+  if (!mongoose.isValidObjectId(id)) return null;
+  if (PATIENT_DATE_FIELDS.includes(sortField)) value = new Date(value);
+
+  const operator = direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [sortField]: { [operator]: value } },
+      { [sortField]: value, _id: { [operator]: id } }
+    ]
+  };
+};
 
 /**
- * Get all patients for the logged-in doctor
+ * Search patients the logged-in user can access, with filters, sorting and cursor pagination.
+ * Names and condition tags are matched through the patient search index, never in plaintext.
  * @route GET /api/patients
  * @access Private
  */
 exports.getPatients = async (req, res, next) => {
   try {
-    const patients = await Patient.find({ assignedDoctor: req.user._id })
+    const {
+      search,
+      archived,
+      isActive,
+      device,
+      condition,
+      treatmentStartFrom,
+      treatmentStartTo,
+      treatmentEndFrom,
+      treatmentEndTo,
+      sort = 'lastName',
+      cursor
+    } = req.query;
+    
+    // Repeated query parameters arrive as arrays
+    const repeated = ['search', 'condition', 'sort', 'cursor'].find((name) => (
+      req.query[name] !== undefined && typeof req.query[name] !== 'string'
+    ));
+    
+    if (repeated) {
+      return res.status(400).json({
+        success: false,
+        message: `${repeated} can only be given once`
+      });
+    }
+    
+    const sortField = sort.replace(/^-/, '');
+    const direction = sort.startsWith('-') ? -1 : 1;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), PATIENT_PAGE_MAX);
+    
+    if (!PATIENT_SORT_FIELDS.includes(sortField)) {
+      return res.status(400).json({
+        success: false,
+        message: `Patients can be sorted by ${PATIENT_SORT_FIELDS.join(', ')}`
+      });
+    }
+    
+    // Build query; every filter must match. Archived patients are only listed on request.
+    const filters = [accessFilter(Patient, req.user), Patient.archivedFilter(archived)];
+    
+    if (search) {
+      const words = searchWords(search);
+      
+      if (words.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Search terms must be at least ${MIN_PREFIX_LENGTH} characters long`
+        });
+      }
+      
+      // Every word must start one of the patient's names
+      filters.push({ 'searchIndex.names': { $all: words.map((word) => blindIndex('name', word)) } });
+    }
+    
+    if (condition) {
+      const tags = condition.split(',').map((tag) => tag.trim()).filter(Boolean);
+      filters.push({ 'searchIndex.conditions': { $all: tags.map((tag) => blindIndex('condition', tag)) } });
+    }
+    
+    if (isActive !== undefined) filters.push({ isActive: isActive === 'true' });
+    if (device) filters.push({ devices: device });
+    
+    const startDate = dateRange(treatmentStartFrom, treatmentStartTo);
+    if (startDate) filters.push({ 'treatmentPlan.startDate': startDate });
+    
+    const endDate = dateRange(treatmentEndFrom, treatmentEndTo);
+    if (endDate) filters.push({ 'treatmentPlan.endDate': endDate });
+    
+    // The cursor only narrows the page; the total counts every match
+    const pageFilters = [...filters];
+    if (cursor) {
+      const after = cursorFilter(cursor, sortField, direction);
+      
+      if (!after) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
+      
+      pageFilters.push(after);
+    }
+    
+    // Fetch one extra patient to know whether there is another page
+    const patients = await Patient.find({ $and: pageFilters })
+      .select('-contactInformation.address -medicalInformation')
+      .populate('devices', 'name type serialNumber')
+      .sort({ [sortField]: direction, _id: direction })
+      .limit(limit + 1);
+    
+    const hasMore = patients.length > limit;
+    const page = patients.slice(0, limit);
+    
+    const total = await Patient.countDocuments({ $and: filters });
+    
+    await recordListAudit(req, 'Patient', page, (patient) => patient._id);
+    
+    res.status(200).json({
+      success: true,
+      count: page.length,
+      total,
+      pagination: {
+        limit,
+        sort,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortField) : null
+      },
+      data: page
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Find patients by exact email address or phone number through the search index
+ * @route GET /api/patients/lookup
+ * @access Private
+ */
+exports.lookupPatients = async (req, res, next) => {
+  try {
+    const { email, phoneNumber } = req.query;
+    const phoneDigits = phoneNumber ? normalizePhoneNumber(phoneNumber) : '';
+    
+    if (!email && !phoneDigits) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email or phoneNumber to look up'
+      });
+    }
+    
+    const query = accessFilter(Patient, req.user);
+    if (email) query['searchIndex.email'] = blindIndex('email', email);
+    if (phoneDigits) query['searchIndex.phoneNumber'] = blindIndex('phone', phoneDigits);
+    
+    const patients = await Patient.find(query)
       .select('-contactInformation.address -medicalInformation')
       .populate('devices', 'name type serialNumber');
     
+    await recordListAudit(req, 'Patient', patients, (patient) => patient._id);
+    
     res.status(200).json({
       success: true,
       count: patients.length,
@@ -31,7 +306,7 @@ exports.getPatients = async (req, res, next) => {
  */
 exports.getPatient = async (req, res, next) => {
   try {
-    const patient = await Patient.findById(req.params.id)
+    const patient = await Patient.findOne({ _id: req.params.id, ...tenantFilter(req.user) })
       .populate('devices', 'name type serialNumber batteryLevel lastConnected');
     
     if (!patient) {
@@ -41,16 +316,27 @@ exports.getPatient = async (req, res, next) => {
       });
     }
     
-    // Check if patient belongs to the logged-in doctor
-    if (patient.assignedDoctor.toString() !== req.user._id.toString()) {
+    // Check if the logged-in user may see the patient, possibly through emergency access
+    const access = await getReadAccess(patient, req.user);
+    
+    if (!access) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this patient'
       });
     }
     
+    await recordAudit(req, {
+      action: 'read',
+      resourceType: 'Patient',
+      resource: patient,
+      patient,
+      emergencyAccess: access.emergencyAccess
+    });
+    
     res.status(200).json({
       success: true,
+      emergencyAccess: access.emergencyAccess ? { expiresAt: access.emergencyAccess.expiresAt } : undefined,
       data: patient
     });
   } catch (error) {
@@ -65,10 +351,20 @@ exports.getPatient = async (req, res, next) => {
  */
 exports.registerPatient = async (req, res, next) => {
   try {
-    // Add the logged-in doctor as the assigned doctor
-    req.body.assignedDoctor = req.user._id;
+    const patient = await Patient.create({
+      ...pickPatientFields(req.body),
+      // The patient belongs to the logged-in user's organisation
+      organization: req.user.organization,
+      // The logged-in user owns the new patient's care team
+      careTeam: [{
+        user: req.user._id,
+        role: 'owner',
+        addedBy: req.user._id
+      }]
+    });
     
-    const patient = await Patient.create(req.body);
+    await recordPatientVersion(req, patient, { action: 'create' });
+    await recordAudit(req, { action: 'create', resourceType: 'Patient', resource: patient, patient });
     
     res.status(201).json({
       success: true,
@@ -80,6 +376,138 @@ exports.registerPatient = async (req, res, next) => {
   }
 };
 
+/**
+ * Register patients in bulk from CSV (a text/csv body, or csv in a JSON body) or a JSON
+ * patients array. Columns are matched to patient fields by name, or through mapping.
+ * Every row is checked against the Patient schema and the organisation's patients;
+ * with dryRun nothing is saved. mode "all" imports every patient or none, "partial"
+ * imports the valid rows and reports the others.
+ * @route POST /api/patients/import
+ * @access Private
+ */
+exports.importPatients = async (req, res, next) => {
+  try {
+    // CSV bodies carry the options in the query string
+    const options = typeof req.body === 'string' ? { ...req.query, csv: req.body } : req.body;
+    const { mode = 'all', duplicates = 'reject' } = options;
+    const dryRun = options.dryRun === true || options.dryRun === 'true';
+    
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `mode must be one of ${IMPORT_MODES.join(', ')}`
+      });
+    }
+    
+    if (!IMPORT_DUPLICATE_ACTIONS.includes(duplicates)) {
+      return res.status(400).json({
+        success: false,
+        message: `duplicates must be one of ${IMPORT_DUPLICATE_ACTIONS.join(', ')}`
+      });
+    }
+    
+    const { error, columns, rows } = readImportRows(options);
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    await validateImportRows(rows, req.user, columns);
+    await findImportDuplicates(rows, req.user);
+    
+    rows.forEach((row) => {
+      if (row.errors.length > 0) row.status = 'invalid';
+      else if (row.duplicates && duplicates !== 'allow') row.status = duplicates === 'skip' ? 'skipped' : 'duplicate';
+      else row.status = 'valid';
+    });
+    
+    const importable = rows.filter((row) => row.status === 'valid');
+    const rejected = rows.filter((row) => row.status === 'invalid' || row.status === 'duplicate');
+    
+    // An all-or-nothing import with rejected rows imports nothing
+    let failed = [];
+    if (!dryRun && importable.length > 0 && (mode === 'partial' || rejected.length === 0)) {
+      let result;
+      try {
+        result = await saveImportedPatients(req, importable, { allOrNothing: mode === 'all' });
+      } catch (saveError) {
+        console.error(`❌ Patient import failed: ${saveError.message}`);
+        return res.status(500).json({
+          success: false,
+          message: 'The import failed and no patients were imported'
+        });
+      }
+      
+      result.imported.forEach((row) => { row.status = 'imported'; });
+      result.failed.forEach((row) => {
+        row.status = 'failed';
+        row.errors.push({ message: 'The patient could not be saved' });
+      });
+      failed = result.failed;
+      
+      for (const row of result.imported) {
+        await recordAudit(req, {
+          action: 'create',
+          resourceType: 'Patient',
+          resource: row.patient,
+          patient: row.patient,
+          details: { via: 'import' }
+        });
+      }
+    }
+    
+    const count = (status) => rows.filter((row) => row.status === status).length;
+    const summary = {
+      total: rows.length,
+      valid: importable.length,
+      invalid: count('invalid'),
+      duplicates: rows.filter((row) => row.duplicates).length,
+      skipped: count('skipped'),
+      imported: count('imported'),
+      failed: failed.length
+    };
+    
+    let status = 200;
+    let message;
+    if (dryRun) {
+      message = `${importable.length} of ${rows.length} patient(s) can be imported` +
+        (rejected.length > 0 ? `; ${rejected.length} row(s) have errors or duplicates` : '');
+    } else if (mode === 'all' && rejected.length > 0) {
+      status = 400;
+      message = `No patients were imported: ${rejected.length} row(s) have errors or duplicates`;
+    } else {
+      status = rejected.length > 0 || failed.length > 0 ? 207 : summary.imported > 0 ? 201 : 200;
+      message = `Imported ${summary.imported} of ${rows.length} patient(s)` +
+        (rejected.length > 0 ? `; ${rejected.length} row(s) have errors or duplicates` : '') +
+        (failed.length > 0 ? `; ${failed.length} could not be saved` : '');
+    }
+    
+    res.status(status).json({
+      success: rejected.length === 0 && failed.length === 0,
+      dryRun,
+      message,
+      data: {
+        mode,
+        summary,
+        columns,
+        rows: rows.map((row) => ({
+          row: row.row,
+          line: row.line,
+          status: row.status,
+          patient: row.status === 'imported' ? row.patient._id : undefined,
+          errors: row.errors.length > 0 ? row.errors : undefined,
+          duplicates: row.duplicates
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Update a patient
  * @route PUT /api/patients/:id
@@ -87,7 +515,7 @@ exports.registerPatient = async (req, res, next) => {
  */
 exports.updatePatient = async (req, res, next) => {
   try {
-    let patient = await Patient.findById(req.params.id);
+    const patient = await Patient.findOne({ _id: req.params.id, ...tenantFilter(req.user) });
     
     if (!patient) {
       return res.status(404).json({
@@ -96,20 +524,29 @@ exports.updatePatient = async (req, res, next) => {
       });
     }
     
-    // Check if patient belongs to the logged-in doctor
-    if (patient.assignedDoctor.toString() !== req.user._id.toString()) {
+    // Check if the logged-in user may edit the patient
+    if (!hasAccess(patient, req.user, 'write')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this patient'
       });
     }
     
-    // Update patient
-    patient = await Patient.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    if (patient.archivedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Archived patients cannot be changed. Restore the patient first.'
+      });
+    }
+    
+    // Update patient - saving the document keeps sensitive fields encrypted
+    const previous = snapshotPatient(patient);
+    patient.set(pickPatientFields(req.body));
+    const changedFields = getChangedFields(patient);
+    await patient.save();
+    
+    await recordPatientVersion(req, patient, { action: 'update', previous });
+    await recordAudit(req, { action: 'update', resourceType: 'Patient', resource: patient, patient, changedFields });
     
     res.status(200).json({
       success: true,
@@ -122,13 +559,225 @@ exports.updatePatient = async (req, res, next) => {
 };
 
 /**
- * Delete a patient
+ * Load a patient the logged-in user manages (care team owner or organisation admin)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} action - What the user is doing, for the error message (e.g. "archive")
+ * @returns {Promise<Object|null>} Patient document, or null if a response was sent
+ */
+const findManagedPatient = async (req, res, action) => {
+  const patient = await Patient.findOne({ _id: req.params.id, ...tenantFilter(req.user) });
+  
+  if (!patient) {
+    res.status(404).json({
+      success: false,
+      message: 'Patient not found'
+    });
+    return null;
+  }
+  
+  if (!hasAccess(patient, req.user, 'manage')) {
+    res.status(403).json({
+      success: false,
+      message: `Not authorized to ${action} this patient`
+    });
+    return null;
+  }
+  
+  return patient;
+};
+
+/**
+ * Archive a patient. The record and its EMG/EMS sessions are kept and stay readable;
+ * assigned devices are released so no new data is recorded for the patient.
  * @route DELETE /api/patients/:id
+ * @access Private (care team owner)
+ */
+exports.archivePatient = async (req, res, next) => {
+  try {
+    const patient = await findManagedPatient(req, res, 'archive');
+    if (!patient) return;
+    
+    if (patient.archivedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Patient is already archived'
+      });
+    }
+    
+    // Release any devices assigned to this patient
+    await Device.updateMany(
+      { assignedPatient: patient._id },
+      { $unset: { assignedPatient: 1 } }
+    );
+    
+    const previous = snapshotPatient(patient);
+    patient.archive(req.user);
+    patient.devices = [];
+    await patient.save();
+    
+    await recordPatientVersion(req, patient, { action: 'archive', previous });
+    await recordAudit(req, {
+      action: 'update',
+      resourceType: 'Patient',
+      resource: patient,
+      patient,
+      changedFields: ['isActive', 'archivedAt', 'archivedBy', 'devices']
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Patient archived successfully',
+      data: patient
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore an archived patient. Devices released when the patient was archived must be assigned again.
+ * @route POST /api/patients/:id/restore
+ * @access Private (care team owner)
+ */
+exports.restorePatient = async (req, res, next) => {
+  try {
+    const patient = await findManagedPatient(req, res, 'restore');
+    if (!patient) return;
+    
+    if (!patient.archivedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Patient is not archived'
+      });
+    }
+    
+    if (patient.mergedInto) {
+      return res.status(409).json({
+        success: false,
+        message: 'Patient was merged into another patient. Undo the merge instead.',
+        mergedInto: patient.mergedInto
+      });
+    }
+    
+    const previous = snapshotPatient(patient);
+    patient.restore();
+    await patient.save();
+    
+    await recordPatientVersion(req, patient, { action: 'restore', previous });
+    await recordAudit(req, {
+      action: 'update',
+      resourceType: 'Patient',
+      resource: patient,
+      patient,
+      changedFields: ['isActive', 'archivedAt', 'archivedBy']
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Patient restored successfully',
+      data: patient
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Permanently delete an archived patient, their EMG/EMS sessions, version history and
+ * merge records once the retention period has passed, and deactivate their patient portal
+ * account. Audit logs of the patient are kept.
+ * @route DELETE /api/patients/:id/purge
+ * @access Private (admin)
+ */
+exports.purgePatient = async (req, res, next) => {
+  try {
+    const patient = await findManagedPatient(req, res, 'purge');
+    if (!patient) return;
+    
+    if (!patient.archivedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only archived patients can be purged. Archive the patient first.'
+      });
+    }
+    
+    const retainedUntil = patient.retainedUntil();
+    if (retainedUntil > new Date()) {
+      return res.status(409).json({
+        success: false,
+        message: `Patient records must be kept until ${retainedUntil.toISOString()}`,
+        retainedUntil
+      });
+    }
+    
+    // The patient, their sessions (with their data chunks), versions and merges are deleted together or not at all.
+    // A patient portal account cannot outlive its record, so it is deactivated in the same transaction.
+    const deleted = await runInTransaction(async (session) => {
+      const sessionIds = [
+        ...await EMGData.distinct('_id', { patient: patient._id }).session(session),
+        ...await EMSData.distinct('_id', { patient: patient._id }).session(session)
+      ];
+      await SessionChunk.deleteMany({ session: { $in: sessionIds } }, { session });
+      const emg = await EMGData.deleteMany({ patient: patient._id }, { session });
+      const ems = await EMSData.deleteMany({ patient: patient._id }, { session });
+      const versions = await PatientVersion.deleteMany({ patient: patient._id }, { session });
+      const merges = await PatientMerge.deleteMany({ $or: [{ survivor: patient._id }, { duplicate: patient._id }] }, { session });
+      const accounts = await User.updateMany({ patient: patient._id, isActive: true }, { isActive: false }, { session });
+      await patient.deleteOne({ session });
+      return {
+        emgSessions: emg.deletedCount,
+        emsSessions: ems.deletedCount,
+        versions: versions.deletedCount,
+        merges: merges.deletedCount,
+        deactivatedAccounts: accounts.modifiedCount
+      };
+    });
+    
+    await recordAudit(req, { action: 'delete', resourceType: 'Patient', resource: patient, patient, details: deleted });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Patient purged successfully',
+      data: deleted
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load a version of a patient by its number (req.params.version)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} patient - Patient document
+ * @returns {Promise<Object|null>} Version document, or null if a response was sent
+ */
+const findPatientVersion = async (req, res, patient) => {
+  const number = parseInt(req.params.version);
+  const version = Number.isNaN(number) ? null : await PatientVersion.findOne({ patient: patient._id, version: number })
+    .populate('changedBy', 'firstName lastName email');
+  
+  if (!version) {
+    res.status(404).json({
+      success: false,
+      message: 'Version not found'
+    });
+    return null;
+  }
+  
+  return version;
+};
+
+/**
+ * Get the version history of a patient, newest first. Values are left out; get a
+ * single version to see them.
+ * @route GET /api/patients/:id/versions
  * @access Private
  */
-exports.deletePatient = async (req, res, next) => {
+exports.getPatientVersions = async (req, res, next) => {
   try {
-    const patient = await Patient.findById(req.params.id);
+    const patient = await Patient.findOne({ _id: req.params.id, ...tenantFilter(req.user) }).select('careTeam organization');
     
     if (!patient) {
       return res.status(404).json({
@@ -137,27 +786,747 @@ exports.deletePatient = async (req, res, next) => {
       });
     }
     
-    // Check if patient belongs to the logged-in doctor
-    if (patient.assignedDoctor.toString() !== req.user._id.toString()) {
+    if (!hasAccess(patient, req.user, 'read')) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to delete this patient'
+        message: 'Not authorized to access this patient'
       });
     }
     
-    // Update any devices assigned to this patient
-    await Device.updateMany(
-      { assignedPatient: patient._id },
-      { $unset: { assignedPatient: 1 } }
-    );
+    const versions = await PatientVersion.find({ patient: patient._id })
+      .select('-snapshot -changes')
+      .populate('changedBy', 'firstName lastName email')
+      .sort({ version: -1 });
+    
+    res.status(200).json({
+      success: true,
+      count: versions.length,
+      data: versions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single version of a patient: the record as it was after the change, and what changed
+ * @route GET /api/patients/:id/versions/:version
+ * @access Private
+ */
+exports.getPatientVersion = async (req, res, next) => {
+  try {
+    const patient = await Patient.findOne({ _id: req.params.id, ...tenantFilter(req.user) }).select('careTeam organization');
+    
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
     
-    await patient.deleteOne();
+    if (!hasAccess(patient, req.user, 'read')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this patient'
+      });
+    }
+    
+    const version = await findPatientVersion(req, res, patient);
+    if (!version) return;
+    
+    await recordAudit(req, {
+      action: 'read',
+      resourceType: 'Patient',
+      resource: patient,
+      patient,
+      details: { version: version.version }
+    });
     
     res.status(200).json({
       success: true,
-      message: 'Patient deleted successfully'
+      data: version
     });
   } catch (error) {
     next(error);
   }
 };
+
+/**
+ * Revert a patient to an earlier version. The revert is stored as a new version,
+ * so it can be undone in turn.
+ * @route POST /api/patients/:id/versions/:version/revert
+ * @access Private
+ */
+exports.revertPatientVersion = async (req, res, next) => {
+  try {
+    const patient = await Patient.findOne({ _id: req.params.id, ...tenantFilter(req.user) });
+    
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+    
+    if (!hasAccess(patient, req.user, 'write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this patient'
+      });
+    }
+    
+    if (patient.archivedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Archived patients cannot be changed. Restore the patient first.'
+      });
+    }
+    
+    const version = await findPatientVersion(req, res, patient);
+    if (!version) return;
+    
+    // Fields missing from the version were not set at the time
+    const previous = snapshotPatient(patient);
+    PATIENT_VERSIONED_FIELDS.forEach((field) => patient.set(field, version.snapshot[field]));
+    await patient.save();
+    
+    const reverted = await recordPatientVersion(req, patient, {
+      action: 'revert',
+      previous,
+      revertedFrom: version.version
+    });
+    
+    await recordAudit(req, {
+      action: 'update',
+      resourceType: 'Patient',
+      resource: patient,
+      patient,
+      changedFields: reverted ? reverted.changedFields : [],
+      details: { revertedFrom: version.version }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: reverted ? `Patient reverted to version ${version.version}` : `Patient already matches version ${version.version}`,
+      version: reverted ? reverted.version : undefined,
+      data: patient
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Find pairs of patients that are likely the same person registered twice: at least two
+ * of name, date of birth, email address and phone number match, one of them the name or
+ * date of birth. Archived patients are left out.
+ * @route GET /api/patients/duplicates
+ * @access Private
+ */
+exports.findDuplicatePatients = async (req, res, next) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), DUPLICATE_PAIRS_MAX);
+    
+    const pairs = await findDuplicatePairs({ ...accessFilter(Patient, req.user), ...Patient.archivedFilter() });
+    const page = pairs.slice(0, limit);
+    
+    const patients = [...new Map(page.flatMap((pair) => pair.patients).map((patient) => [patient._id.toString(), patient])).values()];
+    await recordListAudit(req, 'Patient', patients, (patient) => patient._id);
+    
+    res.status(200).json({
+      success: true,
+      count: page.length,
+      total: pairs.length,
+      data: page
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Find patients that are likely the same person as a patient
+ * @route GET /api/patients/:id/duplicates
+ * @access Private
+ */
+exports.getPatientDuplicates = async (req, res, next) => {
+  try {
+    const patient = await Patient.findOne({ _id: req.params.id, ...tenantFilter(req.user) });
+    
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+    
+    if (!hasAccess(patient, req.user, 'read')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this patient'
+      });
+    }
+    
+    const [candidates] = await findDuplicateCandidates(
+      [patient],
+      { ...accessFilter(Patient, req.user), ...Patient.archivedFilter() }
+    );
+    
+    await recordListAudit(req, 'Patient', candidates.map((candidate) => candidate.patient), (candidate) => candidate._id);
+    
+    res.status(200).json({
+      success: true,
+      count: candidates.length,
+      data: candidates.map(({ patient: candidate, matchedOn }) => ({
+        patient: toDuplicateSummary(candidate),
+        matchedOn
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Merge a duplicate patient into this one. The duplicate's devices, EMG/EMS sessions,
+ * portal accounts and care team move over, details are combined and the duplicate is
+ * archived. The merge is recorded and can be undone.
+ * @route POST /api/patients/:id/merge
+ * @access Private (care team owner of both patients)
+ */
+exports.mergePatient = async (req, res, next) => {
+  try {
+    const { duplicateId, keepFromDuplicate = [], reason } = req.body;
+    
+    if (!duplicateId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide duplicateId'
+      });
+    }
+    
+    if (duplicateId.toString() === req.params.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'A patient cannot be merged into itself'
+      });
+    }
+    
+    if (!Array.isArray(keepFromDuplicate) || keepFromDuplicate.some((field) => !MERGE_FIELDS.includes(field))) {
+      return res.status(400).json({
+        success: false,
+        message: `keepFromDuplicate can list ${MERGE_FIELDS.join(', ')}`
+      });
+    }
+    
+    const survivor = await findManagedPatient(req, res, 'merge');
+    if (!survivor) return;
+    
+    const duplicate = await Patient.findOne({ _id: duplicateId, ...tenantFilter(req.user) });
+    
+    if (!duplicate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Duplicate patient not found'
+      });
+    }
+    
+    if (!hasAccess(duplicate, req.user, 'manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to merge the duplicate patient'
+      });
+    }
+    
+    if (survivor.archivedAt || duplicate.archivedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Archived patients cannot be merged. Restore the patient first.'
+      });
+    }
+    
+    // A patient can only be linked to one portal account, so one of them has to go first
+    if (await User.exists({ patient: survivor._id }) && await User.exists({ patient: duplicate._id })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Both patients have a patient portal account. Deactivate or unlink the duplicate\'s account, then merge the patients.'
+      });
+    }
+    
+    const { merge, survivor: merged } = await mergePatients(req, survivor._id, duplicate._id, { keepFromDuplicate, reason });
+    const moved = {
+      devices: merge.moved.devices.length,
+      emgSessions: merge.moved.emgSessions.length,
+      emsSessions: merge.moved.emsSessions.length
+    };
+    
+    await recordAudit(req, {
+      action: 'update',
+      resourceType: 'Patient',
+      resource: survivor,
+      patient: survivor,
+      details: { merge: merge._id, mergedFrom: duplicate._id, ...moved }
+    });
+    await recordAudit(req, {
+      action: 'update',
+      resourceType: 'Patient',
+      resource: duplicate,
+      patient: duplicate,
+      changedFields: ['isActive', 'archivedAt', 'archivedBy', 'mergedInto', 'devices'],
+      details: { merge: merge._id, mergedInto: survivor._id }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Patients merged successfully',
+      merge: {
+        _id: merge._id,
+        survivor: survivor._id,
+        duplicate: duplicate._id,
+        moved
+      },
+      data: merged
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the merges a patient took part in, as survivor or duplicate, newest first
+ * @route GET /api/patients/:id/merges
+ * @access Private
+ */
+exports.getPatientMerges = async (req, res, next) => {
+  try {
+    const patient = await Patient.findOne({ _id: req.params.id, ...tenantFilter(req.user) }).select('careTeam organization');
+    
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+    
+    if (!hasAccess(patient, req.user, 'read')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this patient'
+      });
+    }
+    
+    const merges = await PatientMerge.find({
+      $or: [{ survivor: patient._id }, { duplicate: patient._id }],
+      ...tenantFilter(req.user)
+    })
+      .select('-survivorSnapshot')
+      .populate('mergedBy undoneBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+    
+    res.status(200).json({
+      success: true,
+      count: merges.length,
+      data: merges
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Undo a merge into this patient: its details are put back as they were before the merge
+ * and the duplicate is restored with the records that moved. Only possible while the
+ * patient has not changed since the merge; undo later merges and changes first.
+ * @route POST /api/patients/:id/merges/:mergeId/undo
+ * @access Private (care team owner of both patients)
+ */
+exports.undoPatientMerge = async (req, res, next) => {
+  try {
+    const survivor = await findManagedPatient(req, res, 'unmerge');
+    if (!survivor) return;
+    
+    const merge = await PatientMerge.findOne({
+      _id: req.params.mergeId,
+      survivor: survivor._id,
+      ...tenantFilter(req.user)
+    });
+    
+    if (!merge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Merge not found'
+      });
+    }
+    
+    if (merge.status === 'undone') {
+      return res.status(409).json({
+        success: false,
+        message: 'This merge has already been undone'
+      });
+    }
+    
+    if (survivor.archivedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Archived patients cannot be changed. Restore the patient first.'
+      });
+    }
+    
+    const latestVersion = await latestPatientVersion(survivor._id);
+    if (latestVersion !== merge.survivorVersion) {
+      return res.status(409).json({
+        success: false,
+        message: `The patient has changed since the merge (version ${merge.survivorVersion}, now ${latestVersion}). Revert or undo the later changes first.`
+      });
+    }
+    
+    const duplicate = await Patient.findOne({ _id: merge.duplicate, ...tenantFilter(req.user) });
+    
+    if (!duplicate) {
+      return res.status(409).json({
+        success: false,
+        message: 'The duplicate patient has been purged, so the merge cannot be undone'
+      });
+    }
+    
+    if (!hasAccess(duplicate, req.user, 'manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to restore the duplicate patient'
+      });
+    }
+    
+    if (merge.moved.users.length && await User.exists({ patient: duplicate._id })) {
+      return res.status(409).json({
+        success: false,
+        message: 'The duplicate patient has a patient portal account again, so the merged accounts cannot move back. Unlink it first.'
+      });
+    }
+    
+    const restored = await undoPatientMerge(req, merge._id);
+    
+    await recordAudit(req, {
+      action: 'update',
+      resourceType: 'Patient',
+      resource: survivor,
+      patient: survivor,
+      details: { merge: merge._id, undone: true }
+    });
+    await recordAudit(req, {
+      action: 'update',
+      resourceType: 'Patient',
+      resource: duplicate,
+      patient: duplicate,
+      changedFields: ['isActive', 'archivedAt', 'archivedBy', 'mergedInto', 'devices'],
+      details: { merge: merge._id, undone: true }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Merge undone successfully',
+      data: {
+        survivor: restored.survivor,
+        duplicate: restored.duplicate
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Transfer a patient to another clinician
+ * @route POST /api/patients/:id/transfer
+ * @access Private (care team owner)
+ */
+exports.transferPatient = async (req, res, next) => {
+  try {
+    const {
+      toUserId,
+      fromUserId = req.user._id.toString(),
+      includeDevices = true,
+      includeSessions = false,
+      reason
+    } = req.body;
+    
+    if (!toUserId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide toUserId'
+      });
+    }
+    
+    const patient = await Patient.findOne({ _id: req.params.id, ...tenantFilter(req.user) });
+    
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+    
+    // Only care team owners (or organisation admins) may transfer the patient
+    if (!hasAccess(patient, req.user, 'manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to transfer this patient'
+      });
+    }
+    
+    // The previous owner defaults to the user making the transfer
+    const fromMember = patient.careTeam.find((member) => member.user.toString() === fromUserId.toString());
+    
+    if (!fromMember || fromMember.role !== 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'Patients can only be transferred away from one of their owners'
+      });
+    }
+    
+    if (toUserId.toString() === fromUserId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Patient already belongs to this clinician'
+      });
+    }
+    
+    const toUser = await findTransferTarget(toUserId, patient.organization);
+    
+    if (!toUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'Patients can only be transferred to an active doctor in the same organization'
+      });
+    }
+    
+    const transfer = await transferPatient(patient, {
+      fromUser: { _id: fromMember.user },
+      toUser,
+      transferredBy: req.user,
+      includeDevices: Boolean(includeDevices),
+      includeSessions: Boolean(includeSessions),
+      reason
+    });
+    
+    await recordAudit(req, {
+      action: 'update',
+      resourceType: 'Patient',
+      resource: patient,
+      patient,
+      changedFields: ['careTeam'],
+      details: { transfer: transfer._id }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: `Patient transferred to ${toUser.firstName} ${toUser.lastName}`,
+      data: transfer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a patient's transfer history
+ * @route GET /api/patients/:id/transfers
+ * @access Private (care team)
+ */
+exports.getPatientTransfers = async (req, res, next) => {
+  try {
+    const patient = await Patient.findOne({ _id: req.params.id, ...tenantFilter(req.user) }).select('careTeam organization');
+    
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+    
+    if (!hasAccess(patient, req.user, 'read')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this patient'
+      });
+    }
+    
+    const transfers = await PatientTransfer.find({ patient: patient._id })
+      .populate('fromUser toUser transferredBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+    
+    res.status(200).json({
+      success: true,
+      count: transfers.length,
+      data: transfers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Report who accessed a patient's record, from the audit log
+ * @route GET /api/patients/:id/access-report
+ * @access Private (care team owner or organisation admin)
+ */
+exports.getPatientAccessReport = async (req, res, next) => {
+  try {
+    const patient = await Patient.findOne({ _id: req.params.id, ...tenantFilter(req.user) }).select('careTeam organization');
+    
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+    
+    if (!hasAccess(patient, req.user, 'manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view the access report of this patient'
+      });
+    }
+    
+    // Optional date range
+    const match = { patient: patient._id, organization: patient.organization || null };
+    if (req.query.from || req.query.to) {
+      match.createdAt = {};
+      if (req.query.from) match.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) match.createdAt.$lte = new Date(req.query.to);
+    }
+    
+    const accesses = await AuditLog.aggregate([
+      { $match: match },
+      { $sort: { createdAt: 1 } },
+      {
+        $group: {
+          _id: '$actor',
+          actorRole: { $last: '$actorRole' },
+          count: { $sum: 1 },
+          actions: { $addToSet: '$action' },
+          resourceTypes: { $addToSet: '$resourceType' },
+          firstAccess: { $min: '$createdAt' },
+          lastAccess: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { lastAccess: -1 } }
+    ]);
+    
+    await AuditLog.populate(accesses, { path: '_id', model: 'User', select: 'firstName lastName email role' });
+    
+    res.status(200).json({
+      success: true,
+      count: accesses.length,
+      data: accesses.map(({ _id, ...access }) => ({ actor: _id, ...access }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Break the glass: get time-boxed read access to a patient outside your care teams
+ * @route POST /api/patients/:id/emergency-access
+ * @access Private (doctor)
+ */
+exports.requestEmergencyAccess = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for emergency access'
+      });
+    }
+    
+    const patient = await Patient.findOne({ _id: req.params.id, ...tenantFilter(req.user) }).select('careTeam organization');
+    
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+    
+    if (hasAccess(patient, req.user, 'read')) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have access to this patient'
+      });
+    }
+    
+    const existing = await findActiveGrant(patient, req.user);
+    
+    if (existing) {
+      return res.status(200).json({
+        success: true,
+        message: 'Emergency access is already active',
+        data: existing
+      });
+    }
+    
+    const grant = await grantEmergencyAccess(patient, req.user, reason);
+    
+    await recordAudit(req, {
+      action: 'create',
+      resourceType: 'EmergencyAccess',
+      resource: grant,
+      patient,
+      emergencyAccess: grant,
+      details: { expiresAt: grant.expiresAt }
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Emergency access granted. The patient\'s owners and administrators have been notified.',
+      data: grant
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get emergency access grants for a patient
+ * @route GET /api/patients/:id/emergency-access
+ * @access Private (care team owner or organisation admin)
+ */
+exports.getPatientEmergencyAccess = async (req, res, next) => {
+  try {
+    const patient = await Patient.findOne({ _id: req.params.id, ...tenantFilter(req.user) }).select('careTeam organization');
+    
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+    
+    if (!hasAccess(patient, req.user, 'manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view emergency access to this patient'
+      });
+    }
+    
+    const grants = await EmergencyAccess.find({ patient: patient._id, organization: patient.organization || null })
+      .populate('user revokedBy reviewedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+    
+    res.status(200).json({
+      success: true,
+      count: grants.length,
+      data: grants
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Care team management
+const careTeam = createCareTeamController(Patient, 'Patient');
+
+exports.getPatientCareTeam = careTeam.getCareTeam;
+exports.addPatientCareTeamMember = careTeam.addCareTeamMember;
+exports.removePatientCareTeamMember = careTeam.removeCareTeamMember;
@@ -0,0 +1,290 @@
+// portal.controller.js - Read-only patient portal for patient accounts
+
+const Patient = require('../models/patient.model');
+const Device = require('../models/device.model');
+const { EMGData, EMSData } = require('../models/data.model');
+const { recordAudit, recordListAudit } = require('../services/audit.service');
+const { tenantFilter } = require('../utils/access.utils');
+
+// Largest page of sessions returned at once
+const PORTAL_PAGE_MAX = 100;
+
+// Portal policy: patients only see the fields picked below. Clinical notes on the
+// patient, treatment plan, scheduled sessions and recorded sessions are written for
+// clinicians and are never returned by the portal.
+
+/**
+ * Treatment plan shown in the portal
+ * @param {Object} [plan] - Treatment plan subdocument
+ * @returns {Object|null} Portal view of the treatment plan
+ */
+const toPortalTreatmentPlan = (plan) => {
+  if (!plan) return null;
+
+  return {
+    startDate: plan.startDate,
+    endDate: plan.endDate,
+    goals: plan.goals,
+    frequency: plan.frequency
+  };
+};
+
+/**
+ * Patient details shown in the portal
+ * @param {Object} patient - Patient document
+ * @returns {Object} Portal view of the patient
+ */
+const toPortalPatient = (patient) => ({
+  _id: patient._id,
+  firstName: patient.firstName,
+  lastName: patient.lastName,
+  dateOfBirth: patient.dateOfBirth,
+  gender: patient.gender,
+  contactInformation: patient.contactInformation,
+  medicalInformation: patient.medicalInformation
+    ? {
+      medicalConditions: patient.medicalInformation.medicalConditions,
+      allergies: patient.medicalInformation.allergies,
+      medications: patient.medicalInformation.medications
+    }
+    : undefined,
+  treatmentPlan: toPortalTreatmentPlan(patient.treatmentPlan)
+});
+
+/**
+ * Scheduled session shown in the portal
+ * @param {Object} session - Scheduled session subdocument
+ * @returns {Object} Portal view of the scheduled session
+ */
+const toPortalScheduledSession = (session) => ({
+  _id: session._id,
+  scheduledAt: session.scheduledAt,
+  type: session.type,
+  durationMinutes: session.durationMinutes,
+  location: session.location
+});
+
+/**
+ * Summary of a recorded EMG/EMS session, without signal data or notes
+ * @param {Object} session - EMG or EMS data document
+ * @param {string} type - EMG or EMS
+ * @returns {Object} Session summary
+ */
+const toSessionSummary = (session, type) => ({
+  _id: session._id,
+  type,
+  sessionId: session.sessionId,
+  startTime: session.startTime,
+  endTime: session.endTime,
+  durationSeconds: session.endTime
+    ? Math.round((session.endTime - session.startTime) / 1000)
+    : null,
+  muscleGroup: session.metadata ? session.metadata.muscleGroup : undefined,
+  activity: type === 'EMG' && session.metadata ? session.metadata.activity : undefined,
+  treatmentGoal: type === 'EMS' && session.metadata ? session.metadata.treatmentGoal : undefined,
+  stimulationPattern: type === 'EMS' ? session.stimulationPattern : undefined,
+  device: session.device
+});
+
+/**
+ * Device shown in the portal
+ * @param {Object} device - Device document
+ * @returns {Object} Portal view of the device
+ */
+const toPortalDevice = (device) => ({
+  _id: device._id,
+  name: device.name,
+  type: device.type,
+  serialNumber: device.serialNumber,
+  batteryLevel: device.batteryLevel,
+  lastConnected: device.lastConnected,
+  isActive: device.isActive
+});
+
+/**
+ * Load the patient record linked to the logged-in patient account
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Patient document, or null if a response was sent
+ */
+const findOwnPatient = async (req, res) => {
+  const patient = await Patient.findOne({ _id: req.user.patient, ...tenantFilter(req.user) });
+
+  if (!patient) {
+    res.status(404).json({
+      success: false,
+      message: 'Patient record not found'
+    });
+    return null;
+  }
+
+  return patient;
+};
+
+/**
+ * Get your patient record
+ * @route GET /api/me/patient
+ * @access Private (patient)
+ */
+exports.getMyPatient = async (req, res, next) => {
+  try {
+    const patient = await findOwnPatient(req, res);
+    if (!patient) return;
+
+    await recordAudit(req, { action: 'read', resourceType: 'Patient', resource: patient, patient, details: { via: 'portal' } });
+
+    res.status(200).json({
+      success: true,
+      data: toPortalPatient(patient)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get your treatment plan
+ * @route GET /api/me/patient/treatment-plan
+ * @access Private (patient)
+ */
+exports.getMyTreatmentPlan = async (req, res, next) => {
+  try {
+    const patient = await findOwnPatient(req, res);
+    if (!patient) return;
+
+    await recordAudit(req, { action: 'read', resourceType: 'Patient', resource: patient, patient, details: { via: 'portal' } });
+
+    res.status(200).json({
+      success: true,
+      data: toPortalTreatmentPlan(patient.treatmentPlan)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get your upcoming scheduled sessions
+ * @route GET /api/me/patient/upcoming-sessions
+ * @access Private (patient)
+ */
+exports.getMyUpcomingSessions = async (req, res, next) => {
+  try {
+    const patient = await findOwnPatient(req, res);
+    if (!patient) return;
+
+    const now = new Date();
+    const scheduledSessions = (patient.treatmentPlan && patient.treatmentPlan.scheduledSessions) || [];
+    const upcoming = scheduledSessions
+      .filter((session) => session.scheduledAt >= now)
+      .sort((a, b) => a.scheduledAt - b.scheduledAt);
+
+    await recordAudit(req, { action: 'read', resourceType: 'Patient', resource: patient, patient, details: { via: 'portal' } });
+
+    res.status(200).json({
+      success: true,
+      count: upcoming.length,
+      data: upcoming.map(toPortalScheduledSession)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get summaries of your recorded EMG/EMS sessions, newest first
+ * @route GET /api/me/patient/sessions
+ * @access Private (patient)
+ */
+exports.getMySessions = async (req, res, next) => {
+  try {
+    const { type } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), PORTAL_PAGE_MAX);
+
+    if (type && !['emg', 'ems'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Session type must be emg or ems'
+      });
+    }
+
+    const patient = await findOwnPatient(req, res);
+    if (!patient) return;
+
+    const query = { patient: patient._id, ...tenantFilter(req.user) };
+
+    // Calculate pagination - fetch enough of each type to fill the requested page
+    const skip = (page - 1) * limit;
+    const fetchLimit = skip + limit;
+
+    const findSessions = (Model, exclude) => Model.find(query)
+      .select(`${exclude} -metadata.notes`)
+      .populate('device', 'name type')
+      .sort({ startTime: -1 })
+      .limit(fetchLimit);
+
+    const [emgData, emsData, emgTotal, emsTotal] = await Promise.all([
+      type === 'ems' ? [] : findSessions(EMGData, '-dataPoints'),
+      type === 'emg' ? [] : findSessions(EMSData, '-responseData'),
+      type === 'ems' ? 0 : EMGData.countDocuments(query),
+      type === 'emg' ? 0 : EMSData.countDocuments(query)
+    ]);
+
+    // Merge both session types into one page
+    const pageEntries = [
+      ...emgData.map((session) => ({ type: 'EMG', session })),
+      ...emsData.map((session) => ({ type: 'EMS', session }))
+    ]
+      .sort((a, b) => b.session.startTime - a.session.startTime)
+      .slice(skip, fetchLimit);
+
+    const pageSessions = (sessionType) => pageEntries
+      .filter((entry) => entry.type === sessionType)
+      .map((entry) => entry.session);
+
+    await recordListAudit(req, 'EMGData', pageSessions('EMG'), () => patient._id);
+    await recordListAudit(req, 'EMSData', pageSessions('EMS'), () => patient._id);
+
+    const sessions = pageEntries.map((entry) => toSessionSummary(entry.session, entry.type));
+    const total = emgTotal + emsTotal;
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      },
+      data: sessions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the devices assigned to you
+ * @route GET /api/me/patient/devices
+ * @access Private (patient)
+ */
+exports.getMyDevices = async (req, res, next) => {
+  try {
+    const patient = await findOwnPatient(req, res);
+    if (!patient) return;
+
+    const devices = await Device.find({ assignedPatient: patient._id, ...tenantFilter(req.user) });
+
+    await recordListAudit(req, 'Device', devices, () => patient._id);
+
+    res.status(200).json({
+      success: true,
+      count: devices.length,
+      data: devices.map(toPortalDevice)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
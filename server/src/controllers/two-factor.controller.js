@@ -0,0 +1,400 @@
+// two-factor.controller.js - TOTP two-factor authentication controller
+
+const jwt = require("jsonwebtoken");
+const User = require("../models/user.model");
+const securityConfig = require("../config/security");
+const { createSession } = require("../services/session.service");
+const { sendSecurityNotification } = require("../services/mail.service");
+const {
+  recordFailedLogin,
+  sendLoginBlocked,
+} = require("../services/security.service");
+const { hashToken } = require("../utils/token.utils");
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+} = require("../utils/totp.utils");
+
+// Hidden two-factor fields needed to check a code
+const TWO_FACTOR_FIELDS =
+  "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+/**
+ * Normalize a recovery code before hashing so formatting does not matter
+ * @param {string} code - Recovery code entered by the user
+ * @returns {string} Normalized code
+ */
+const normalizeRecoveryCode = (code) =>
+  String(code).trim().toLowerCase().replace(/\s/g, "");
+
+/**
+ * Issue a fresh set of recovery codes
+ * @param {Object} user - User document (changes are not saved)
+ * @returns {Array<string>} Plain recovery codes to show the user once
+ */
+const issueRecoveryCodes = (user) => {
+  const codes = generateRecoveryCodes(securityConfig.mfa.recoveryCodeCount);
+  user.twoFactor.recoveryCodes = codes.map((code) =>
+    hashToken(normalizeRecoveryCode(code))
+  );
+  return codes;
+};
+
+/**
+ * Record a TOTP step as used, unless it or a later step was used already
+ * The check and the update are one operation, so concurrent requests cannot both use a code
+ * @param {Object} user - User document
+ * @param {number} step - Time step of the accepted code
+ * @returns {Promise<boolean>} True if the step was recorded
+ */
+const claimStep = async (user, step) => {
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { "twoFactor.lastUsedStep": { $exists: false } },
+        { "twoFactor.lastUsedStep": { $lt: step } },
+      ],
+    },
+    { $set: { "twoFactor.lastUsedStep": step } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Check a TOTP code or a recovery code against the user's enrolment
+ * Records the TOTP step or consumes the recovery code in the database straight away
+ * @param {Object} user - User document selected with TWO_FACTOR_FIELDS
+ * @param {Object} credentials - Credentials from the request body
+ * @param {string} [credentials.code] - TOTP code
+ * @param {string} [credentials.recoveryCode] - Recovery code
+ * @returns {Promise<boolean>} True if the second factor is valid
+ */
+const checkSecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyCode(user.twoFactor.secret, code, {
+      afterStep: user.twoFactor.lastUsedStep,
+    });
+
+    return step !== null && claimStep(user, step);
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+
+    // Remove the code only if another request has not used it in the meantime
+    const result = await User.updateOne(
+      { _id: user._id, "twoFactor.recoveryCodes": hash },
+      { $pull: { "twoFactor.recoveryCodes": hash } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return false;
+    }
+
+    // Keep the loaded document in step without saving the codes again
+    user.twoFactor.recoveryCodes.pull(hash);
+    user.unmarkModified("twoFactor.recoveryCodes");
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Start two-factor enrolment - generate a secret and provisioning URI
+ * @route POST /api/auth/2fa/setup
+ * @access Private
+ */
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      "+twoFactor.pendingSecret"
+    );
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    // Keep the secret pending until the user proves their app works
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Scan the QR code with your authenticator app, then verify a code",
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUri({
+          secret,
+          accountName: user.email,
+          issuer: securityConfig.mfa.issuer,
+        }),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Finish enrolment by verifying a code from the authenticator app
+ * @route POST /api/auth/2fa/enable
+ * @access Private
+ */
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a verification code",
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(
+      `+twoFactor.pendingSecret ${TWO_FACTOR_FIELDS}`
+    );
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Start two-factor setup before enabling it",
+      });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, code);
+
+    if (step === null || !(await claimStep(user, step))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid verification code",
+      });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+
+    sendSecurityNotification(user, "two_factor_enabled", req);
+
+    res.status(200).json({
+      success: true,
+      message:
+        "Two-factor authentication enabled. Store your recovery codes somewhere safe.",
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Disable two-factor authentication
+ * @route POST /api/auth/2fa/disable
+ * @access Private
+ */
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide your password and a verification or recovery code",
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(
+      `+password ${TWO_FACTOR_FIELDS}`
+    );
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (user.isTwoFactorRequired()) {
+      return res.status(403).json({
+        success: false,
+        message: `Two-factor authentication is required for the ${user.role} role`,
+      });
+    }
+
+    const isMatch = await user.isPasswordMatch(password);
+
+    if (!isMatch || !(await checkSecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid credentials",
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    sendSecurityNotification(user, "two_factor_disabled", req);
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the recovery codes
+ * @route POST /api/auth/2fa/recovery-codes
+ * @access Private
+ */
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a verification code",
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (!(await checkSecondFactor(user, { code }))) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid verification code",
+      });
+    }
+
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Recovery codes regenerated",
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Second login step - exchange the challenge token and a code for a session
+ * @route POST /api/auth/2fa/verify
+ * @access Public
+ */
+exports.verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide the challenge token and a verification or recovery code",
+      });
+    }
+
+    // Verify challenge token
+    let decoded;
+    try {
+      decoded = jwt.verify(mfaToken, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== "mfa") {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired challenge. Please log in again.",
+      });
+    }
+
+    const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired challenge. Please log in again.",
+      });
+    }
+
+    // Refuse attempts while a progressive delay or lockout is running
+    if (user.isLoginBlocked()) {
+      return sendLoginBlocked(user, res);
+    }
+
+    if (!(await checkSecondFactor(user, { code, recoveryCode }))) {
+      await recordFailedLogin(user, req);
+      return res.status(401).json({
+        success: false,
+        message: "Invalid verification code",
+      });
+    }
+
+    // Update last login
+    user.lastLogin = Date.now();
+    user.resetLoginAttempts();
+    await user.save();
+
+    // Start a session and generate tokens
+    const { accessToken, refreshToken, expiresIn } = await createSession(
+      user,
+      req
+    );
+
+    // Remove two-factor secrets from response
+    const recoveryCodesRemaining = user.twoFactor.recoveryCodes.length;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.recoveryCodes = undefined;
+    user.twoFactor.lastUsedStep = undefined;
+
+    res.status(200).json({
+      success: true,
+      message: "Login successful",
+      data: {
+        user,
+        token: accessToken,
+        refreshToken,
+        expiresIn,
+        recoveryCodesRemaining,
+        passwordChangeRequired: user.isPasswordChangeRequired(),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,7 +1,8 @@
 // auth.middleware.js - Authentication middleware
 
-const jwt = require('jsonwebtoken');
-const User = require('../models/user.model');
+const { verifyAccessToken } = require('../services/session.service');
+const { authenticateApiKey } = require('../services/api-key.service');
+const { isSystemAdmin } = require('../utils/access.utils');
 
 /**
  * Middleware to authenticate users using JWT
@@ -28,28 +29,19 @@ exports.authMiddleware = async (req, res, next) => {
       });
     }
     
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Verify token and load the user and session behind it
+    const { user, session, error } = await verifyAccessToken(token);
     
-    // Find user by id
-    const user = await User.findById(decoded.id);
-    
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'User not found or token is invalid.'
-      });
-    }
-    
-    if (!user.isActive) {
-      return res.status(403).json({
+    if (error) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'User account is deactivated.'
+        message: error.message
       });
     }
     
-    // Add user to request object
+    // Add user and session to request object
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -97,3 +89,93 @@ exports.authorizeRoles = (...roles) => {
     next();
   };
 };
+
+/**
+ * Middleware to keep patient accounts out of the clinical API
+ * Patients use the read-only portal under /api/me instead
+ */
+exports.authorizeStaff = exports.authorizeRoles('doctor', 'admin', 'technician');
+
+/**
+ * Middleware to restrict access to system admins (admins outside any organisation)
+ * Must run after authMiddleware
+ */
+exports.authorizeSystemAdmin = (req, res, next) => {
+  if (!isSystemAdmin(req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only system administrators can access this resource.'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Middleware to block access to patient data until account policies are met
+ * Must run after authMiddleware
+ */
+exports.enforceAccountPolicies = (req, res, next) => {
+  // Roles configured in MFA_REQUIRED_ROLES must enrol in two-factor authentication
+  if (req.user.isTwoFactorRequired() && !req.user.twoFactor.enabled) {
+    return res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication must be enabled for your account before accessing this resource.',
+      mfaEnrollmentRequired: true
+    });
+  }
+  
+  // An administrator, or the password max age, can require a new password before the account is used again
+  if (req.user.isPasswordChangeRequired()) {
+    return res.status(403).json({
+      success: false,
+      message: req.user.mustChangePassword
+        ? 'You must change your password before accessing this resource.'
+        : 'Your password has expired. Please change it before accessing this resource.',
+      passwordChangeRequired: true
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Middleware for routes that devices and gateways call without a user.
+ * Requests with an X-API-Key header must use an active key with the given scope;
+ * all other requests need a staff user, as on the rest of the clinical API.
+ * @param {string} scope - Scope the API key needs (e.g. data:write)
+ */
+exports.authenticateUserOrApiKey = (scope) => {
+  return async (req, res, next) => {
+    const key = req.get('x-api-key');
+    
+    if (!key) {
+      return exports.authMiddleware(req, res, () => {
+        exports.enforceAccountPolicies(req, res, () => exports.authorizeStaff(req, res, next));
+      });
+    }
+    
+    try {
+      const apiKey = await authenticateApiKey(key, req.ip);
+      
+      if (!apiKey) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid, expired or revoked API key.'
+        });
+      }
+      
+      if (!apiKey.hasScope(scope)) {
+        return res.status(403).json({
+          success: false,
+          message: `API key is missing the ${scope} scope.`
+        });
+      }
+      
+      req.apiKey = apiKey;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
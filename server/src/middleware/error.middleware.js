@@ -17,6 +17,13 @@ exports.errorHandler = (err, req, res, next) => {
     message = `Validation failed: ${errors.join(', ')}`;
   }
   
+  // Handle password policy violations - list every broken rule
+  let errors;
+  if (err.name === 'PasswordPolicyError') {
+    statusCode = 400;
+    errors = err.errors;
+  }
+  
   // Handle Mongoose duplicate key errors
   if (err.code === 11000) {
     statusCode = 400;
@@ -45,6 +52,7 @@ exports.errorHandler = (err, req, res, next) => {
   res.status(statusCode).json({
     success: false,
     message,
+    errors,
     stack: process.env.NODE_ENV === 'development' ? err.stack : undefined
   });
 };
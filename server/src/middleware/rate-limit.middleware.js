@@ -0,0 +1,18 @@
+// rate-limit.middleware.js - Rate limiting middleware
+
+const rateLimit = require('express-rate-limit');
+const securityConfig = require('../config/security');
+
+/**
+ * Stricter per-IP limiter for credential endpoints (login, password reset, two-factor)
+ */
+exports.authLimiter = rateLimit({
+  windowMs: securityConfig.authRateLimit.windowMinutes * 60 * 1000,
+  max: securityConfig.authRateLimit.max,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many authentication attempts from this IP. Please try again later.'
+  }
+});
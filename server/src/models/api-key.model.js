@@ -0,0 +1,113 @@
+// api-key.model.js - API keys for devices and gateway service accounts posting data without a user
+
+const mongoose = require('mongoose');
+const { tenantPlugin } = require('./plugins/tenant.plugin');
+
+// What an API key may do
+const API_KEY_SCOPES = ['data:write', 'status:write'];
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a name for the API key'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  // Device keys act for one device; gateway keys act for any device in their organisation
+  type: {
+    type: String,
+    enum: ['device', 'gateway'],
+    required: [true, 'API key type is required']
+  },
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: [
+      function() { return this.type === 'device'; },
+      'Device API keys must reference a device'
+    ]
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'API keys need at least one scope'
+    }
+  },
+  // Public part of the key, used to look it up and to identify it in lists
+  keyPrefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Only the hash of the secret is stored; the full key is shown once when issued
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date
+  },
+  rotatedAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    // Never send the hash, even when the key was just issued or rotated
+    transform: (doc, ret) => {
+      delete ret.keyHash;
+      return ret;
+    }
+  }
+});
+
+// Indexes for faster queries
+apiKeySchema.index({ device: 1 }, { sparse: true });
+
+// Keys belong to the organisation of the devices they post for
+apiKeySchema.plugin(tenantPlugin);
+
+// Method to check if the key can still be used
+apiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+};
+
+// Method to check if the key was granted a scope
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Method to check if the key may act for a device from its own organisation
+apiKeySchema.methods.appliesToDevice = function(device) {
+  if (this.type === 'gateway') return true;
+  return this.device.toString() === device._id.toString();
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = {
+  ApiKey,
+  API_KEY_SCOPES
+};
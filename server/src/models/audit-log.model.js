@@ -0,0 +1,94 @@
+// audit-log.model.js - Append-only record of access to protected health information
+
+const mongoose = require('mongoose');
+const { tenantPlugin } = require('./plugins/tenant.plugin');
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set instead of actor when a device or gateway authenticated with an API key
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  // Role at the time of the action - the user's role may change later
+  actorRole: {
+    type: String
+  },
+  action: {
+    type: String,
+    enum: ['create', 'read', 'update', 'delete', 'export'],
+    required: [true, 'Audit action is required']
+  },
+  resourceType: {
+    type: String,
+    enum: ['Patient', 'Device', 'EMGData', 'EMSData', 'User', 'AuditLog', 'EmergencyAccess', 'ApiKey'],
+    required: [true, 'Audit resource type is required']
+  },
+  resourceId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Patient whose information was involved, for "who accessed my record" reports
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  },
+  // Set when the actor used break-the-glass access, so the entry is flagged for review
+  emergencyAccess: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmergencyAccess'
+  },
+  // Names of changed fields only - never the values, which may be PHI
+  changedFields: [String],
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.plugin(tenantPlugin);
+
+// Indexes for faster queries
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ patient: 1, createdAt: -1 });
+auditLogSchema.index({ resourceType: 1, resourceId: 1, createdAt: -1 });
+auditLogSchema.index({ emergencyAccess: 1, createdAt: -1 }, { sparse: true });
+auditLogSchema.index({ apiKey: 1, createdAt: -1 }, { sparse: true });
+
+/**
+ * Reject any attempt to change or remove audit entries
+ * @param {Function} next - Mongoose middleware callback
+ */
+function rejectModification(next) {
+  next(new Error('Audit log entries are append-only'));
+}
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectModification(next);
+  next();
+});
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectModification
+);
+auditLogSchema.pre(
+  ['deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'],
+  { document: false, query: true },
+  rejectModification
+);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectModification);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -1,6 +1,9 @@
 // data.model.js - Model for EMG/EMS data
 
 const mongoose = require('mongoose');
+const { tenantPlugin } = require('./plugins/tenant.plugin');
+const { encryptionPlugin } = require('./plugins/encryption.plugin');
+const { isSessionDataEncrypted } = require('../config/encryption');
 
 // Schema for individual data points
 const dataPointSchema = new mongoose.Schema({
@@ -131,6 +134,113 @@ const emsDataSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Schema for signal data appended to an encrypted session after it was created.
+// Each batch is encrypted on its own, so appending never rewrites the session's ciphertext.
+const sessionChunkSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'sessionModel',
+    required: [true, 'Chunk must reference its session']
+  },
+  sessionModel: {
+    type: String,
+    enum: ['EMGData', 'EMSData'],
+    required: [true, 'Chunk must record its session type']
+  },
+  dataPoints: [dataPointSchema]
+}, {
+  timestamps: true
+});
+
+/**
+ * Mongoose plugin adding statics that append to and read a session's signal data
+ * @param {Object} schema - EMG or EMS session schema
+ * @param {Object} options - Plugin options
+ * @param {string} options.field - Path of the signal data (dataPoints or responseData)
+ */
+const sessionDataPlugin = (schema, { field }) => {
+  /**
+   * Append data points to a session and move its end time. Without session encryption
+   * they are $push-ed; with it, each batch is saved as its own encrypted chunk.
+   * @param {Object} session - Session document (only _id and organization are used)
+   * @param {Array<Object>} [points] - Data points to append
+   */
+  schema.statics.appendData = async function(session, points = []) {
+    const endTime = new Date();
+
+    if (!isSessionDataEncrypted()) {
+      await this.updateOne({ _id: session._id }, { $push: { [field]: { $each: points } }, $set: { endTime } });
+      return;
+    }
+
+    if (points.length > 0) {
+      await SessionChunk.create({
+        session: session._id,
+        sessionModel: this.modelName,
+        organization: session.organization,
+        dataPoints: points
+      });
+    }
+    await this.updateOne({ _id: session._id }, { endTime });
+  };
+
+  /**
+   * Add the data points stored in chunks to loaded sessions, in the order they were appended.
+   * The sessions cannot be saved afterwards, as that would store the chunked points twice.
+   * @param {Array<Object>} sessions - Session documents loaded with their signal data
+   * @returns {Promise<Array<Object>>} The same sessions
+   */
+  schema.statics.loadChunkedData = async function(sessions) {
+    if (!isSessionDataEncrypted() || sessions.length === 0) return sessions;
+
+    const chunks = await SessionChunk.find({ session: { $in: sessions.map((session) => session._id) } })
+      .sort({ createdAt: 1, _id: 1 });
+    const sessionsById = new Map(sessions.map((session) => [session._id.toString(), session]));
+
+    chunks.forEach((chunk) => {
+      const session = sessionsById.get(chunk.session.toString());
+      chunk.dataPoints.forEach((point) => session[field].push(point.toObject()));
+    });
+    sessions.forEach((session) => { session.$locals.chunkedDataLoaded = true; });
+
+    return sessions;
+  };
+
+  schema.pre('save', function(next) {
+    if (this.$locals.chunkedDataLoaded) {
+      return next(new Error(`${this.constructor.modelName} ${this._id} was loaded with its chunked data and cannot be saved`));
+    }
+    next();
+  });
+};
+
+emgDataSchema.plugin(sessionDataPlugin, { field: 'dataPoints' });
+emsDataSchema.plugin(sessionDataPlugin, { field: 'responseData' });
+
+// Sessions and their chunks belong to the patient's organisation
+emgDataSchema.plugin(tenantPlugin);
+emsDataSchema.plugin(tenantPlugin);
+sessionChunkSchema.plugin(tenantPlugin);
+
+// Optionally encrypt signal data and free-text metadata. The references, times and sync
+// status used to query sessions stay in plaintext.
+if (isSessionDataEncrypted()) {
+  emgDataSchema.plugin(encryptionPlugin, {
+    collectionId: 'EMGData',
+    encryptedFields: ['dataPoints', 'metadata.muscleGroup', 'metadata.notes'],
+    allowUnencrypted: true
+  });
+  emsDataSchema.plugin(encryptionPlugin, {
+    collectionId: 'EMSData',
+    encryptedFields: ['responseData', 'metadata.muscleGroup', 'metadata.notes'],
+    allowUnencrypted: true
+  });
+  sessionChunkSchema.plugin(encryptionPlugin, {
+    collectionId: 'SessionChunk',
+    encryptedFields: ['dataPoints']
+  });
+}
+
 // Indexes for faster queries
 emgDataSchema.index({ device: 1, patient: 1, startTime: -1 });
 emgDataSchema.index({ sessionId: 1 });
@@ -140,11 +250,15 @@ emsDataSchema.index({ device: 1, patient: 1, startTime: -1 });
 emsDataSchema.index({ sessionId: 1 });
 emsDataSchema.index({ 'syncStatus.synced': 1 });
 
+sessionChunkSchema.index({ session: 1, createdAt: 1 });
+
 // Create models
 const EMGData = mongoose.model('EMGData', emgDataSchema);
 const EMSData = mongoose.model('EMSData', emsDataSchema);
+const SessionChunk = mongoose.model('SessionChunk', sessionChunkSchema);
 
 module.exports = {
   EMGData,
-  EMSData
+  EMSData,
+  SessionChunk
 };
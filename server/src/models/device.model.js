@@ -1,7 +1,18 @@
 // device.model.js - Device model for EMG/EMS devices
 
 const mongoose = require('mongoose');
-const encrypt = require('mongoose-encryption');
+const { careTeamPlugin, DEVICE_PERMISSIONS } = require('./plugins/care-team.plugin');
+const { tenantPlugin } = require('./plugins/tenant.plugin');
+const { archivePlugin } = require('./plugins/archive.plugin');
+const { encryptionPlugin } = require('./plugins/encryption.plugin');
+const { blindIndex, normalizeHardwareId } = require('../utils/blind-index.utils');
+const { rejectFieldUpdates } = require('../utils/db.utils');
+
+// Bump when the search index changes, so npm run db:init rebuilds existing indexes
+const SEARCH_INDEX_VERSION = 1;
+
+// Fields the search index is built from
+const SEARCH_INDEXED_FIELDS = ['macAddress', 'connectionDetails'];
 
 const deviceSchema = new mongoose.Schema({
   serialNumber: {
@@ -82,15 +93,15 @@ const deviceSchema = new mongoose.Schema({
       }
     }
   },
+  // Shared pool devices can be used by everyone in the organisation
+  sharedWithOrganization: {
+    type: Boolean,
+    default: false
+  },
   assignedPatient: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Patient'
   },
-  assignedDoctor: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: [true, 'Device must be assigned to a doctor']
-  },
   connectionDetails: {
     connectionType: {
       type: String,
@@ -107,19 +118,72 @@ const deviceSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     }
+  },
+  // Keyed hashes of the encrypted hardware identifiers, for exact-match lookup
+  searchIndex: {
+    type: new mongoose.Schema({
+      version: Number,
+      macAddress: String,
+      bluetoothId: String
+    }, { _id: false }),
+    select: false
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.searchIndex;
+      return ret;
+    }
+  }
 });
 
-// Encrypt sensitive fields
-const encKey = process.env.ENCRYPTION_KEY;
-const sigKey = process.env.SIGNING_KEY;
+// Indexes for device lookup
+deviceSchema.index({ organization: 1, 'searchIndex.macAddress': 1 });
+deviceSchema.index({ organization: 1, 'searchIndex.bluetoothId': 1 });
+
+// Method to rebuild the search index from the current (decrypted) values (changes are not saved)
+deviceSchema.methods.updateSearchIndex = function() {
+  const macAddress = normalizeHardwareId(this.macAddress || '');
+  const bluetoothId = normalizeHardwareId((this.connectionDetails && this.connectionDetails.bluetoothId) || '');
+
+  this.searchIndex = {
+    version: SEARCH_INDEX_VERSION,
+    macAddress: macAddress ? blindIndex('mac', macAddress) : undefined,
+    bluetoothId: bluetoothId ? blindIndex('bluetooth', bluetoothId) : undefined
+  };
+};
+
+// Static to find devices whose search index is missing or out of date
+deviceSchema.statics.staleSearchIndexFilter = function() {
+  return { 'searchIndex.version': { $ne: SEARCH_INDEX_VERSION } };
+};
+
+// Keep the search index in step with the indexed fields. Runs before
+// the encryption plugin encrypts them on save.
+deviceSchema.pre('validate', function(next) {
+  if (this.isNew || SEARCH_INDEXED_FIELDS.some((path) => this.isModified(path))) {
+    this.updateSearchIndex();
+  }
+  next();
+});
+
+// Indexed fields cannot be changed with query updates, which would leave the index stale
+deviceSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectFieldUpdates(SEARCH_INDEXED_FIELDS, 'is in the search index')
+);
+
+// Clinicians, technicians and observers who share this device
+deviceSchema.plugin(careTeamPlugin, { permissions: DEVICE_PERMISSIONS });
+deviceSchema.plugin(tenantPlugin);
+
+// Records are archived rather than deleted
+deviceSchema.plugin(archivePlugin);
 
-// Only encrypt sensitive fields
-deviceSchema.plugin(encrypt, {
-  encryptionKey: encKey,
-  signingKey: sigKey,
+// Only encrypt sensitive fields, with the active key from the keyring
+deviceSchema.plugin(encryptionPlugin, {
+  collectionId: 'Device',
   encryptedFields: ['macAddress', 'connectionDetails.ipAddress', 'connectionDetails.bluetoothId']
 });
 
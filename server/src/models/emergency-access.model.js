@@ -0,0 +1,67 @@
+// emergency-access.model.js - Break-the-glass grants giving time-boxed read access to a patient
+
+const mongoose = require('mongoose');
+const { tenantPlugin } = require('./plugins/tenant.plugin');
+
+const emergencyAccessSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Emergency access must reference a user']
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Emergency access must reference a patient']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please provide a reason for emergency access'],
+    trim: true,
+    minlength: [10, 'Please describe the emergency in at least 10 characters'],
+    maxlength: [1000, 'Reason cannot be more than 1000 characters']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Ended early by an admin or the patient's owner
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Every grant is reviewed after the fact
+  reviewedAt: {
+    type: Date
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewNotes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review notes cannot be more than 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+emergencyAccessSchema.index({ patient: 1, user: 1, expiresAt: -1 });
+emergencyAccessSchema.index({ reviewedAt: 1, createdAt: -1 });
+
+// Grants belong to the patient's organisation
+emergencyAccessSchema.plugin(tenantPlugin);
+
+// Method to check if the grant still gives access
+emergencyAccessSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+const EmergencyAccess = mongoose.model('EmergencyAccess', emergencyAccessSchema);
+
+module.exports = EmergencyAccess;
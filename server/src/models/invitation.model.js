@@ -0,0 +1,84 @@
+// invitation.model.js - Admin-issued invitation to create an account
+
+const mongoose = require('mongoose');
+const { tenantPlugin } = require('./plugins/tenant.plugin');
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email']
+  },
+  role: {
+    type: String,
+    enum: ['doctor', 'admin', 'technician', 'patient'],
+    required: [true, 'Role is required']
+  },
+  // Patient record the account is created for (patient invitations only)
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [
+      function() { return this.role === 'patient'; },
+      'Patient invitations must reference a patient record'
+    ]
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Invitation token hash is required'],
+    unique: true,
+    select: false // Never return the token hash in queries
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Invitation must have an issuer']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Invitation expiry is required']
+  },
+  acceptedAt: {
+    type: Date
+  },
+  acceptedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for faster queries
+invitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+
+// Virtual for the invitation state
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+// Method to check if the invitation can still be accepted
+invitationSchema.methods.isPending = function() {
+  return this.status === 'pending';
+};
+
+// The invitee joins the organisation of the invitation
+invitationSchema.plugin(tenantPlugin);
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
@@ -0,0 +1,104 @@
+// patient-merge.model.js - Record of duplicate patients merged into another patient
+
+const mongoose = require('mongoose');
+const { tenantPlugin } = require('./plugins/tenant.plugin');
+const { encryptionPlugin } = require('./plugins/encryption.plugin');
+
+const patientMergeSchema = new mongoose.Schema({
+  // Patient that was kept
+  survivor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Merge must reference the patient that was kept']
+  },
+  // Patient that was merged into the survivor and archived
+  duplicate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Merge must reference the duplicate patient']
+  },
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Merge must record who made it']
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  // Fields taken from the duplicate as a whole instead of being combined
+  keptFromDuplicate: [String],
+  status: {
+    type: String,
+    enum: ['merged', 'undone'],
+    default: 'merged'
+  },
+  undoneBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  undoneAt: {
+    type: Date
+  },
+  // Latest version of the survivor after the merge; the merge can only be undone while it still is
+  survivorVersion: {
+    type: Number,
+    default: 0
+  },
+  // The survivor's versioned fields before the merge (encrypted)
+  survivorSnapshot: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  duplicateWasActive: {
+    type: Boolean,
+    default: true
+  },
+  // Records moved from the duplicate to the survivor, moved back when the merge is undone
+  moved: {
+    devices: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device'
+    }],
+    emgSessions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EMGData'
+    }],
+    emsSessions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EMSData'
+    }],
+    // Patient portal accounts and invitations of the duplicate
+    users: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    invitations: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invitation'
+    }],
+    // Care team members of the duplicate who were added to the survivor
+    careTeamMembers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+patientMergeSchema.index({ survivor: 1, createdAt: -1 });
+patientMergeSchema.index({ duplicate: 1, createdAt: -1 });
+
+// Merges belong to the patients' organisation
+patientMergeSchema.plugin(tenantPlugin);
+
+// The snapshot holds the same personal and medical details as the patient
+patientMergeSchema.plugin(encryptionPlugin, {
+  collectionId: 'PatientMerge',
+  encryptedFields: ['survivorSnapshot']
+});
+
+const PatientMerge = mongoose.model('PatientMerge', patientMergeSchema);
+
+module.exports = PatientMerge;
@@ -0,0 +1,65 @@
+// patient-transfer.model.js - History of patients moved between clinicians
+
+const mongoose = require('mongoose');
+const { tenantPlugin } = require('./plugins/tenant.plugin');
+
+const patientTransferSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Transfer must reference a patient']
+  },
+  fromUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Transfer must have a previous owner']
+  },
+  toUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Transfer must have a new owner']
+  },
+  transferredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Transfer must record who made it']
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  // Set when the transfer was part of an admin "transfer all patients" operation
+  bulk: {
+    type: Boolean,
+    default: false
+  },
+  devices: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device'
+  }],
+  // Number of EMG/EMS sessions re-attributed to the new owner
+  sessionsTransferred: {
+    emg: {
+      type: Number,
+      default: 0
+    },
+    ems: {
+      type: Number,
+      default: 0
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+patientTransferSchema.index({ patient: 1, createdAt: -1 });
+patientTransferSchema.index({ fromUser: 1, createdAt: -1 });
+patientTransferSchema.index({ toUser: 1, createdAt: -1 });
+
+// Transfers belong to the patient's organisation
+patientTransferSchema.plugin(tenantPlugin);
+
+const PatientTransfer = mongoose.model('PatientTransfer', patientTransferSchema);
+
+module.exports = PatientTransfer;
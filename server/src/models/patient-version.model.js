@@ -0,0 +1,75 @@
+// patient-version.model.js - Version history of patient records
+
+const mongoose = require('mongoose');
+const { tenantPlugin } = require('./plugins/tenant.plugin');
+const { encryptionPlugin } = require('./plugins/encryption.plugin');
+
+// Patient fields kept in each version and restored when a version is reverted to
+const PATIENT_VERSIONED_FIELDS = [
+  'firstName',
+  'lastName',
+  'dateOfBirth',
+  'gender',
+  'contactInformation',
+  'medicalInformation',
+  'treatmentPlan',
+  'isActive'
+];
+
+const patientVersionSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Patient reference is required']
+  },
+  // Increases by one with every change to the patient, starting at 1
+  version: {
+    type: Number,
+    required: [true, 'Version number is required']
+  },
+  // baseline: the record as it was before its first recorded change
+  action: {
+    type: String,
+    enum: ['baseline', 'create', 'import', 'update', 'revert', 'archive', 'restore', 'merge', 'unmerge'],
+    required: [true, 'Version action is required']
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Paths that changed, without their values
+  changedFields: [String],
+  // Version a revert went back to
+  revertedFrom: {
+    type: Number
+  },
+  // The versioned fields after the change (encrypted)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // { path, from, to } for each changed path (encrypted)
+  changes: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for faster queries
+patientVersionSchema.index({ patient: 1, version: -1 }, { unique: true });
+
+// Versions belong to the patient's organisation
+patientVersionSchema.plugin(tenantPlugin);
+
+// Versions hold the same personal and medical details as the patient
+patientVersionSchema.plugin(encryptionPlugin, {
+  collectionId: 'PatientVersion',
+  encryptedFields: ['snapshot', 'changes']
+});
+
+const PatientVersion = mongoose.model('PatientVersion', patientVersionSchema);
+
+module.exports = {
+  PatientVersion,
+  PATIENT_VERSIONED_FIELDS
+};
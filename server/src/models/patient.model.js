@@ -1,7 +1,18 @@
 // patient.model.js - Patient model
 
 const mongoose = require('mongoose');
-const encrypt = require('mongoose-encryption');
+const { careTeamPlugin, PATIENT_PERMISSIONS } = require('./plugins/care-team.plugin');
+const { tenantPlugin } = require('./plugins/tenant.plugin');
+const { archivePlugin } = require('./plugins/archive.plugin');
+const { encryptionPlugin } = require('./plugins/encryption.plugin');
+const { blindIndex, prefixBlindIndexes, normalizePhoneNumber } = require('../utils/blind-index.utils');
+const { rejectFieldUpdates } = require('../utils/db.utils');
+
+// Bump when the search index changes, so npm run db:init rebuilds existing indexes
+const SEARCH_INDEX_VERSION = 2;
+
+// Fields the search index is built from
+const SEARCH_INDEXED_FIELDS = ['firstName', 'lastName', 'medicalInformation', 'contactInformation'];
 
 const patientSchema = new mongoose.Schema({
   firstName: {
@@ -48,11 +59,6 @@ const patientSchema = new mongoose.Schema({
     medications: [String],
     notes: String
   },
-  assignedDoctor: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: [true, 'Patient must be assigned to a doctor']
-  },
   devices: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Device'
@@ -62,16 +68,65 @@ const patientSchema = new mongoose.Schema({
     endDate: Date,
     goals: [String],
     frequency: String,
-    notes: String
+    notes: String,
+    // Planned sessions, shown to the patient in the portal
+    scheduledSessions: [{
+      scheduledAt: {
+        type: Date,
+        required: [true, 'Scheduled session time is required']
+      },
+      type: {
+        type: String,
+        enum: ['EMG', 'EMS']
+      },
+      durationMinutes: Number,
+      location: String,
+      notes: String
+    }]
   },
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Set on a duplicate record that was merged into another patient
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  },
+  // Last version number given out for the patient's history, increased atomically so
+  // concurrent changes never get the same number (missing on patients versioned before it)
+  versionCount: {
+    type: Number,
+    select: false
+  },
+  // Keyed hashes of name prefixes, medical condition tags and contact details, so patients
+  // can be searched without storing searchable plaintext next to the encrypted fields
+  searchIndex: {
+    type: new mongoose.Schema({
+      version: Number,
+      names: [String],
+      conditions: [String],
+      email: String,
+      phoneNumber: String
+    }, { _id: false }),
+    select: false
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.searchIndex;
+      return ret;
+    }
+  }
 });
 
+// Indexes for patient search
+patientSchema.index({ organization: 1, 'searchIndex.names': 1 });
+patientSchema.index({ organization: 1, 'searchIndex.conditions': 1 });
+patientSchema.index({ organization: 1, 'searchIndex.email': 1 });
+patientSchema.index({ organization: 1, 'searchIndex.phoneNumber': 1 });
+
 // Virtual for full name
 patientSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
@@ -92,14 +147,51 @@ patientSchema.virtual('age').get(function() {
   return age;
 });
 
-// Encrypt sensitive fields
-const encKey = process.env.ENCRYPTION_KEY;
-const sigKey = process.env.SIGNING_KEY;
+// Method to rebuild the search index from the current (decrypted) values (changes are not saved)
+patientSchema.methods.updateSearchIndex = function() {
+  const conditions = (this.medicalInformation && this.medicalInformation.medicalConditions) || [];
+  const { email, phoneNumber } = this.contactInformation || {};
+  const phoneDigits = phoneNumber ? normalizePhoneNumber(phoneNumber) : '';
+
+  this.searchIndex = {
+    version: SEARCH_INDEX_VERSION,
+    names: prefixBlindIndexes('name', [this.firstName, this.lastName]),
+    conditions: [...new Set(conditions.map((condition) => blindIndex('condition', condition)))],
+    email: email ? blindIndex('email', email) : undefined,
+    phoneNumber: phoneDigits ? blindIndex('phone', phoneDigits) : undefined
+  };
+};
+
+// Static to find patients whose search index is missing or out of date
+patientSchema.statics.staleSearchIndexFilter = function() {
+  return { 'searchIndex.version': { $ne: SEARCH_INDEX_VERSION } };
+};
+
+// Keep the search index in step with the indexed fields. Runs before
+// the encryption plugin encrypts them on save.
+patientSchema.pre('validate', function(next) {
+  if (this.isNew || SEARCH_INDEXED_FIELDS.some((path) => this.isModified(path))) {
+    this.updateSearchIndex();
+  }
+  next();
+});
+
+// Indexed fields cannot be changed with query updates, which would leave the index stale
+patientSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectFieldUpdates(SEARCH_INDEXED_FIELDS, 'is in the search index')
+);
+
+// Clinicians, technicians and observers who share this patient
+patientSchema.plugin(careTeamPlugin, { permissions: PATIENT_PERMISSIONS });
+patientSchema.plugin(tenantPlugin);
+
+// Records are archived rather than deleted
+patientSchema.plugin(archivePlugin);
 
-// Only encrypt sensitive fields
-patientSchema.plugin(encrypt, {
-  encryptionKey: encKey,
-  signingKey: sigKey,
+// Only encrypt sensitive fields, with the active key from the keyring
+patientSchema.plugin(encryptionPlugin, {
+  collectionId: 'Patient',
   encryptedFields: [
     'contactInformation.email', 
     'contactInformation.phoneNumber', 
@@ -0,0 +1,71 @@
+// archive.plugin.js - Archiving (soft deletion) of medical records
+
+const mongoose = require('mongoose');
+
+// Days an archived record is kept before it may be purged, unless RECORD_RETENTION_DAYS is set
+const DEFAULT_RETENTION_DAYS = 3650;
+
+/**
+ * Get the number of days archived records must be kept
+ * @returns {number} Retention period in days
+ */
+const getRetentionDays = () => {
+  const days = parseInt(process.env.RECORD_RETENTION_DAYS);
+  return Number.isNaN(days) ? DEFAULT_RETENTION_DAYS : days;
+};
+
+/**
+ * Mongoose plugin for records that are archived instead of deleted.
+ * Archived records are inactive and read-only; they can be restored, and only
+ * purged for good once the retention period has passed.
+ * The schema must have an isActive flag.
+ * @param {Object} schema - Mongoose schema
+ */
+const archivePlugin = (schema) => {
+  schema.add({
+    archivedAt: {
+      type: Date
+    },
+    archivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  });
+
+  schema.index({ archivedAt: 1 });
+
+  // Method to archive the record
+  schema.methods.archive = function(user) {
+    this.isActive = false;
+    this.archivedAt = new Date();
+    this.archivedBy = user._id;
+  };
+
+  // Method to restore an archived record
+  schema.methods.restore = function() {
+    this.isActive = true;
+    this.archivedAt = undefined;
+    this.archivedBy = undefined;
+  };
+
+  // Method to get the date the record may be purged, or null if it is not archived
+  schema.methods.retainedUntil = function() {
+    if (!this.archivedAt) return null;
+    return new Date(this.archivedAt.getTime() + getRetentionDays() * 24 * 60 * 60 * 1000);
+  };
+
+  /**
+   * Build a filter from the ?archived= list option
+   * @param {string} [archived] - "true" for archived records only, "all" for both; active records by default
+   * @returns {Object} Mongoose query filter
+   */
+  schema.statics.archivedFilter = function(archived) {
+    if (archived === 'all') return {};
+    if (archived === 'true') return { archivedAt: { $ne: null } };
+    return { archivedAt: null };
+  };
+};
+
+module.exports = {
+  archivePlugin
+};
@@ -0,0 +1,129 @@
+// care-team.plugin.js - Shared care team for patients and devices
+
+const mongoose = require('mongoose');
+
+// Care team roles, from most to least privileged
+const CARE_TEAM_ROLES = ['owner', 'clinician', 'technician', 'read-only'];
+
+// What each care team role may do with a patient.
+// read: view the record and its EMG/EMS data
+// write: update the record and record data
+// manage: change the care team and delete the record
+const PATIENT_PERMISSIONS = {
+  owner: ['read', 'write', 'manage'],
+  clinician: ['read', 'write'],
+  technician: ['read'],
+  'read-only': ['read']
+};
+
+// Technicians configure and operate devices, so they may write to them
+const DEVICE_PERMISSIONS = {
+  owner: ['read', 'write', 'manage'],
+  clinician: ['read', 'write'],
+  technician: ['read', 'write'],
+  'read-only': ['read']
+};
+
+const careTeamMemberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Care team member must reference a user']
+  },
+  role: {
+    type: String,
+    enum: CARE_TEAM_ROLES,
+    required: [true, 'Care team role is required']
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+/**
+ * Get the ID of a care team member's user, whether or not it is populated
+ * @param {Object} member - Care team member
+ * @returns {string} User ID
+ */
+const memberUserId = (member) => (member.user._id || member.user).toString();
+
+/**
+ * Mongoose plugin adding a care team and permission checks to a schema
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - Plugin options
+ * @param {Object} options.permissions - Map of care team role to allowed permissions
+ */
+const careTeamPlugin = (schema, { permissions }) => {
+  schema.add({
+    careTeam: {
+      type: [careTeamMemberSchema],
+      validate: {
+        validator: (members) => members.some((member) => member.role === 'owner'),
+        message: 'Care team must have at least one owner'
+      }
+    }
+  });
+
+  // Index for listing everything a user is on the care team of
+  schema.index({ 'careTeam.user': 1 });
+
+  // Method to get a user's care team role, or null if they are not a member
+  schema.methods.getCareTeamRole = function(user) {
+    const userId = (user._id || user).toString();
+    const member = (this.careTeam || []).find((entry) => memberUserId(entry) === userId);
+    return member ? member.role : null;
+  };
+
+  // Method to check if a user's care team role grants a permission (read, write or manage)
+  schema.methods.hasCareTeamPermission = function(user, permission) {
+    const role = this.getCareTeamRole(user);
+    return Boolean(role && permissions[role].includes(permission));
+  };
+
+  // Method to get the first owner's user ID, e.g. to attribute data recorded without a user
+  schema.methods.getCareTeamOwner = function() {
+    const owner = (this.careTeam || []).find((member) => member.role === 'owner');
+    return owner ? owner.user._id || owner.user : null;
+  };
+
+  // Method to hand a member's place on the care team to another user (changes are not saved).
+  // The new member keeps the more privileged of the two roles if they were already on the team.
+  // Returns false if the previous member is not on the care team.
+  schema.methods.transferCareTeamMember = function(fromUser, toUser, addedBy) {
+    const fromId = (fromUser._id || fromUser).toString();
+    const toId = (toUser._id || toUser).toString();
+    const previous = (this.careTeam || []).find((member) => memberUserId(member) === fromId);
+
+    if (!previous) return false;
+
+    const existingRole = this.getCareTeamRole(toUser);
+    const role = existingRole && CARE_TEAM_ROLES.indexOf(existingRole) < CARE_TEAM_ROLES.indexOf(previous.role)
+      ? existingRole
+      : previous.role;
+
+    this.careTeam = this.careTeam
+      .filter((member) => ![fromId, toId].includes(memberUserId(member)))
+      .concat({ user: toUser._id || toUser, role, addedBy: addedBy._id || addedBy });
+
+    return true;
+  };
+
+  // Static to build a query filter for records a user is on the care team of
+  schema.statics.careTeamFilter = function(user) {
+    return { 'careTeam.user': user._id };
+  };
+};
+
+module.exports = {
+  CARE_TEAM_ROLES,
+  PATIENT_PERMISSIONS,
+  DEVICE_PERMISSIONS,
+  careTeamPlugin
+};
@@ -0,0 +1,137 @@
+// encryption.plugin.js - Field encryption with versioned keys, built on mongoose-encryption
+
+const mongoose = require('mongoose');
+const encrypt = require('mongoose-encryption');
+const { getKeyring, LEGACY_KEY_VERSION } = require('../../config/encryption');
+const { rejectFieldUpdates } = require('../../utils/db.utils');
+
+// Fields that must be selected together for a document to be authenticated and decrypted
+const CIPHERTEXT_FIELDS = ['_ct', '_ac', '_kv'];
+
+/**
+ * Get mongoose-encryption's document methods bound to one key.
+ * The plugin keeps its keys in a closure, so each key gets its own instance on a
+ * throwaway schema; its middleware is disabled and the hooks below call the methods.
+ * @param {Object} key - encryptionKey and signingKey (base64)
+ * @param {Object} options - encryptedFields and collectionId
+ * @returns {Object} encrypt, sign, authenticateSync and decryptSync
+ */
+const createKeyMethods = (key, { encryptedFields, collectionId }) => {
+  const keySchema = new mongoose.Schema({});
+
+  keySchema.plugin(encrypt, {
+    encryptionKey: key.encryptionKey,
+    signingKey: key.signingKey,
+    encryptedFields,
+    collectionId,
+    middleware: false
+  });
+
+  return keySchema.methods;
+};
+
+/**
+ * Remove a (dotted) path from a plain object
+ * @param {Object} obj - Object to change
+ * @param {string} path - Path to remove
+ */
+const unsetPath = (obj, path) => {
+  const parts = path.split('.');
+  const parent = parts.slice(0, -1).reduce((value, part) => (value ? value[part] : undefined), obj);
+  if (parent) delete parent[parts[parts.length - 1]];
+};
+
+/**
+ * Mongoose plugin encrypting fields with the active key from the keyring and decrypting
+ * them with whichever key version they were written with. Ciphertext is stored exactly
+ * as mongoose-encryption stores it, plus the key version (_kv).
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - Plugin options
+ * @param {Array<string>} options.encryptedFields - Paths to encrypt
+ * @param {string} options.collectionId - Model name, used to authenticate the ciphertext
+ * @param {boolean} [options.allowUnencrypted] - Load documents saved before encryption was
+ *   enabled as plaintext; they are encrypted the next time they are saved
+ */
+const encryptionPlugin = (schema, options) => {
+  const { keys, activeVersion } = getKeyring();
+
+  const methodsByVersion = Object.fromEntries(
+    Object.entries(keys).map(([version, key]) => [version, createKeyMethods(key, options)])
+  );
+  const activeMethods = methodsByVersion[activeVersion];
+
+  /**
+   * Get the key methods for a stored key version
+   * @param {string} [version] - Key version; missing on documents from before versioning
+   * @returns {Object} Key methods
+   */
+  const methodsFor = (version = LEGACY_KEY_VERSION) => {
+    if (!methodsByVersion[version]) {
+      throw new Error(`Encryption key version ${version} is not configured in ENCRYPTION_KEYS`);
+    }
+    return methodsByVersion[version];
+  };
+
+  schema.add({
+    _ct: { type: Buffer },
+    _ac: { type: Buffer },
+    // Version of the key the document was encrypted with
+    _kv: { type: String }
+  });
+
+  // Authenticate and decrypt loaded documents with the key they were written with.
+  // Queries selecting none of the ciphertext fields (e.g. access checks) skip both.
+  schema.pre('init', function(data) {
+    const selected = CIPHERTEXT_FIELDS.filter((field) => this.isSelected(field));
+
+    if (selected.length === 0) return;
+    if (selected.length < CIPHERTEXT_FIELDS.length) {
+      throw new Error(`Authentication failed: select all or none of ${CIPHERTEXT_FIELDS.join(', ')}`);
+    }
+
+    if (options.allowUnencrypted && !data._ct && !data._ac) return;
+
+    const methods = methodsFor(data._kv);
+    methods.authenticateSync.call(data, options.collectionId);
+    methods.decryptSync.call(data);
+
+    // Every encrypted field comes out of the ciphertext, so drop the ones the query excluded
+    const excluded = options.encryptedFields.filter((field) => !this.isSelected(field));
+    excluded.forEach((field) => unsetPath(data, field));
+    if (excluded.length > 0) this.$locals.encryptedFieldsExcluded = true;
+  });
+
+  // Always encrypt and sign with the active key, so saving a document moves it to that key
+  schema.pre('save', function(next) {
+    if (!this.isNew && !this.isSelected('_ct')) return next();
+
+    // Re-encrypting without the excluded fields would lose them
+    if (this.$locals.encryptedFieldsExcluded) {
+      return next(new Error(`${options.collectionId} ${this._id} was loaded without some encrypted fields and cannot be saved`));
+    }
+
+    activeMethods.encrypt.call(this, (error) => {
+      if (error) return next(error);
+
+      this._kv = activeVersion;
+      this.markModified('_id');
+      this.markModified('_ct');
+      activeMethods.sign.call(this, next);
+    });
+  });
+
+  // Keep using the plaintext values after saving
+  schema.post('save', function(doc) {
+    activeMethods.decryptSync.call(doc);
+  });
+
+  // Query updates would write encrypted fields as plaintext next to the ciphertext
+  schema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+    rejectFieldUpdates(options.encryptedFields, 'is encrypted')
+  );
+};
+
+module.exports = {
+  encryptionPlugin
+};
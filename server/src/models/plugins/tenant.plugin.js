@@ -0,0 +1,22 @@
+// tenant.plugin.js - Organisation scoping for multi-clinic deployments
+
+const mongoose = require('mongoose');
+
+/**
+ * Mongoose plugin adding the owning organisation to a schema.
+ * Records without an organisation belong to the default (single-clinic) tenant.
+ * @param {Object} schema - Mongoose schema
+ */
+const tenantPlugin = (schema) => {
+  schema.add({
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      index: true
+    }
+  });
+};
+
+module.exports = {
+  tenantPlugin
+};
@@ -0,0 +1,46 @@
+// security-event.model.js - Record of security-relevant account events
+
+const mongoose = require('mongoose');
+const { tenantPlugin } = require('./plugins/tenant.plugin');
+
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['account_locked', 'account_unlocked'],
+    required: [true, 'Event type is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Event must reference a user']
+  },
+  // User who caused the event, when it was not the account owner (e.g. an admin unlock)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+
+// Events belong to the user's organisation
+securityEventSchema.plugin(tenantPlugin);
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+
+module.exports = SecurityEvent;
@@ -1,8 +1,11 @@
 // user.model.js - User model for authentication
 
 const mongoose = require('mongoose');
+const { tenantPlugin } = require('./plugins/tenant.plugin');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const securityConfig = require('../config/security');
+const { validatePassword, createPasswordPolicyError } = require('../utils/password.utils');
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -31,9 +34,18 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['doctor', 'admin', 'technician'],
+    enum: ['doctor', 'admin', 'technician', 'patient'],
     default: 'doctor'
   },
+  // Patient record a patient account belongs to
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [
+      function() { return this.role === 'patient'; },
+      'Patient accounts must be linked to a patient record'
+    ]
+  },
   specialization: {
     type: String,
     trim: true
@@ -50,13 +62,81 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
   lastLogin: {
     type: Date
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  lockUntil: {
+    type: Date
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // Hashes of previous passwords, newest first, so they cannot be reused
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    // TOTP secrets and recovery code hashes are never returned in queries
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    }
   }
 }, {
   timestamps: true
 });
 
+// Index for looking up password reset tokens
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+
+// A patient record can have at most one patient account
+userSchema.index({ patient: 1 }, { unique: true, sparse: true });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -64,6 +144,13 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Record when an existing user's password changed so older tokens are rejected.
+    // Backdated by a second because JWT "iat" has second precision.
+    if (!this.isNew) {
+      this.passwordChangedAt = Date.now() - 1000;
+    }
+
     next();
   } catch (error) {
     next(error);
@@ -75,12 +162,126 @@ userSchema.methods.isPasswordMatch = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Method to generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// Method to check if the password changed after a token was issued
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Method to set a new password after checking it against the password policy (changes are not saved)
+// Select the user with +password +passwordHistory so reuse can be detected
+userSchema.methods.setPassword = async function(newPassword) {
+  const { historyCount } = securityConfig.passwordPolicy;
+  const errors = validatePassword(newPassword, this);
+
+  if (errors.length === 0 && historyCount > 0 && this.password) {
+    const recentHashes = [this.password, ...(this.passwordHistory || [])].slice(0, historyCount);
+
+    for (const hash of recentHashes) {
+      if (await bcrypt.compare(newPassword, hash)) {
+        errors.push(historyCount === 1
+          ? 'New password must be different from your current password'
+          : `New password must not match any of your last ${historyCount} passwords`);
+        break;
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw createPasswordPolicyError(errors);
+  }
+
+  // Keep the hash being replaced so it counts towards the history
+  if (this.password && !this.isNew) {
+    this.passwordHistory = [this.password, ...(this.passwordHistory || [])]
+      .slice(0, Math.max(historyCount - 1, 0));
+  }
+
+  this.password = newPassword;
+  this.mustChangePassword = false;
+};
+
+// Method to check if the password is older than the configured maximum age
+userSchema.methods.isPasswordExpired = function() {
+  const { maxAgeDays } = securityConfig.passwordPolicy;
+  const setAt = this.passwordChangedAt || this.createdAt;
+
+  if (!maxAgeDays || !setAt) return false;
+
+  return Date.now() - setAt.getTime() > maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+// Method to check if the user must choose a new password before using the API
+userSchema.methods.isPasswordChangeRequired = function() {
+  return this.mustChangePassword || this.isPasswordExpired();
+};
+
+// Method to check if login attempts are currently blocked
+userSchema.methods.isLoginBlocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Method to check if the account is locked (as opposed to a short progressive delay)
+userSchema.methods.isLockedOut = function() {
+  return this.isLoginBlocked() && this.failedLoginAttempts >= securityConfig.lockout.maxAttempts;
+};
+
+// Method to record a failed login attempt (changes are not saved)
+// Returns true if this attempt locked the account
+userSchema.methods.registerFailedLogin = function() {
+  const { maxAttempts, delayAfterAttempts, maxDelaySeconds, lockoutMinutes } = securityConfig.lockout;
+
+  // A lockout that has run out starts a fresh count
+  if (this.failedLoginAttempts >= maxAttempts && !this.isLoginBlocked()) {
+    this.failedLoginAttempts = 0;
+  }
+
+  this.failedLoginAttempts = (this.failedLoginAttempts || 0) + 1;
+  this.lastFailedLoginAt = new Date();
+
+  if (this.failedLoginAttempts >= maxAttempts) {
+    this.lockUntil = new Date(Date.now() + lockoutMinutes * 60 * 1000);
+    return this.failedLoginAttempts === maxAttempts;
+  }
+
+  if (this.failedLoginAttempts >= delayAfterAttempts) {
+    const delaySeconds = Math.min(
+      2 ** (this.failedLoginAttempts - delayAfterAttempts),
+      maxDelaySeconds
+    );
+    this.lockUntil = new Date(Date.now() + delaySeconds * 1000);
+  }
+
+  return false;
+};
+
+// Method to clear failed login state (changes are not saved)
+userSchema.methods.resetLoginAttempts = function() {
+  this.failedLoginAttempts = 0;
+  this.lastFailedLoginAt = undefined;
+  this.lockUntil = undefined;
+};
+
+// Method to check if the user's role must use two-factor authentication
+userSchema.methods.isTwoFactorRequired = function() {
+  return securityConfig.mfa.requiredRoles.includes(this.role);
+};
+
+// Method to generate a short-lived JWT access token bound to a session
+userSchema.methods.generateAuthToken = function(sessionId) {
+  return jwt.sign(
+    { id: this._id, email: this.email, role: this.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: securityConfig.accessTokenExpiresIn }
+  );
+};
+
+// Method to generate the short-lived challenge token for the second login step
+userSchema.methods.generateMfaChallengeToken = function() {
   return jwt.sign(
-    { id: this._id, email: this.email, role: this.role },
+    { id: this._id, purpose: 'mfa' },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN }
+    { expiresIn: securityConfig.mfa.challengeExpiresIn }
   );
 };
 
@@ -89,6 +290,9 @@ userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
 });
 
+// Organisation the user works for; system admins have none
+userSchema.plugin(tenantPlugin);
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
@@ -0,0 +1,88 @@
+// admin.routes.js - Admin routes
+
+const express = require('express');
+const router = express.Router();
+const { 
+  getUsers, 
+  getLastLoginReport, 
+  getUser, 
+  updateUserRole, 
+  updateUserStatus, 
+  forcePasswordReset, 
+  unlockUser, 
+  getSecurityEvents, 
+  transferUserPatients, 
+  getTransfers, 
+  getAuditLogs, 
+  exportAuditLogs, 
+  getEmergencyAccessGrants, 
+  revokeEmergencyAccess, 
+  reviewEmergencyAccess, 
+  getApiKeys, 
+  createApiKey, 
+  rotateApiKey, 
+  revokeApiKey 
+} = require('../controllers/admin.controller');
+const { 
+  createInvitation, 
+  getInvitations, 
+  revokeInvitation 
+} = require('../controllers/invitation.controller');
+const { 
+  getOrganizations, 
+  createOrganization, 
+  getOrganization, 
+  updateOrganization 
+} = require('../controllers/organization.controller');
+const { authorizeRoles, authorizeSystemAdmin } = require('../middleware/auth.middleware');
+
+// All routes require the admin role; organisation admins only see their own organisation
+router.use(authorizeRoles('admin'));
+
+// Organizations
+router.route('/organizations')
+  .get(authorizeSystemAdmin, getOrganizations)
+  .post(authorizeSystemAdmin, createOrganization);
+router.route('/organizations/:id')
+  .get(getOrganization)
+  .patch(authorizeSystemAdmin, updateOrganization);
+
+// User management
+router.get('/users', getUsers);
+router.get('/users/last-login-report', getLastLoginReport);
+router.get('/users/:id', getUser);
+router.patch('/users/:id/role', updateUserRole);
+router.patch('/users/:id/status', updateUserStatus);
+router.post('/users/:id/force-password-reset', forcePasswordReset);
+router.post('/users/:id/unlock', unlockUser);
+router.post('/users/:id/transfer-patients', transferUserPatients);
+
+// Security events
+router.get('/security-events', getSecurityEvents);
+
+// Patient transfers
+router.get('/transfers', getTransfers);
+
+// PHI audit trail
+router.get('/audit-logs', getAuditLogs);
+router.get('/audit-logs/export', exportAuditLogs);
+
+// Break-the-glass emergency access review
+router.get('/emergency-access', getEmergencyAccessGrants);
+router.post('/emergency-access/:id/revoke', revokeEmergencyAccess);
+router.post('/emergency-access/:id/review', reviewEmergencyAccess);
+
+// Device and gateway API keys
+router.route('/api-keys')
+  .get(getApiKeys)
+  .post(createApiKey);
+router.post('/api-keys/:id/rotate', rotateApiKey);
+router.delete('/api-keys/:id', revokeApiKey);
+
+// Invitations
+router.route('/invitations')
+  .get(getInvitations)
+  .post(createInvitation);
+router.delete('/invitations/:id', revokeInvitation);
+
+module.exports = router;
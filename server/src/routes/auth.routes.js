@@ -3,26 +3,51 @@
 const express = require("express");
 const router = express.Router();
 const {
-  register,
+  acceptInvitation,
   login,
   getMe,
   updateProfile,
   changePassword,
   forgotPassword,
   resetPassword,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeUserSession,
+  getPasswordPolicy,
 } = require("../controllers/auth.controller");
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin,
+} = require("../controllers/two-factor.controller");
 const { authMiddleware } = require("../middleware/auth.middleware");
+const { authLimiter } = require("../middleware/rate-limit.middleware");
 
 // Public routes
-router.post("/register", register);
-router.post("/login", login);
-router.post("/forgot-password", forgotPassword);
-router.post("/reset-password", resetPassword);
+router.post("/accept-invite", acceptInvitation);
+router.post("/login", authLimiter, login);
+router.post("/forgot-password", authLimiter, forgotPassword);
+router.post("/reset-password", authLimiter, resetPassword);
+router.post("/refresh", refreshToken);
+router.get("/password-policy", getPasswordPolicy);
+router.post("/2fa/verify", authLimiter, verifyTwoFactorLogin);
 
 // Protected routes
 router.get("/me", authMiddleware, getMe);
 router.put("/me", authMiddleware, updateProfile);
 router.put("/change-password", authMiddleware, changePassword);
+router.post("/logout", authMiddleware, logout);
+router.get("/sessions", authMiddleware, getSessions);
+router.delete("/sessions/:id", authMiddleware, revokeUserSession);
+
+// Two-factor authentication management
+router.post("/2fa/setup", authMiddleware, setupTwoFactor);
+router.post("/2fa/enable", authMiddleware, enableTwoFactor);
+router.post("/2fa/disable", authMiddleware, disableTwoFactor);
+router.post("/2fa/recovery-codes", authMiddleware, regenerateRecoveryCodes);
 
 
 module.exports = router;
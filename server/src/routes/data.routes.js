@@ -5,23 +5,32 @@ const router = express.Router();
 const { 
   postEMGData, 
   postEMSData, 
+  postDeviceStatus, 
   getPatientEMGData, 
   getPatientEMSData, 
   getEMGSession, 
   getEMSSession 
 } = require('../controllers/data.controller');
-const { authMiddleware } = require('../middleware/auth.middleware');
+const { 
+  authMiddleware, 
+  authorizeStaff, 
+  enforceAccountPolicies, 
+  authenticateUserOrApiKey 
+} = require('../middleware/auth.middleware');
+
+// Uploads also accept device and gateway API keys (X-API-Key header)
+router.post('/emg', authenticateUserOrApiKey('data:write'), postEMGData);
+router.post('/ems', authenticateUserOrApiKey('data:write'), postEMSData);
+router.post('/status', authenticateUserOrApiKey('status:write'), postDeviceStatus);
 
-// All routes require authentication
-router.use(authMiddleware);
+// All other routes require a staff user
+router.use(authMiddleware, enforceAccountPolicies, authorizeStaff);
 
 // EMG data routes
-router.post('/emg', postEMGData);
 router.get('/emg/patient/:patientId', getPatientEMGData);
 router.get('/emg/:id', getEMGSession);
 
 // EMS data routes
-router.post('/ems', postEMSData);
 router.get('/ems/patient/:patientId', getPatientEMSData);
 router.get('/ems/:id', getEMSSession);
 
@@ -4,10 +4,16 @@ const express = require('express');
 const router = express.Router();
 const { 
   getDevices, 
+  lookupDevices, 
   getDevice, 
   registerDevice, 
   updateDevice, 
-  deleteDevice 
+  archiveDevice, 
+  restoreDevice, 
+  purgeDevice, 
+  getDeviceCareTeam, 
+  addDeviceCareTeamMember, 
+  removeDeviceCareTeamMember 
 } = require('../controllers/device.controller');
 const { authMiddleware, authorizeRoles } = require('../middleware/auth.middleware');
 
@@ -19,10 +25,23 @@ router.route('/')
   .get(getDevices)
   .post(registerDevice);
 
-// Get, update and delete a specific device
+// Exact-match lookup on encrypted fields
+router.get('/lookup', lookupDevices);
+
+// Get, update and archive a specific device
 router.route('/:id')
   .get(getDevice)
   .put(updateDevice)
-  .delete(deleteDevice);
+  .delete(archiveDevice);
+
+// Restore an archived device, or delete it for good once the retention period has passed
+router.post('/:id/restore', restoreDevice);
+router.delete('/:id/purge', authorizeRoles('admin'), purgeDevice);
+
+// Care team members
+router.route('/:id/care-team')
+  .get(getDeviceCareTeam)
+  .post(addDeviceCareTeamMember);
+router.delete('/:id/care-team/:userId', removeDeviceCareTeamMember);
 
 module.exports = router;
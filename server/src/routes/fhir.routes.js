@@ -0,0 +1,33 @@
+// fhir.routes.js - FHIR R4 routes
+
+const express = require('express');
+const router = express.Router();
+const { 
+  searchPatients, 
+  readPatient, 
+  createPatient, 
+  patientEverything, 
+  searchObservations, 
+  readObservation, 
+  searchProcedures, 
+  readProcedure 
+} = require('../controllers/fhir.controller');
+
+// Patients
+router.route('/Patient')
+  .get(searchPatients)
+  .post(createPatient);
+router.get('/Patient/:id', readPatient);
+
+// Everything about a patient in one bundle
+router.get('/Patient/:id/\\$everything', patientEverything);
+
+// EMG sessions
+router.get('/Observation', searchObservations);
+router.get('/Observation/:id', readObservation);
+
+// EMS sessions
+router.get('/Procedure', searchProcedures);
+router.get('/Procedure/:id', readProcedure);
+
+module.exports = router;
@@ -4,10 +4,30 @@ const express = require('express');
 const router = express.Router();
 const { 
   getPatients, 
+  lookupPatients, 
   getPatient, 
   registerPatient, 
+  importPatients, 
   updatePatient, 
-  deletePatient 
+  archivePatient, 
+  restorePatient, 
+  purgePatient, 
+  getPatientCareTeam, 
+  addPatientCareTeamMember, 
+  removePatientCareTeamMember, 
+  transferPatient, 
+  getPatientTransfers, 
+  getPatientVersions, 
+  getPatientVersion, 
+  revertPatientVersion, 
+  findDuplicatePatients, 
+  getPatientDuplicates, 
+  mergePatient, 
+  getPatientMerges, 
+  undoPatientMerge, 
+  getPatientAccessReport, 
+  requestEmergencyAccess, 
+  getPatientEmergencyAccess 
 } = require('../controllers/patient.controller');
 const { authMiddleware, authorizeRoles } = require('../middleware/auth.middleware');
 
@@ -19,10 +39,52 @@ router.route('/')
   .get(getPatients)
   .post(registerPatient);
 
-// Get, update and delete a specific patient
+// Exact-match lookup on encrypted fields
+router.get('/lookup', lookupPatients);
+
+// Bulk import from CSV (text/csv body) or JSON, with dry-run validation
+router.post('/import', express.text({ type: 'text/csv', limit: '2mb' }), importPatients);
+
+// Likely duplicates among all patients
+router.get('/duplicates', findDuplicatePatients);
+
+// Get, update and archive a specific patient
 router.route('/:id')
   .get(getPatient)
   .put(updatePatient)
-  .delete(deletePatient);
+  .delete(archivePatient);
+
+// Restore an archived patient, or delete them for good once the retention period has passed
+router.post('/:id/restore', restorePatient);
+router.delete('/:id/purge', authorizeRoles('admin'), purgePatient);
+
+// Care team members
+router.route('/:id/care-team')
+  .get(getPatientCareTeam)
+  .post(addPatientCareTeamMember);
+router.delete('/:id/care-team/:userId', removePatientCareTeamMember);
+
+// Transfers to another clinician
+router.post('/:id/transfer', transferPatient);
+router.get('/:id/transfers', getPatientTransfers);
+
+// Version history
+router.get('/:id/versions', getPatientVersions);
+router.get('/:id/versions/:version', getPatientVersion);
+router.post('/:id/versions/:version/revert', revertPatientVersion);
+
+// Duplicate detection and merging
+router.get('/:id/duplicates', getPatientDuplicates);
+router.post('/:id/merge', mergePatient);
+router.get('/:id/merges', getPatientMerges);
+router.post('/:id/merges/:mergeId/undo', undoPatientMerge);
+
+// "Who accessed this record" report from the audit log
+router.get('/:id/access-report', getPatientAccessReport);
+
+// Break-the-glass emergency access
+router.route('/:id/emergency-access')
+  .get(getPatientEmergencyAccess)
+  .post(authorizeRoles('doctor'), requestEmergencyAccess);
 
 module.exports = router;
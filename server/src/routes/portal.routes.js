@@ -0,0 +1,23 @@
+// portal.routes.js - Patient portal routes
+
+const express = require('express');
+const router = express.Router();
+const { 
+  getMyPatient, 
+  getMyTreatmentPlan, 
+  getMyUpcomingSessions, 
+  getMySessions, 
+  getMyDevices 
+} = require('../controllers/portal.controller');
+const { authorizeRoles } = require('../middleware/auth.middleware');
+
+// Only patient accounts use the portal, and only for their own record
+router.use(authorizeRoles('patient'));
+
+router.get('/patient', getMyPatient);
+router.get('/patient/treatment-plan', getMyTreatmentPlan);
+router.get('/patient/upcoming-sessions', getMyUpcomingSessions);
+router.get('/patient/sessions', getMySessions);
+router.get('/patient/devices', getMyDevices);
+
+module.exports = router;
@@ -0,0 +1,127 @@
+// reencrypt.js - Re-encrypt patient, patient version, device and session fields with the active encryption key
+//
+// Usage: npm run db:reencrypt [-- --model=Patient] [-- --batch-size=200]
+// Safe to stop and run again: documents already on the active key are skipped.
+// With ENCRYPT_SESSION_DATA=true it also encrypts sessions saved before that was enabled.
+
+// Load environment variables
+require('dotenv').config();
+
+const { connectDB, closeDB } = require('../config/database');
+const { getKeyring, isSessionDataEncrypted } = require('../config/encryption');
+const Patient = require('../models/patient.model');
+const { PatientVersion } = require('../models/patient-version.model');
+const PatientMerge = require('../models/patient-merge.model');
+const Device = require('../models/device.model');
+const { EMGData, EMSData, SessionChunk } = require('../models/data.model');
+
+// Models with encrypted fields
+const ENCRYPTED_MODELS = [Patient, PatientVersion, PatientMerge, Device, ...(isSessionDataEncrypted() ? [EMGData, EMSData, SessionChunk] : [])];
+
+/**
+ * Read a --name=value command line option
+ * @param {string} name - Option name
+ * @param {string} [fallback] - Value used when the option is missing
+ * @returns {string} Option value
+ */
+const readOption = (name, fallback) => {
+  const option = process.argv.find((arg) => arg.startsWith(`--${name}=`));
+  return option ? option.slice(name.length + 3) : fallback;
+};
+
+/**
+ * Re-encrypt every document of a model that is not on the active key
+ * @param {Object} Model - Model using the encryption plugin
+ * @param {string} activeVersion - Active key version
+ * @param {number} batchSize - Documents loaded per batch
+ * @returns {Promise<Object>} Number of documents re-encrypted and the ones that failed
+ */
+const reencryptModel = async (Model, activeVersion, batchSize) => {
+  const filter = { _kv: { $ne: activeVersion } };
+  const total = await Model.countDocuments(filter);
+
+  if (total === 0) {
+    console.log(`✅ ${Model.modelName}: every document uses key ${activeVersion}`);
+    return { reencrypted: 0, failed: [] };
+  }
+
+  console.log(`🔄 ${Model.modelName}: re-encrypting ${total} document(s) with key ${activeVersion}`);
+
+  let reencrypted = 0;
+  let lastId = null;
+  const failed = [];
+
+  for (;;) {
+    // Page through IDs only, so one unreadable document cannot stop a whole batch
+    const ids = await Model.find(lastId ? { ...filter, _id: { $gt: lastId } } : filter)
+      .select('_id')
+      .sort({ _id: 1 })
+      .limit(batchSize)
+      .lean();
+
+    if (ids.length === 0) break;
+
+    for (const { _id } of ids) {
+      try {
+        // Loading decrypts with the stored key version; saving encrypts with the active one
+        const doc = await Model.findById(_id);
+        if (doc) {
+          await doc.save({ validateBeforeSave: false, timestamps: false });
+          reencrypted++;
+        }
+      } catch (error) {
+        console.error(`❌ ${Model.modelName} ${_id}: ${error.message}`);
+        failed.push(_id);
+      }
+    }
+
+    lastId = ids[ids.length - 1]._id;
+    const processed = reencrypted + failed.length;
+    console.log(`⏳ ${Model.modelName}: ${processed}/${total} (${Math.round((processed / total) * 100)}%)`);
+  }
+
+  return { reencrypted, failed };
+};
+
+/**
+ * Re-encrypt all encrypted models and report the result
+ */
+const reencrypt = async () => {
+  try {
+    const { activeVersion } = getKeyring();
+    const batchSize = parseInt(readOption('batch-size')) || 100;
+    const modelName = readOption('model');
+
+    const models = modelName ? ENCRYPTED_MODELS.filter((Model) => Model.modelName === modelName) : ENCRYPTED_MODELS;
+    if (models.length === 0) {
+      throw new Error(`Unknown model ${modelName}. Choose one of: ${ENCRYPTED_MODELS.map((Model) => Model.modelName).join(', ')}`);
+    }
+
+    await connectDB();
+
+    let failedCount = 0;
+    for (const Model of models) {
+      const { reencrypted, failed } = await reencryptModel(Model, activeVersion, batchSize);
+      failedCount += failed.length;
+
+      if (reencrypted > 0) {
+        console.log(`✅ ${Model.modelName}: re-encrypted ${reencrypted} document(s)`);
+      }
+    }
+
+    await closeDB();
+
+    if (failedCount > 0) {
+      console.error(`❌ ${failedCount} document(s) could not be re-encrypted. Fix them and run the command again.`);
+      process.exit(1);
+    }
+
+    console.log('✅ Re-encryption complete. Keys no longer used by any document can be removed from ENCRYPTION_KEYS.');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Re-encryption error:', error.message);
+    process.exit(1);
+  }
+};
+
+reencrypt();
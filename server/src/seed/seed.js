@@ -8,7 +8,7 @@ const bcrypt = require('bcryptjs');
 const User = require('../models/user.model');
 const Device = require('../models/device.model');
 const Patient = require('../models/patient.model');
-const { EMGData, EMSData } = require('../models/data.model');
+const { EMGData, EMSData, SessionChunk } = require('../models/data.model');
 
 // Sample data
 const users = [
@@ -61,6 +61,7 @@ async function seedDatabase() {
     await Patient.deleteMany({});
     await EMGData.deleteMany({});
     await EMSData.deleteMany({});
+    await SessionChunk.deleteMany({});
     
     console.log('🧹 Cleared existing data');
     
@@ -72,7 +73,8 @@ async function seedDatabase() {
       
       const user = await User.create({
         ...userData,
-        password: hashedPassword
+        password: hashedPassword,
+        emailVerified: true
       });
       
       createdUsers.push(user);
@@ -107,7 +109,7 @@ async function seedDatabase() {
             medications: ['Vitamin D'],
             notes: `Test patient ${i} for Dr. ${user.lastName}`
           },
-          assignedDoctor: user._id,
+          careTeam: [{ user: user._id, role: 'owner' }],
           treatmentPlan: {
             startDate: new Date(),
             endDate: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000), // 90 days from now
@@ -129,7 +131,7 @@ async function seedDatabase() {
     
     for (const user of createdUsers.filter(u => u.role === 'doctor')) {
       // Get patients for this doctor
-      const doctorPatients = patients.filter(p => p.assignedDoctor.toString() === user._id.toString());
+      const doctorPatients = patients.filter(p => p.getCareTeamRole(user) === 'owner');
       
       // Create 2 devices per doctor
       for (let i = 1; i <= 2; i++) {
@@ -144,7 +146,7 @@ async function seedDatabase() {
           firmwareVersion: '1.0.0',
           batteryLevel: 85,
           lastConnected: new Date(),
-          assignedDoctor: user._id,
+          careTeam: [{ user: user._id, role: 'owner' }],
           assignedPatient: patient._id,
           connectionDetails: {
             connectionType: 'bluetooth',
@@ -176,7 +178,7 @@ async function seedDatabase() {
         await EMGData.create({
           device: device._id,
           patient: patient._id,
-          doctor: device.assignedDoctor,
+          doctor: device.getCareTeamOwner(),
           sessionId: `EMG-${Date.now()}-${device._id.toString().substring(0, 4)}`,
           startTime: new Date(Date.now() - 24 * 60 * 60 * 1000), // 1 day ago
           endTime: new Date(Date.now() - 23 * 60 * 60 * 1000), // 23 hours ago
@@ -212,7 +214,7 @@ async function seedDatabase() {
         await EMSData.create({
           device: device._id,
           patient: patient._id,
-          doctor: device.assignedDoctor,
+          doctor: device.getCareTeamOwner(),
           sessionId: `EMS-${Date.now()}-${device._id.toString().substring(0, 4)}`,
           startTime: new Date(Date.now() - 48 * 60 * 60 * 1000), // 2 days ago
           endTime: new Date(Date.now() - 47 * 60 * 60 * 1000), // 47 hours ago
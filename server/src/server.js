@@ -6,6 +6,16 @@ console.log("Starting Healthcare IoT Backend server...");
 require("dotenv").config();
 console.log("Environment variables loaded.");
 
+// Refuse to start in production with the sample encryption keys from the README,
+// or with a mail transport that prints emails to the log
+try {
+  require("./config/encryption").assertProductionKeys();
+  require("./config/mail").assertProductionMailTransport();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 // Import dependencies
 const express = require("express");
 const mongoose = require("mongoose");
@@ -13,7 +23,6 @@ const cors = require("cors");
 const helmet = require("helmet");
 const morgan = require("morgan");
 const http = require("http");
-const socketIo = require("socket.io");
 const rateLimit = require("express-rate-limit");
 const jwt = require("jsonwebtoken");
 
@@ -22,24 +31,29 @@ const authRoutes = require("./routes/auth.routes");
 const deviceRoutes = require("./routes/device.routes");
 const patientRoutes = require("./routes/patient.routes");
 const dataRoutes = require("./routes/data.routes");
+const adminRoutes = require("./routes/admin.routes");
+const portalRoutes = require("./routes/portal.routes");
+const fhirRoutes = require("./routes/fhir.routes");
 
 // Import middleware
 const { errorHandler } = require("./middleware/error.middleware");
-const { authMiddleware } = require("./middleware/auth.middleware");
+const {
+  authMiddleware,
+  authorizeStaff,
+  enforceAccountPolicies,
+} = require("./middleware/auth.middleware");
 
 // Import services
 const { setupBluetoothClient } = require("./services/bluetooth.service");
 const { syncService } = require("./services/sync.service");
+const { setupSocketServer } = require("./services/socket.service");
 
 // Create Express app
 const app = express();
 const server = http.createServer(app);
-const io = socketIo(server, {
-  cors: {
-    origin: "*",
-    methods: ["GET", "POST"],
-  },
-});
+
+// Setup WebSocket for real-time communication - clients must authenticate
+const io = setupSocketServer(server);
 
 // Apply middleware
 app.use(
@@ -55,7 +69,7 @@ app.use(
   })
 ); // Security headers with CSP configured for the login page
 app.use(cors()); // Enable CORS
-app.use(express.json()); // Parse JSON bodies
+app.use(express.json({ type: ["application/json", "application/fhir+json"] })); // Parse JSON and FHIR JSON bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 app.use(morgan("dev")); // HTTP request logger
 app.use(express.static("src/public")); // Serve static files from public directory
@@ -81,27 +95,11 @@ connectDB()
     process.exit(1);
   });
 
-// Setup WebSocket for real-time communication
-io.on("connection", (socket) => {
-  console.log("🔌 New client connected");
-
-  // Join a specific device room
-  socket.on("join-device", (deviceId) => {
-    socket.join(`device-${deviceId}`);
-    console.log(`Client joined device-${deviceId} room`);
-  });
-
-  // Handle disconnect
-  socket.on("disconnect", () => {
-    console.log("🔌 Client disconnected");
-  });
-});
-
 // Setup Bluetooth client for IoT devices
 const bluetoothClient = setupBluetoothClient();
 
 // Add Bluetooth status endpoint
-app.get("/api/bluetooth/status", authMiddleware, (_, res) => {
+app.get("/api/bluetooth/status", authMiddleware, authorizeStaff, (_, res) => {
   res.json({
     success: true,
     data: bluetoothClient.getStatus(),
@@ -110,9 +108,12 @@ app.get("/api/bluetooth/status", authMiddleware, (_, res) => {
 
 // Define routes
 app.use("/api/auth", authRoutes);
-app.use("/api/devices", authMiddleware, deviceRoutes);
-app.use("/api/patients", authMiddleware, patientRoutes);
-app.use("/api/data", authMiddleware, dataRoutes);
+app.use("/api/devices", authMiddleware, enforceAccountPolicies, authorizeStaff, deviceRoutes);
+app.use("/api/patients", authMiddleware, enforceAccountPolicies, authorizeStaff, patientRoutes);
+app.use("/api/data", dataRoutes); // Authenticates per route: uploads also accept API keys
+app.use("/api/admin", authMiddleware, enforceAccountPolicies, adminRoutes);
+app.use("/api/me", authMiddleware, enforceAccountPolicies, portalRoutes);
+app.use("/api/fhir", authMiddleware, enforceAccountPolicies, authorizeStaff, fhirRoutes);
 
 // API info route
 app.get("/api", (_, res) => {
@@ -129,6 +130,11 @@ app.get("/api", (_, res) => {
     },
     endpoints: {
       auth: [
+        {
+          method: "POST",
+          path: "/api/auth/accept-invite",
+          description: "Create an account from an invitation",
+        },
         {
           method: "POST",
           path: "/api/auth/login",
@@ -144,6 +150,11 @@ app.get("/api", (_, res) => {
           path: "/api/auth/reset-password",
           description: "Reset password with token",
         },
+        {
+          method: "GET",
+          path: "/api/auth/password-policy",
+          description: "Get the password rules",
+        },
         {
           method: "GET",
           path: "/api/auth/me",
@@ -159,6 +170,51 @@ app.get("/api", (_, res) => {
           path: "/api/auth/change-password",
           description: "Change password (requires auth)",
         },
+        {
+          method: "POST",
+          path: "/api/auth/refresh",
+          description: "Exchange a refresh token for a new access token",
+        },
+        {
+          method: "POST",
+          path: "/api/auth/logout",
+          description: "Log out and revoke the current session (requires auth)",
+        },
+        {
+          method: "GET",
+          path: "/api/auth/sessions",
+          description: "List active sessions (requires auth)",
+        },
+        {
+          method: "DELETE",
+          path: "/api/auth/sessions/:id",
+          description: "Revoke a session (requires auth)",
+        },
+        {
+          method: "POST",
+          path: "/api/auth/2fa/verify",
+          description: "Complete login with a two-factor code",
+        },
+        {
+          method: "POST",
+          path: "/api/auth/2fa/setup",
+          description: "Start two-factor enrolment (requires auth)",
+        },
+        {
+          method: "POST",
+          path: "/api/auth/2fa/enable",
+          description: "Verify a code and enable two-factor (requires auth)",
+        },
+        {
+          method: "POST",
+          path: "/api/auth/2fa/disable",
+          description: "Disable two-factor authentication (requires auth)",
+        },
+        {
+          method: "POST",
+          path: "/api/auth/2fa/recovery-codes",
+          description: "Regenerate two-factor recovery codes (requires auth)",
+        },
       ],
       devices: [
         {
@@ -166,6 +222,11 @@ app.get("/api", (_, res) => {
           path: "/api/devices",
           description: "Get all devices (requires auth)",
         },
+        {
+          method: "GET",
+          path: "/api/devices/lookup",
+          description: "Find devices by MAC address or Bluetooth ID (requires auth)",
+        },
         {
           method: "POST",
           path: "/api/devices",
@@ -184,20 +245,60 @@ app.get("/api", (_, res) => {
         {
           method: "DELETE",
           path: "/api/devices/:id",
-          description: "Delete a device (requires auth)",
+          description: "Archive a device (requires care team owner)",
+        },
+        {
+          method: "POST",
+          path: "/api/devices/:id/restore",
+          description: "Restore an archived device (requires care team owner)",
+        },
+        {
+          method: "DELETE",
+          path: "/api/devices/:id/purge",
+          description: "Permanently delete an archived device after the retention period (requires admin)",
+        },
+        {
+          method: "GET",
+          path: "/api/devices/:id/care-team",
+          description: "Get the device's care team (requires care team membership)",
+        },
+        {
+          method: "POST",
+          path: "/api/devices/:id/care-team",
+          description: "Add a care team member or change their role (requires care team owner)",
+        },
+        {
+          method: "DELETE",
+          path: "/api/devices/:id/care-team/:userId",
+          description: "Remove a care team member (requires care team owner)",
         },
       ],
       patients: [
         {
           method: "GET",
           path: "/api/patients",
-          description: "Get all patients (requires auth)",
+          description: "Search patients with filters and cursor pagination (requires auth)",
+        },
+        {
+          method: "GET",
+          path: "/api/patients/lookup",
+          description: "Find patients by email or phone number (requires auth)",
         },
         {
           method: "POST",
           path: "/api/patients",
           description: "Register a new patient (requires auth)",
         },
+        {
+          method: "POST",
+          path: "/api/patients/import",
+          description: "Import patients from CSV or JSON, with dry-run validation (requires auth)",
+        },
+        {
+          method: "GET",
+          path: "/api/patients/duplicates",
+          description: "Find pairs of likely duplicate patients (requires auth)",
+        },
         {
           method: "GET",
           path: "/api/patients/:id",
@@ -211,19 +312,109 @@ app.get("/api", (_, res) => {
         {
           method: "DELETE",
           path: "/api/patients/:id",
-          description: "Delete a patient (requires auth)",
+          description: "Archive a patient (requires care team owner)",
+        },
+        {
+          method: "POST",
+          path: "/api/patients/:id/restore",
+          description: "Restore an archived patient (requires care team owner)",
+        },
+        {
+          method: "DELETE",
+          path: "/api/patients/:id/purge",
+          description: "Permanently delete an archived patient and their sessions after the retention period (requires admin)",
+        },
+        {
+          method: "GET",
+          path: "/api/patients/:id/care-team",
+          description: "Get the patient's care team (requires care team membership)",
+        },
+        {
+          method: "POST",
+          path: "/api/patients/:id/care-team",
+          description: "Add a care team member or change their role (requires care team owner)",
+        },
+        {
+          method: "DELETE",
+          path: "/api/patients/:id/care-team/:userId",
+          description: "Remove a care team member (requires care team owner)",
+        },
+        {
+          method: "POST",
+          path: "/api/patients/:id/transfer",
+          description: "Transfer a patient to another clinician (requires care team owner)",
+        },
+        {
+          method: "GET",
+          path: "/api/patients/:id/transfers",
+          description: "Get a patient's transfer history (requires care team membership)",
+        },
+        {
+          method: "GET",
+          path: "/api/patients/:id/versions",
+          description: "List a patient's record versions (requires care team membership)",
+        },
+        {
+          method: "GET",
+          path: "/api/patients/:id/versions/:version",
+          description: "Get a version of a patient record with its changes (requires care team membership)",
+        },
+        {
+          method: "POST",
+          path: "/api/patients/:id/versions/:version/revert",
+          description: "Revert a patient to an earlier version (requires write access)",
+        },
+        {
+          method: "GET",
+          path: "/api/patients/:id/duplicates",
+          description: "Find likely duplicates of a patient (requires auth)",
+        },
+        {
+          method: "POST",
+          path: "/api/patients/:id/merge",
+          description: "Merge a duplicate patient into this one (requires care team owner)",
+        },
+        {
+          method: "GET",
+          path: "/api/patients/:id/merges",
+          description: "Get the merges a patient took part in (requires auth)",
+        },
+        {
+          method: "POST",
+          path: "/api/patients/:id/merges/:mergeId/undo",
+          description: "Undo a merge into this patient (requires care team owner)",
+        },
+        {
+          method: "GET",
+          path: "/api/patients/:id/access-report",
+          description: "Report who accessed a patient's record (requires care team owner)",
+        },
+        {
+          method: "POST",
+          path: "/api/patients/:id/emergency-access",
+          description: "Request time-boxed emergency access to a patient (requires doctor)",
+        },
+        {
+          method: "GET",
+          path: "/api/patients/:id/emergency-access",
+          description: "List emergency access grants for a patient (requires care team owner)",
         },
       ],
       data: [
         {
           method: "POST",
           path: "/api/data/emg",
-          description: "Post new EMG data (requires auth)",
+          description: "Post new EMG data (requires auth or API key)",
         },
         {
           method: "POST",
           path: "/api/data/ems",
-          description: "Post new EMS data (requires auth)",
+          description: "Post new EMS data (requires auth or API key)",
+        },
+        {
+          method: "POST",
+          path: "/api/data/status",
+          description: "Report device battery level and firmware version (requires auth or API key)",
         },
         {
           method: "GET",
@@ -246,6 +437,207 @@ app.get("/api", (_, res) => {
           description: "Get a specific EMS session (requires auth)",
         },
       ],
+      portal: [
+        {
+          method: "GET",
+          path: "/api/me/patient",
+          description: "Get your own patient record (requires patient account)",
+        },
+        {
+          method: "GET",
+          path: "/api/me/patient/treatment-plan",
+          description: "Get your treatment plan (requires patient account)",
+        },
+        {
+          method: "GET",
+          path: "/api/me/patient/upcoming-sessions",
+          description: "Get your upcoming scheduled sessions (requires patient account)",
+        },
+        {
+          method: "GET",
+          path: "/api/me/patient/sessions",
+          description: "Get summaries of your recorded sessions (requires patient account)",
+        },
+        {
+          method: "GET",
+          path: "/api/me/patient/devices",
+          description: "Get the devices assigned to you (requires patient account)",
+        },
+      ],
+      fhir: [
+        {
+          method: "GET",
+          path: "/api/fhir/Patient",
+          description: "Search patients as a FHIR Bundle (requires auth)",
+        },
+        {
+          method: "POST",
+          path: "/api/fhir/Patient",
+          description: "Create a patient from a FHIR Patient resource (requires auth)",
+        },
+        {
+          method: "GET",
+          path: "/api/fhir/Patient/:id",
+          description: "Get a patient as a FHIR Patient resource (requires auth)",
+        },
+        {
+          method: "GET",
+          path: "/api/fhir/Patient/:id/$everything",
+          description: "Export a patient with their devices and sessions as a FHIR Bundle (requires auth)",
+        },
+        {
+          method: "GET",
+          path: "/api/fhir/Observation",
+          description: "Search a patient's EMG session summaries (requires auth)",
+        },
+        {
+          method: "GET",
+          path: "/api/fhir/Observation/:id",
+          description: "Get an EMG session summary as a FHIR Observation (requires auth)",
+        },
+        {
+          method: "GET",
+          path: "/api/fhir/Procedure",
+          description: "Search a patient's EMS sessions (requires auth)",
+        },
+        {
+          method: "GET",
+          path: "/api/fhir/Procedure/:id",
+          description: "Get an EMS session as a FHIR Procedure (requires auth)",
+        },
+      ],
+      admin: [
+        {
+          method: "GET",
+          path: "/api/admin/organizations",
+          description: "List organizations (requires system admin)",
+        },
+        {
+          method: "POST",
+          path: "/api/admin/organizations",
+          description: "Create an organization (requires system admin)",
+        },
+        {
+          method: "GET",
+          path: "/api/admin/organizations/:id",
+          description: "Get an organization with member counts (requires admin of the organization)",
+        },
+        {
+          method: "PATCH",
+          path: "/api/admin/organizations/:id",
+          description: "Update or deactivate an organization (requires system admin)",
+        },
+        {
+          method: "GET",
+          path: "/api/admin/users",
+          description: "Search and page through users (requires admin)",
+        },
+        {
+          method: "GET",
+          path: "/api/admin/users/last-login-report",
+          description: "List users who have not logged in recently (requires admin)",
+        },
+        {
+          method: "GET",
+          path: "/api/admin/users/:id",
+          description: "Get a specific user (requires admin)",
+        },
+        {
+          method: "PATCH",
+          path: "/api/admin/users/:id/role",
+          description: "Change a user's role (requires admin)",
+        },
+        {
+          method: "PATCH",
+          path: "/api/admin/users/:id/status",
+          description: "Deactivate or reactivate a user (requires admin)",
+        },
+        {
+          method: "POST",
+          path: "/api/admin/users/:id/force-password-reset",
+          description: "Require a new password at next login (requires admin)",
+        },
+        {
+          method: "POST",
+          path: "/api/admin/users/:id/unlock",
+          description: "Unlock an account locked by failed logins (requires admin)",
+        },
+        {
+          method: "POST",
+          path: "/api/admin/users/:id/transfer-patients",
+          description: "Transfer every patient a user owns to another clinician (requires admin)",
+        },
+        {
+          method: "GET",
+          path: "/api/admin/security-events",
+          description: "List account lockouts and unlocks (requires admin)",
+        },
+        {
+          method: "GET",
+          path: "/api/admin/transfers",
+          description: "List patient transfers (requires admin)",
+        },
+        {
+          method: "GET",
+          path: "/api/admin/audit-logs",
+          description: "List PHI audit log entries (requires admin)",
+        },
+        {
+          method: "GET",
+          path: "/api/admin/audit-logs/export",
+          description: "Export PHI audit log entries as CSV or JSON (requires admin)",
+        },
+        {
+          method: "GET",
+          path: "/api/admin/emergency-access",
+          description: "List emergency access grants for review (requires admin)",
+        },
+        {
+          method: "POST",
+          path: "/api/admin/emergency-access/:id/revoke",
+          description: "Revoke an emergency access grant (requires admin)",
+        },
+        {
+          method: "POST",
+          path: "/api/admin/emergency-access/:id/review",
+          description: "Mark an emergency access grant as reviewed (requires admin)",
+        },
+        {
+          method: "GET",
+          path: "/api/admin/api-keys",
+          description: "List device and gateway API keys (requires admin)",
+        },
+        {
+          method: "POST",
+          path: "/api/admin/api-keys",
+          description: "Issue a device or gateway API key (requires admin)",
+        },
+        {
+          method: "POST",
+          path: "/api/admin/api-keys/:id/rotate",
+          description: "Rotate an API key (requires admin)",
+        },
+        {
+          method: "DELETE",
+          path: "/api/admin/api-keys/:id",
+          description: "Revoke an API key (requires admin)",
+        },
+        {
+          method: "GET",
+          path: "/api/admin/invitations",
+          description: "List invitations, pending by default (requires admin)",
+        },
+        {
+          method: "POST",
+          path: "/api/admin/invitations",
+          description: "Invite a user with a fixed role (requires admin)",
+        },
+        {
+          method: "DELETE",
+          path: "/api/admin/invitations/:id",
+          description: "Revoke a pending invitation (requires admin)",
+        },
+      ],
       system: [
         {
           method: "GET",
@@ -0,0 +1,58 @@
+// api-key.service.js - Service for issuing and checking device and gateway API keys
+
+const crypto = require('crypto');
+const { ApiKey } = require('../models/api-key.model');
+const { generateToken, hashToken, safeCompare } = require('../utils/token.utils');
+
+// Keys look like mzk_<prefix>_<secret>; the prefix is stored in clear to find the key
+const API_KEY_PATTERN = /^mzk_([0-9a-f]{12})_([A-Za-z0-9_-]{20,})$/;
+
+// Last-used details are written at most this often per key, not on every sample upload
+const LAST_USED_UPDATE_MS = 60 * 1000;
+
+/**
+ * Give an API key a new secret, replacing any previous one (changes are not saved)
+ * @param {Object} apiKey - API key document
+ * @returns {string} Full key to show to the admin once
+ */
+const setApiKeySecret = (apiKey) => {
+  if (!apiKey.keyPrefix) {
+    apiKey.keyPrefix = crypto.randomBytes(6).toString('hex');
+  }
+
+  const secret = generateToken(32);
+  apiKey.keyHash = hashToken(secret);
+
+  return `mzk_${apiKey.keyPrefix}_${secret}`;
+};
+
+/**
+ * Find the active API key matching a key sent by a client, and record that it was used
+ * @param {string} key - Full key from the request
+ * @param {string} [ipAddress] - Client IP address
+ * @returns {Promise<Object|null>} API key document, or null if the key is unknown, revoked or expired
+ */
+const authenticateApiKey = async (key, ipAddress) => {
+  const match = API_KEY_PATTERN.exec(String(key || '').trim());
+  if (!match) return null;
+
+  const [, keyPrefix, secret] = match;
+  const apiKey = await ApiKey.findOne({ keyPrefix }).select('+keyHash');
+
+  if (!apiKey || !safeCompare(apiKey.keyHash, hashToken(secret)) || !apiKey.isActive()) {
+    return null;
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_UPDATE_MS) {
+    apiKey.lastUsedAt = new Date();
+    apiKey.lastUsedIp = ipAddress;
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: apiKey.lastUsedAt, lastUsedIp: ipAddress });
+  }
+
+  return apiKey;
+};
+
+module.exports = {
+  setApiKeySecret,
+  authenticateApiKey
+};
@@ -0,0 +1,132 @@
+// audit.service.js - Service for the PHI access audit trail
+
+const AuditLog = require('../models/audit-log.model');
+
+// Columns written by the CSV export, in order
+const CSV_COLUMNS = [
+  'createdAt',
+  'actor',
+  'actorRole',
+  'apiKey',
+  'action',
+  'resourceType',
+  'resourceId',
+  'patient',
+  'emergencyAccess',
+  'changedFields',
+  'ipAddress',
+  'userAgent'
+];
+
+/**
+ * Build an audit entry for the current request
+ * @param {Object} req - Express request (actor or API key, IP and user agent are taken from it)
+ * @param {Object} entry - What happened
+ * @param {string} entry.action - create, read, update, delete or export
+ * @param {string} entry.resourceType - Patient, Device, EMGData, EMSData, User, AuditLog, EmergencyAccess or ApiKey
+ * @param {Object|string} [entry.resource] - Document or ID that was accessed
+ * @param {Object|string} [entry.patient] - Patient whose information was involved
+ * @param {Object|string} [entry.emergencyAccess] - Emergency access grant the actor relied on
+ * @param {Array<string>} [entry.changedFields] - Names of changed fields
+ * @param {Object} [entry.details] - Extra details (never PHI values)
+ * @param {Object} [entry.actor] - User who acted, when the request is not authenticated (e.g. password reset)
+ * @returns {Object} Audit log fields
+ */
+const buildAuditEntry = (req, {
+  action,
+  resourceType,
+  resource,
+  patient,
+  emergencyAccess,
+  changedFields,
+  details,
+  actor = req.user
+}) => ({
+  actor: actor ? actor._id : undefined,
+  actorRole: actor ? actor.role : undefined,
+  apiKey: req.apiKey ? req.apiKey._id : undefined,
+  organization: (actor || req.apiKey || {}).organization,
+  action,
+  resourceType,
+  resourceId: resource ? resource._id || resource : undefined,
+  patient: patient ? patient._id || patient : undefined,
+  emergencyAccess: emergencyAccess ? emergencyAccess._id || emergencyAccess : undefined,
+  changedFields,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent'),
+  details
+});
+
+/**
+ * Record access to one record. Failures are logged but never fail the request.
+ * @param {Object} req - Express request
+ * @param {Object} entry - See buildAuditEntry
+ * @returns {Promise<void>}
+ */
+const recordAudit = async (req, entry) => {
+  try {
+    await AuditLog.create(buildAuditEntry(req, entry));
+  } catch (error) {
+    console.error(`❌ Failed to write audit log (${entry.action} ${entry.resourceType}): ${error.message}`);
+  }
+};
+
+/**
+ * Record read access to every record in a list response
+ * @param {Object} req - Express request
+ * @param {string} resourceType - Resource type of the records
+ * @param {Array<Object>} resources - Documents that were returned
+ * @param {Function} [getPatient] - Returns the patient a document belongs to
+ * @param {Object} [emergencyAccess] - Emergency access grant the actor relied on
+ * @returns {Promise<void>}
+ */
+const recordListAudit = async (req, resourceType, resources, getPatient, emergencyAccess) => {
+  if (resources.length === 0) return;
+
+  try {
+    await AuditLog.insertMany(resources.map((resource) => buildAuditEntry(req, {
+      action: 'read',
+      resourceType,
+      resource,
+      patient: getPatient ? getPatient(resource) : undefined,
+      emergencyAccess,
+      details: { via: 'list' }
+    })));
+  } catch (error) {
+    console.error(`❌ Failed to write audit log (list ${resourceType}): ${error.message}`);
+  }
+};
+
+/**
+ * Get the names of the fields changed on a document before it is saved
+ * @param {Object} doc - Mongoose document with unsaved changes
+ * @returns {Array<string>} Changed top-level field paths
+ */
+const getChangedFields = (doc) => doc.directModifiedPaths().filter((path) => path !== 'updatedAt');
+
+/**
+ * Convert audit entries to CSV
+ * @param {Array<Object>} entries - Audit log documents
+ * @returns {string} CSV with a header row
+ */
+const toCsv = (entries) => {
+  const escape = (value) => {
+    if (value === undefined || value === null) return '';
+    let text = Array.isArray(value) ? value.join(';') : value instanceof Date ? value.toISOString() : String(value);
+
+    // Stop spreadsheet apps from running values such as a crafted user agent as formulas
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = entries.map((entry) => CSV_COLUMNS.map((column) => escape(entry[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+};
+
+module.exports = {
+  recordAudit,
+  recordListAudit,
+  getChangedFields,
+  toCsv
+};
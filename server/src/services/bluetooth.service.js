@@ -2,6 +2,12 @@
 
 const Device = require("../models/device.model");
 const { EMGData, EMSData } = require("../models/data.model");
+const {
+  publishSamples,
+  publishDeviceStatus,
+  publishDeviceConnection,
+  publishCommandResponse,
+} = require("./stream.service");
 const EventEmitter = require("events");
 
 // Bluetooth Service configuration
@@ -126,6 +132,7 @@ exports.setupBluetoothClient = () => {
           dbDevice.lastConnected = new Date();
           dbDevice.connectionStatus = "connected";
           await dbDevice.save();
+          publishDeviceConnection(dbDevice, true);
 
           console.log(
             `📱 Updated device ${deviceId} connection status in database`
@@ -161,6 +168,7 @@ exports.setupBluetoothClient = () => {
       // Remove the device from connected devices
       connectionState.connectedDevices.delete(deviceId);
       connectionState.lastMessageTime.delete(deviceId);
+      publishDisconnection(deviceId);
 
       console.log(`✅ Disconnected from device: ${deviceId}`);
       return true;
@@ -216,6 +224,9 @@ exports.setupBluetoothClient = () => {
         };
 
         bluetoothEvents.emit("commandResponse", responseData);
+        publishToDevice(deviceId, (device) =>
+          publishCommandResponse(device, responseData)
+        );
 
         if (bluetoothConfig.verboseLogging) {
           console.log(
@@ -245,6 +256,31 @@ exports.setupBluetoothClient = () => {
   return client;
 };
 
+/**
+ * Look up a device by its Bluetooth ID and publish a live event for it
+ * @param {string} deviceId - Device ID (serial number)
+ * @param {Function} publish - Called with the device document
+ */
+async function publishToDevice(deviceId, publish) {
+  try {
+    const device = await Device.findOne({ serialNumber: deviceId }).select("_id");
+
+    if (device) {
+      publish(device);
+    }
+  } catch (error) {
+    console.error(`❌ Error publishing live event for ${deviceId}: ${error.message}`);
+  }
+}
+
+/**
+ * Tell clients watching a device that it disconnected
+ * @param {string} deviceId - Device ID (serial number)
+ */
+function publishDisconnection(deviceId) {
+  publishToDevice(deviceId, (device) => publishDeviceConnection(device, false));
+}
+
 /**
  * Start sending simulated data from a device
  * @param {string} deviceId - Device ID
@@ -331,6 +367,7 @@ async function connectToDevice(peripheral) {
     peripheral.once("disconnect", async () => {
       console.log(`🔌 Device disconnected: ${peripheral.id}`);
       connectionState.connectedDevices.delete(peripheral.id);
+      publishDisconnection(peripheral.id);
 
       // Try to reconnect if appropriate
       const reconnectCount =
@@ -430,6 +467,7 @@ async function connectToDevice(peripheral) {
       device.lastConnected = new Date();
       device.connectionStatus = "connected";
       await device.save();
+      publishDeviceConnection(device, true);
 
       console.log(
         `📱 Updated device ${peripheral.id} connection status in database`
@@ -583,18 +621,18 @@ async function processEMGData(device, data, shouldLog = false) {
     device.lastConnected = new Date();
     await device.save();
 
+    // Stream samples to clients watching the device
+    publishSamples(device, "emg", data.sessionId, data.dataPoints);
+
     // Find or create EMG session
     const existingSession = await EMGData.findOne({
       sessionId: data.sessionId,
       device: device._id,
-    });
+    }).select("_id organization");
 
     if (existingSession) {
-      // Append data to existing session
-      await EMGData.findByIdAndUpdate(existingSession._id, {
-        $push: { dataPoints: { $each: data.dataPoints } },
-        endTime: new Date(),
-      });
+      // Append to the session without loading or rewriting the data it already has
+      await EMGData.appendData(existingSession, data.dataPoints || []);
 
       if (shouldLog) {
         console.log(
@@ -608,7 +646,8 @@ async function processEMGData(device, data, shouldLog = false) {
       const newSession = await EMGData.create({
         device: device._id,
         patient: device.assignedPatient,
-        doctor: device.assignedDoctor,
+        doctor: device.getCareTeamOwner(),
+        organization: device.organization,
         sessionId: data.sessionId,
         dataPoints: data.dataPoints,
         metadata: data.metadata,
@@ -640,18 +679,18 @@ async function processEMSData(device, data, shouldLog = false) {
     device.lastConnected = new Date();
     await device.save();
 
+    // Stream samples to clients watching the device
+    publishSamples(device, "ems", data.sessionId, data.responseData);
+
     // Find or create EMS session
     const existingSession = await EMSData.findOne({
       sessionId: data.sessionId,
       device: device._id,
-    });
+    }).select("_id organization");
 
     if (existingSession) {
-      // Update existing session
-      await EMSData.findByIdAndUpdate(existingSession._id, {
-        $push: { responseData: { $each: data.responseData || [] } },
-        endTime: new Date(),
-      });
+      // Append to the session without loading or rewriting the data it already has
+      await EMSData.appendData(existingSession, data.responseData || []);
 
       if (shouldLog) {
         console.log(
@@ -665,7 +704,8 @@ async function processEMSData(device, data, shouldLog = false) {
       const newSession = await EMSData.create({
         device: device._id,
         patient: device.assignedPatient,
-        doctor: device.assignedDoctor,
+        doctor: device.getCareTeamOwner(),
+        organization: device.organization,
         sessionId: data.sessionId,
         stimulationParameters: data.stimulationParameters,
         stimulationPattern: data.stimulationPattern,
@@ -724,6 +764,7 @@ async function handleDeviceStatus(deviceId, data) {
     if (Object.keys(updates).length > 0) {
       updates.lastConnected = new Date();
       await Device.findByIdAndUpdate(device._id, updates);
+      publishDeviceStatus(device, updates);
 
       console.log(
         `📱 Updated device ${deviceId} status: ${JSON.stringify(updates)}`
@@ -0,0 +1,95 @@
+// emergency-access.service.js - Service for break-the-glass access to patients
+
+const EmergencyAccess = require('../models/emergency-access.model');
+const User = require('../models/user.model');
+const securityConfig = require('../config/security');
+const { sendTemplate } = require('./mail.service');
+const { hasAccess } = require('../utils/access.utils');
+
+/**
+ * Find a user's active emergency access grant for a patient
+ * @param {Object|string} patient - Patient document or ID
+ * @param {Object} user - Logged-in user
+ * @returns {Promise<Object|null>} Emergency access document, or null
+ */
+const findActiveGrant = async (patient, user) => {
+  return EmergencyAccess.findOne({
+    patient: patient._id || patient,
+    user: user._id,
+    organization: user.organization || null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+/**
+ * Check if a user may read a patient, through the care team or an active emergency grant
+ * @param {Object} patient - Patient document (must include organization and careTeam)
+ * @param {Object} user - Logged-in user
+ * @returns {Promise<Object|null>} { emergencyAccess } (null for regular access), or null if not allowed
+ */
+const getReadAccess = async (patient, user) => {
+  if (hasAccess(patient, user, 'read')) return { emergencyAccess: null };
+
+  const grant = await findActiveGrant(patient, user);
+  return grant ? { emergencyAccess: grant } : null;
+};
+
+/**
+ * Email the patient's owners and the organisation's admins about an emergency access grant.
+ * Failures to send a single email are logged; other failures reject.
+ * @param {Object} patient - Patient document
+ * @param {Object} grant - Emergency access document
+ * @param {Object} user - Clinician who used emergency access
+ * @returns {Promise<void>}
+ */
+const notifyEmergencyAccess = async (patient, grant, user) => {
+  const ownerIds = patient.careTeam
+    .filter((member) => member.role === 'owner')
+    .map((member) => member.user);
+
+  const recipients = await User.find({
+    organization: patient.organization || null,
+    isActive: true,
+    $or: [{ _id: { $in: ownerIds } }, { role: 'admin' }]
+  });
+
+  await Promise.all(recipients.map(async (recipient) => {
+    try {
+      await sendTemplate('emergencyAccess', recipient.email, { recipient, grant, user });
+    } catch (error) {
+      console.error(`❌ Failed to send emergency access notification to ${recipient.email}: ${error.message}`);
+    }
+  }));
+};
+
+/**
+ * Grant a clinician time-boxed read access to a patient outside their care teams
+ * @param {Object} patient - Patient document
+ * @param {Object} user - Clinician requesting access
+ * @param {string} reason - Why access is needed
+ * @returns {Promise<Object>} Emergency access document
+ */
+const grantEmergencyAccess = async (patient, user, reason) => {
+  const grant = await EmergencyAccess.create({
+    user: user._id,
+    patient: patient._id,
+    organization: patient.organization,
+    reason,
+    expiresAt: new Date(Date.now() + securityConfig.emergencyAccess.durationMinutes * 60 * 1000)
+  });
+
+  console.warn(`🚨 Emergency access to patient ${patient._id} by ${user.email} until ${grant.expiresAt.toISOString()}`);
+  // Notifications are sent in the background, so failures are logged and never fail the grant
+  notifyEmergencyAccess(patient, grant, user).catch((error) => {
+    console.error(`❌ Failed to send emergency access notifications for patient ${patient._id}: ${error.message}`);
+  });
+
+  return grant;
+};
+
+module.exports = {
+  findActiveGrant,
+  getReadAccess,
+  grantEmergencyAccess
+};
@@ -0,0 +1,518 @@
+// fhir.service.js - Mapping between our models and FHIR R4 resources
+
+const fhirConfig = require('../config/fhir');
+const { isCalendarDate } = require('../utils/date.utils');
+
+// Elements of the R4 Patient resource (https://hl7.org/fhir/R4/patient.html)
+const PATIENT_ELEMENTS = [
+  'resourceType', 'id', 'meta', 'implicitRules', 'language', 'text', 'contained', 'extension',
+  'modifierExtension', 'identifier', 'active', 'name', 'telecom', 'gender', 'birthDate',
+  'deceasedBoolean', 'deceasedDateTime', 'address', 'maritalStatus', 'multipleBirthBoolean',
+  'multipleBirthInteger', 'photo', 'contact', 'communication', 'generalPractitioner',
+  'managingOrganization', 'link'
+];
+
+// Patient elements with a maximum cardinality of * - they must be arrays
+const PATIENT_ARRAY_ELEMENTS = [
+  'contained', 'extension', 'modifierExtension', 'identifier', 'name', 'telecom', 'address',
+  'photo', 'contact', 'communication', 'generalPractitioner', 'link'
+];
+
+// R4 value sets of the coded elements we read
+const CODES = {
+  gender: ['male', 'female', 'other', 'unknown'],
+  nameUse: ['usual', 'official', 'temp', 'nickname', 'anonymous', 'old', 'maiden'],
+  telecomSystem: ['phone', 'fax', 'email', 'pager', 'url', 'sms', 'other'],
+  telecomUse: ['home', 'work', 'temp', 'old', 'mobile'],
+  addressUse: ['home', 'work', 'temp', 'old', 'billing'],
+  addressType: ['postal', 'physical', 'both']
+};
+
+// FHIR date: YYYY, YYYY-MM or YYYY-MM-DD
+const FHIR_DATE = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/;
+
+// FHIR id: up to 64 letters, digits, "-" and "."
+const FHIR_ID = /^[A-Za-z0-9.-]{1,64}$/;
+
+const UCUM = 'http://unitsofmeasure.org';
+
+/**
+ * Build a URL in this server's FHIR namespace
+ * @param {string} path - e.g. "CodeSystem/session"
+ * @returns {string} Absolute URL
+ */
+const systemUrl = (path) => `${fhirConfig.systemUrl}/${path}`;
+
+/**
+ * Build an OperationOutcome issue
+ * @param {string} code - FHIR issue type (structure, required, value, not-supported, not-found, ...)
+ * @param {string} expression - FHIRPath of the element the issue is about
+ * @param {string} diagnostics - Human readable description
+ * @returns {Object} OperationOutcome.issue
+ */
+const outcomeIssue = (code, expression, diagnostics) => ({
+  severity: 'error',
+  code,
+  diagnostics,
+  expression: expression ? [expression] : undefined
+});
+
+/**
+ * Build an OperationOutcome resource
+ * @param {Array<Object>} issues - Issues (see outcomeIssue)
+ * @returns {Object} OperationOutcome
+ */
+const operationOutcome = (issues) => ({
+  resourceType: 'OperationOutcome',
+  issue: issues
+});
+
+/**
+ * Check that a value is a FHIR string (a non-empty string)
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+const isFhirString = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Check that a value is a JSON object (not an array)
+ * @param {*} value - Value to check
+ * @returns {boolean} True if an object
+ */
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate the elements of a complex value that we read
+ * @param {Object} value - Value to validate
+ * @param {string} path - FHIRPath of the value
+ * @param {Object} rules - Rules by element: "string", "string[]" or an array of allowed codes
+ * @param {Array<Object>} issues - Issues found so far; new ones are added
+ */
+const checkElements = (value, path, rules, issues) => {
+  if (!isObject(value)) {
+    issues.push(outcomeIssue('structure', path, `${path} must be an object`));
+    return;
+  }
+
+  Object.entries(rules).forEach(([element, rule]) => {
+    const item = value[element];
+    const itemPath = `${path}.${element}`;
+
+    if (item === undefined) return;
+
+    if (rule === 'string' && !isFhirString(item)) {
+      issues.push(outcomeIssue('value', itemPath, `${itemPath} must be a non-empty string`));
+    } else if (rule === 'string[]' && (!Array.isArray(item) || item.length === 0 || !item.every(isFhirString))) {
+      issues.push(outcomeIssue('structure', itemPath, `${itemPath} must be a non-empty array of strings`));
+    } else if (Array.isArray(rule) && !rule.includes(item)) {
+      issues.push(outcomeIssue('code-invalid', itemPath, `${itemPath} must be one of ${rule.join(', ')}`));
+    }
+  });
+};
+
+/**
+ * Validate a Patient resource against the parts of the R4 structure this server reads
+ * @param {Object} resource - Patient resource from a request
+ * @returns {Array<Object>} OperationOutcome issues; empty if the resource is valid
+ */
+const validatePatientResource = (resource) => {
+  if (!isObject(resource)) {
+    return [outcomeIssue('structure', null, 'The request body must be a FHIR Patient resource')];
+  }
+
+  const issues = [];
+
+  if (resource.resourceType !== 'Patient') {
+    issues.push(outcomeIssue('structure', 'Patient.resourceType', 'resourceType must be "Patient"'));
+  }
+
+  Object.keys(resource)
+    .filter((element) => !PATIENT_ELEMENTS.includes(element))
+    .forEach((element) => issues.push(outcomeIssue('structure', `Patient.${element}`, `Unknown element ${element}`)));
+
+  PATIENT_ARRAY_ELEMENTS
+    .filter((element) => resource[element] !== undefined && (!Array.isArray(resource[element]) || resource[element].length === 0))
+    .forEach((element) => issues.push(outcomeIssue('structure', `Patient.${element}`, `Patient.${element} must be a non-empty array`)));
+
+  if (issues.length > 0) return issues;
+
+  // Modifier extensions change the meaning of a resource, so unknown ones must be rejected
+  if (resource.modifierExtension) {
+    issues.push(outcomeIssue('not-supported', 'Patient.modifierExtension', 'Modifier extensions are not supported'));
+  }
+
+  if (resource.id !== undefined && !(typeof resource.id === 'string' && FHIR_ID.test(resource.id))) {
+    issues.push(outcomeIssue('value', 'Patient.id', 'Patient.id must be a valid FHIR id'));
+  }
+  if (resource.active !== undefined && typeof resource.active !== 'boolean') {
+    issues.push(outcomeIssue('value', 'Patient.active', 'Patient.active must be true or false'));
+  }
+  if (resource.gender !== undefined && !CODES.gender.includes(resource.gender)) {
+    issues.push(outcomeIssue('code-invalid', 'Patient.gender', `Patient.gender must be one of ${CODES.gender.join(', ')}`));
+  }
+  const { birthDate } = resource;
+  if (birthDate !== undefined && !(typeof birthDate === 'string' && FHIR_DATE.test(birthDate) && (birthDate.length < 10 || isCalendarDate(birthDate)))) {
+    issues.push(outcomeIssue('value', 'Patient.birthDate', 'Patient.birthDate must be a FHIR date (YYYY, YYYY-MM or YYYY-MM-DD)'));
+  }
+
+  (resource.name || []).forEach((name, index) => checkElements(name, `Patient.name[${index}]`, {
+    use: CODES.nameUse,
+    text: 'string',
+    family: 'string',
+    given: 'string[]',
+    prefix: 'string[]',
+    suffix: 'string[]'
+  }, issues));
+
+  (resource.telecom || []).forEach((telecom, index) => checkElements(telecom, `Patient.telecom[${index}]`, {
+    system: CODES.telecomSystem,
+    value: 'string',
+    use: CODES.telecomUse
+  }, issues));
+
+  (resource.address || []).forEach((address, index) => checkElements(address, `Patient.address[${index}]`, {
+    use: CODES.addressUse,
+    type: CODES.addressType,
+    text: 'string',
+    line: 'string[]',
+    city: 'string',
+    district: 'string',
+    state: 'string',
+    postalCode: 'string',
+    country: 'string'
+  }, issues));
+
+  return issues;
+};
+
+/**
+ * Pick the entry to use from a repeating element: the first with a preferred use, else the first
+ * @param {Array<Object>} [entries] - Element values
+ * @param {Array<string>} preferredUses - Uses in order of preference
+ * @returns {Object|undefined} Chosen entry
+ */
+const pickEntry = (entries = [], preferredUses) => {
+  const usable = entries.filter((entry) => entry.use !== 'old');
+  return preferredUses.map((use) => usable.find((entry) => entry.use === use)).find(Boolean) || usable[0];
+};
+
+/**
+ * Validate a Patient resource and map it to patient fields.
+ * Elements the Patient model has no place for (identifiers, contacts, ...) are not stored.
+ * @param {Object} resource - Patient resource from a request
+ * @returns {Object} { issues, fields } - fields is only set when there are no issues
+ */
+const parsePatientResource = (resource) => {
+  const issues = validatePatientResource(resource);
+  if (issues.length > 0) return { issues };
+
+  const name = pickEntry(resource.name, ['official', 'usual']);
+  if (!name || !name.family || !name.given) {
+    issues.push(outcomeIssue('required', 'Patient.name', 'A name with family and given names is required'));
+  }
+  if (!resource.gender) {
+    issues.push(outcomeIssue('required', 'Patient.gender', 'Patient.gender is required'));
+  } else if (resource.gender === 'unknown') {
+    issues.push(outcomeIssue('not-supported', 'Patient.gender', 'Patient.gender "unknown" is not supported'));
+  }
+  if (!resource.birthDate) {
+    issues.push(outcomeIssue('required', 'Patient.birthDate', 'Patient.birthDate is required'));
+  } else if (resource.birthDate.length !== 10) {
+    issues.push(outcomeIssue('not-supported', 'Patient.birthDate', 'Patient.birthDate must be a full date (YYYY-MM-DD)'));
+  }
+
+  if (issues.length > 0) return { issues };
+
+  const telecom = resource.telecom || [];
+  const email = pickEntry(telecom.filter((entry) => entry.system === 'email'), ['home', 'work']);
+  const phone = pickEntry(telecom.filter((entry) => ['phone', 'sms'].includes(entry.system)), ['mobile', 'home', 'work']);
+  const address = pickEntry(resource.address, ['home']);
+
+  const fields = {
+    firstName: name.given.join(' '),
+    lastName: name.family,
+    dateOfBirth: new Date(resource.birthDate),
+    gender: resource.gender,
+    contactInformation: {
+      email: email ? email.value : undefined,
+      phoneNumber: phone ? phone.value : undefined,
+      address: address ? {
+        street: address.line ? address.line.join(', ') : undefined,
+        city: address.city,
+        state: address.state,
+        zipCode: address.postalCode,
+        country: address.country
+      } : undefined
+    }
+  };
+
+  if (resource.active !== undefined) fields.isActive = resource.active;
+
+  return { issues, fields };
+};
+
+/**
+ * Build the meta element of a resource
+ * @param {Object} doc - Document with timestamps
+ * @returns {Object} FHIR meta
+ */
+const toMeta = (doc) => ({
+  lastUpdated: (doc.updatedAt || doc.createdAt || new Date()).toISOString()
+});
+
+/**
+ * Build a reference to another resource
+ * @param {string} resourceType - e.g. "Patient"
+ * @param {Object|string} [doc] - Document, populated document or ID
+ * @returns {Object|undefined} FHIR Reference, or undefined without a document
+ */
+const toReference = (resourceType, doc) => (doc ? { reference: `${resourceType}/${doc._id || doc}` } : undefined);
+
+/**
+ * Drop empty arrays, which FHIR does not allow
+ * @param {Array} [values] - Array that may be empty
+ * @returns {Array|undefined} The array, or undefined if it is empty
+ */
+const nonEmpty = (values) => (values && values.length > 0 ? values : undefined);
+
+/**
+ * Map a patient to a FHIR Patient resource
+ * @param {Object} patient - Patient document (decrypted)
+ * @returns {Object} Patient resource
+ */
+const toFhirPatient = (patient) => {
+  const contact = patient.contactInformation || {};
+  const address = contact.address || {};
+  const hasAddress = ['street', 'city', 'state', 'zipCode', 'country'].some((field) => address[field]);
+
+  return {
+    resourceType: 'Patient',
+    id: patient._id.toString(),
+    meta: toMeta(patient),
+    active: patient.isActive,
+    name: [{
+      use: 'official',
+      family: patient.lastName,
+      given: patient.firstName.split(' ')
+    }],
+    telecom: nonEmpty([
+      contact.email && { system: 'email', value: contact.email },
+      contact.phoneNumber && { system: 'phone', value: contact.phoneNumber }
+    ].filter(Boolean)),
+    gender: patient.gender,
+    birthDate: patient.dateOfBirth ? patient.dateOfBirth.toISOString().slice(0, 10) : undefined,
+    address: hasAddress ? [{
+      use: 'home',
+      line: address.street ? [address.street] : undefined,
+      city: address.city,
+      state: address.state,
+      postalCode: address.zipCode,
+      country: address.country
+    }] : undefined
+  };
+};
+
+/**
+ * Map a device to a FHIR Device resource
+ * @param {Object} device - Device document
+ * @returns {Object} Device resource
+ */
+const toFhirDevice = (device) => ({
+  resourceType: 'Device',
+  id: device._id.toString(),
+  meta: toMeta(device),
+  status: device.isActive ? 'active' : 'inactive',
+  serialNumber: device.serialNumber,
+  deviceName: [{ name: device.name, type: 'user-friendly-name' }],
+  type: {
+    coding: [{ system: systemUrl('CodeSystem/device-type'), code: device.type }],
+    text: `${device.type} device`
+  },
+  version: device.firmwareVersion ? [{ type: { text: 'firmware' }, value: device.firmwareVersion }] : undefined,
+  patient: toReference('Patient', device.assignedPatient)
+});
+
+/**
+ * Summarise a signal: sample and channel counts, and mean, RMS and peak of the absolute values
+ * @param {Array<Object>} [dataPoints] - Data points with value and channel
+ * @returns {Object} Summary; only count is set when there are no values
+ */
+const summarizeSignal = (dataPoints = []) => {
+  const values = dataPoints.map((point) => point.value).filter(Number.isFinite);
+  if (values.length === 0) return { count: 0 };
+
+  let sum = 0;
+  let sumOfSquares = 0;
+  let peak = 0;
+  values.forEach((value) => {
+    sum += Math.abs(value);
+    sumOfSquares += value * value;
+    peak = Math.max(peak, Math.abs(value));
+  });
+
+  return {
+    count: values.length,
+    channels: new Set(dataPoints.map((point) => point.channel)).size,
+    mean: sum / values.length,
+    rms: Math.sqrt(sumOfSquares / values.length),
+    peak
+  };
+};
+
+/**
+ * Build a code from this server's session code system
+ * @param {string} code - Code
+ * @param {string} display - Display text
+ * @returns {Object} FHIR CodeableConcept
+ */
+const sessionCode = (code, display) => ({
+  coding: [{ system: systemUrl('CodeSystem/session'), code, display }],
+  text: display
+});
+
+/**
+ * Build the identifier carrying a session's device-assigned session ID
+ * @param {Object} session - EMG or EMS session
+ * @returns {Array<Object>} FHIR identifiers
+ */
+const sessionIdentifier = (session) => [{ system: systemUrl('NamingSystem/session-id'), value: session.sessionId }];
+
+/**
+ * Map an EMG session to a FHIR Observation summarising the recorded signal
+ * @param {Object} session - EMG session with its data points
+ * @returns {Object} Observation resource
+ */
+const toFhirObservation = (session) => {
+  const summary = summarizeSignal(session.dataPoints);
+  const metadata = session.metadata || {};
+
+  const components = [
+    { code: sessionCode('sample-count', 'Sample count'), valueInteger: summary.count }
+  ];
+  if (summary.count > 0) {
+    components.push(
+      { code: sessionCode('channel-count', 'Channel count'), valueInteger: summary.channels },
+      { code: sessionCode('mean-amplitude', 'Mean absolute amplitude'), valueQuantity: { value: summary.mean } },
+      { code: sessionCode('rms-amplitude', 'RMS amplitude'), valueQuantity: { value: summary.rms } },
+      { code: sessionCode('peak-amplitude', 'Peak absolute amplitude'), valueQuantity: { value: summary.peak } }
+    );
+  }
+  if (metadata.deviceSettings && metadata.deviceSettings.samplingRate) {
+    components.push({
+      code: sessionCode('sampling-rate', 'Sampling rate'),
+      valueQuantity: { value: metadata.deviceSettings.samplingRate, unit: 'Hz', system: UCUM, code: 'Hz' }
+    });
+  }
+
+  return {
+    resourceType: 'Observation',
+    id: session._id.toString(),
+    meta: toMeta(session),
+    identifier: sessionIdentifier(session),
+    status: 'final',
+    category: [{
+      coding: [{
+        system: 'http://terminology.hl7.org/CodeSystem/observation-category',
+        code: 'procedure',
+        display: 'Procedure'
+      }]
+    }],
+    code: sessionCode('emg-session', 'EMG session summary'),
+    subject: toReference('Patient', session.patient),
+    effectivePeriod: {
+      start: session.startTime ? session.startTime.toISOString() : undefined,
+      end: session.endTime ? session.endTime.toISOString() : undefined
+    },
+    performer: nonEmpty([toReference('Practitioner', session.doctor)].filter(Boolean)),
+    bodySite: metadata.muscleGroup ? { text: metadata.muscleGroup } : undefined,
+    device: toReference('Device', session.device),
+    note: nonEmpty([
+      metadata.activity && { text: `Activity: ${metadata.activity}` },
+      metadata.notes && { text: metadata.notes }
+    ].filter(Boolean)),
+    component: components
+  };
+};
+
+/**
+ * Map an EMS session to a FHIR Procedure. The stimulation parameters are carried in an extension.
+ * @param {Object} session - EMS session
+ * @returns {Object} Procedure resource
+ */
+const toFhirProcedure = (session) => {
+  const metadata = session.metadata || {};
+  const parameters = session.stimulationParameters || {};
+
+  const quantity = (url, value, unit) => (
+    value === undefined || value === null ? null : { url, valueQuantity: { value, unit, system: UCUM, code: unit } }
+  );
+  const stimulation = [
+    quantity('frequency', parameters.frequency, 'Hz'),
+    quantity('pulseWidth', parameters.pulseWidth, 'us'),
+    quantity('amplitude', parameters.amplitude, 'mA'),
+    quantity('duration', parameters.duration, 's'),
+    quantity('restPeriod', parameters.restPeriod, 's'),
+    parameters.waveform ? { url: 'waveform', valueCode: parameters.waveform } : null,
+    session.stimulationPattern ? { url: 'pattern', valueCode: session.stimulationPattern } : null
+  ].filter(Boolean);
+
+  return {
+    resourceType: 'Procedure',
+    id: session._id.toString(),
+    meta: toMeta(session),
+    extension: nonEmpty(stimulation.length > 0 ? [{
+      url: systemUrl('StructureDefinition/ems-stimulation'),
+      extension: stimulation
+    }] : []),
+    identifier: sessionIdentifier(session),
+    status: 'completed',
+    code: sessionCode('ems-session', 'EMS stimulation session'),
+    subject: toReference('Patient', session.patient),
+    performedPeriod: {
+      start: session.startTime ? session.startTime.toISOString() : undefined,
+      end: session.endTime ? session.endTime.toISOString() : undefined
+    },
+    performer: session.doctor ? [{ actor: toReference('Practitioner', session.doctor) }] : undefined,
+    reasonCode: metadata.treatmentGoal ? [{ text: metadata.treatmentGoal }] : undefined,
+    bodySite: metadata.muscleGroup ? [{ text: metadata.muscleGroup }] : undefined,
+    note: metadata.notes ? [{ text: metadata.notes }] : undefined,
+    focalDevice: session.device ? [{ manipulated: toReference('Device', session.device) }] : undefined
+  };
+};
+
+/**
+ * Wrap resources in a Bundle
+ * @param {string} baseUrl - Base URL of the FHIR endpoint, for fullUrl
+ * @param {Array<Object>} resources - Resources in the bundle
+ * @param {Object} options - Bundle options
+ * @param {string} options.selfUrl - URL of the request
+ * @param {number} [options.total] - Number of matches across all pages
+ * @param {string} [options.nextUrl] - URL of the next page
+ * @param {Function} [options.searchMode] - Search mode of a resource (match or include)
+ * @returns {Object} Searchset Bundle
+ */
+const toSearchBundle = (baseUrl, resources, { selfUrl, total, nextUrl, searchMode = () => 'match' }) => ({
+  resourceType: 'Bundle',
+  type: 'searchset',
+  total,
+  link: [
+    { relation: 'self', url: selfUrl },
+    nextUrl && { relation: 'next', url: nextUrl }
+  ].filter(Boolean),
+  entry: nonEmpty(resources.map((resource) => ({
+    fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+    resource,
+    search: { mode: searchMode(resource) }
+  })))
+});
+
+module.exports = {
+  outcomeIssue,
+  operationOutcome,
+  parsePatientResource,
+  toFhirPatient,
+  toFhirDevice,
+  toFhirObservation,
+  toFhirProcedure,
+  toSearchBundle
+};
@@ -0,0 +1,117 @@
+// mail.service.js - Service for sending templated emails
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const mailConfig = require('../config/mail');
+const templates = require('../templates/mail.templates');
+
+// Transporter is created on first use so the server starts without SMTP settings
+let transporter = null;
+
+/**
+ * Create the nodemailer transporter for the configured transport
+ * @returns {Object} Nodemailer transporter
+ */
+const createTransporter = () => {
+  switch (mailConfig.transport) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: mailConfig.smtp.host,
+        port: mailConfig.smtp.port,
+        secure: mailConfig.smtp.secure,
+        auth: mailConfig.smtp.user
+          ? { user: mailConfig.smtp.user, pass: mailConfig.smtp.password }
+          : undefined
+      });
+    case 'file':
+    case 'console':
+      // Build the full message without sending it anywhere
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${mailConfig.transport}`);
+  }
+};
+
+/**
+ * Get the shared transporter
+ * @returns {Object} Nodemailer transporter
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = createTransporter();
+  }
+  return transporter;
+};
+
+/**
+ * Send an email
+ * @param {Object} message - Message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} message.html - HTML body
+ * @returns {Promise<Object>} Nodemailer delivery info
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const info = await getTransporter().sendMail({
+    from: mailConfig.from,
+    to,
+    subject,
+    text,
+    html
+  });
+
+  if (mailConfig.transport === 'file') {
+    fs.mkdirSync(mailConfig.fileDir, { recursive: true });
+    const fileName = `${Date.now()}-${to.replace(/[^a-z0-9@.-]/gi, '_')}.eml`;
+    fs.writeFileSync(path.join(mailConfig.fileDir, fileName), info.message);
+  } else if (mailConfig.transport === 'console') {
+    console.log(`📧 Email to ${to}: ${subject}\n${text}`);
+  }
+
+  return info;
+};
+
+/**
+ * Render a template and send it
+ * @param {string} templateName - Name of a template in mail.templates.js
+ * @param {string} to - Recipient address
+ * @param {Object} data - Template data
+ * @returns {Promise<Object>} Nodemailer delivery info
+ */
+const sendTemplate = async (templateName, to, data) => {
+  const template = templates[templateName];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+
+  return sendMail({ to, ...template(data) });
+};
+
+/**
+ * Tell a user about a security-relevant change to their account
+ * Failures are logged but never interrupt the request that triggered them
+ * @param {Object} user - User document
+ * @param {string} event - Security event key
+ * @param {Object} [req] - Express request (used for the IP address)
+ * @returns {Promise<void>}
+ */
+const sendSecurityNotification = async (user, event, req) => {
+  try {
+    await sendTemplate('securityNotification', user.email, {
+      user,
+      event,
+      ipAddress: req ? req.ip : undefined
+    });
+  } catch (error) {
+    console.error(`❌ Failed to send ${event} notification to ${user.email}: ${error.message}`);
+  }
+};
+
+module.exports = {
+  sendMail,
+  sendTemplate,
+  sendSecurityNotification
+};
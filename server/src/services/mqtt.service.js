@@ -3,6 +3,10 @@
 const mqtt = require("mqtt");
 const Device = require("../models/device.model");
 const { EMGData, EMSData } = require("../models/data.model");
+const {
+  publishSamples,
+  publishDeviceStatus,
+} = require("./stream.service");
 
 // MQTT Service configuration
 const mqttConfig = {
@@ -229,18 +233,18 @@ async function handleDeviceData(device, data, shouldLog = false) {
 
     // Check data type
     if (data.type === "emg") {
+      // Stream samples to clients watching the device
+      publishSamples(device, "emg", data.sessionId, data.dataPoints);
+
       // Handle EMG data
       const existingSession = await EMGData.findOne({
         sessionId: data.sessionId,
         device: device._id,
-      });
+      }).select("_id organization");
 
       if (existingSession) {
-        // Append data to existing session
-        await EMGData.findByIdAndUpdate(existingSession._id, {
-          $push: { dataPoints: { $each: data.dataPoints } },
-          endTime: new Date(),
-        });
+        // Append to the session without loading or rewriting the data it already has
+        await EMGData.appendData(existingSession, data.dataPoints || []);
 
         if (shouldLog) {
           console.log(
@@ -254,7 +258,8 @@ async function handleDeviceData(device, data, shouldLog = false) {
         const newSession = await EMGData.create({
           device: device._id,
           patient: device.assignedPatient,
-          doctor: device.assignedDoctor,
+          doctor: device.getCareTeamOwner(),
+          organization: device.organization,
           sessionId: data.sessionId,
           dataPoints: data.dataPoints,
           metadata: data.metadata,
@@ -270,18 +275,18 @@ async function handleDeviceData(device, data, shouldLog = false) {
         }
       }
     } else if (data.type === "ems") {
+      // Stream samples to clients watching the device
+      publishSamples(device, "ems", data.sessionId, data.responseData);
+
       // Handle EMS data
       const existingSession = await EMSData.findOne({
         sessionId: data.sessionId,
         device: device._id,
-      });
+      }).select("_id organization");
 
       if (existingSession) {
-        // Update existing session
-        await EMSData.findByIdAndUpdate(existingSession._id, {
-          $push: { responseData: { $each: data.responseData || [] } },
-          endTime: new Date(),
-        });
+        // Append to the session without loading or rewriting the data it already has
+        await EMSData.appendData(existingSession, data.responseData || []);
 
         if (shouldLog) {
           console.log(
@@ -295,7 +300,8 @@ async function handleDeviceData(device, data, shouldLog = false) {
         const newSession = await EMSData.create({
           device: device._id,
           patient: device.assignedPatient,
-          doctor: device.assignedDoctor,
+          doctor: device.getCareTeamOwner(),
+          organization: device.organization,
           sessionId: data.sessionId,
           stimulationParameters: data.stimulationParameters,
           stimulationPattern: data.stimulationPattern,
@@ -340,6 +346,7 @@ async function handleDeviceStatus(device, status, shouldLog = false) {
     if (Object.keys(updates).length > 0) {
       updates.lastConnected = new Date();
       await Device.findByIdAndUpdate(device._id, updates);
+      publishDeviceStatus(device, updates);
 
       if (shouldLog) {
         console.log(
@@ -0,0 +1,160 @@
+// patient-duplicate.service.js - Service for finding patients registered more than once
+
+const Patient = require('../models/patient.model');
+const { blindIndex, searchWords, normalizeSearchValue, normalizePhoneNumber } = require('../utils/blind-index.utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Values two patients are compared on
+const MATCH_KEYS = ['name', 'dateOfBirth', 'email', 'phoneNumber'];
+
+/**
+ * Get the values a patient is compared on. Email addresses and phone numbers are
+ * compared through their blind index, so patients loaded without decryption can take part.
+ * @param {Object} patient - Patient document (decrypted), or a plain object with searchIndex
+ * @returns {Object} name, dateOfBirth (YYYY-MM-DD), email and phoneNumber; null when not set
+ */
+const matchKeys = (patient) => {
+  const contact = patient.contactInformation || {};
+  const index = patient.searchIndex || {};
+  const phoneDigits = contact.phoneNumber ? normalizePhoneNumber(contact.phoneNumber) : '';
+
+  return {
+    name: normalizeSearchValue(`${patient.firstName} ${patient.lastName}`),
+    dateOfBirth: patient.dateOfBirth ? new Date(patient.dateOfBirth).toISOString().slice(0, 10) : null,
+    email: contact.email ? blindIndex('email', contact.email) : index.email || null,
+    phoneNumber: phoneDigits ? blindIndex('phone', phoneDigits) : index.phoneNumber || null
+  };
+};
+
+/**
+ * Compare two patients
+ * @param {Object} a - Keys from matchKeys
+ * @param {Object} b - Keys from matchKeys
+ * @returns {Array<string>} Keys both patients have the same value for
+ */
+const matchPatients = (a, b) => MATCH_KEYS.filter((key) => a[key] && a[key] === b[key]);
+
+/**
+ * Decide whether two patients are likely the same person: at least two of name, date
+ * of birth, email address and phone number match, one of them the name or date of birth.
+ * Relatives often share an email address and phone number, so those two alone do not count.
+ * @param {Array<string>} matchedOn - Result of matchPatients
+ * @returns {boolean} True for likely duplicates
+ */
+const isLikelyDuplicate = (matchedOn) => (
+  matchedOn.length >= 2 && (matchedOn.includes('name') || matchedOn.includes('dateOfBirth'))
+);
+
+/**
+ * Build a query filter for patients that could be duplicates of the given ones: same
+ * date of birth, a word of the last name, email address or phone number
+ * @param {Array<Object>} patients - Patient documents (decrypted)
+ * @returns {Object} Mongoose query filter
+ */
+const candidateFilter = (patients) => {
+  const keys = patients.map(matchKeys);
+  const unique = (values) => [...new Set(values.filter(Boolean))];
+
+  const days = unique(keys.map((key) => key.dateOfBirth));
+  const names = unique(patients.flatMap((patient) => searchWords(patient.lastName)).map((word) => blindIndex('name', word)));
+  const emails = unique(keys.map((key) => key.email));
+  const phoneNumbers = unique(keys.map((key) => key.phoneNumber));
+
+  const conditions = days.map((day) => ({
+    dateOfBirth: { $gte: new Date(day), $lt: new Date(new Date(day).getTime() + DAY_MS) }
+  }));
+  if (names.length > 0) conditions.push({ 'searchIndex.names': { $in: names } });
+  if (emails.length > 0) conditions.push({ 'searchIndex.email': { $in: emails } });
+  if (phoneNumbers.length > 0) conditions.push({ 'searchIndex.phoneNumber': { $in: phoneNumbers } });
+
+  return conditions.length > 0 ? { $or: conditions } : { _id: null };
+};
+
+/**
+ * Find likely duplicates of patients among other patients
+ * @param {Array<Object>} patients - Patient documents (decrypted; may be unsaved)
+ * @param {Object} filter - Query filter limiting the patients searched (e.g. the organisation)
+ * @returns {Promise<Array<Array<Object>>>} For each patient, { patient, matchedOn } for every
+ *   likely duplicate, best matches first
+ */
+const findDuplicateCandidates = async (patients, filter) => {
+  if (patients.length === 0) return [];
+
+  const candidates = await Patient.find({
+    $and: [
+      filter,
+      { _id: { $nin: patients.map((patient) => patient._id) } },
+      candidateFilter(patients)
+    ]
+  });
+  const candidateKeys = candidates.map((candidate) => ({ candidate, keys: matchKeys(candidate) }));
+
+  return patients.map((patient) => {
+    const keys = matchKeys(patient);
+
+    return candidateKeys
+      .map(({ candidate, keys: otherKeys }) => ({ patient: candidate, matchedOn: matchPatients(keys, otherKeys) }))
+      .filter(({ matchedOn }) => isLikelyDuplicate(matchedOn))
+      .sort((a, b) => b.matchedOn.length - a.matchedOn.length);
+  });
+};
+
+/**
+ * Find pairs of likely duplicates among all patients matching a filter. Patients are
+ * compared through their names, dates of birth and blind index, without decryption.
+ * @param {Object} filter - Query filter (e.g. the patients a user can access)
+ * @returns {Promise<Array<Object>>} { patients: [a, b], matchedOn } for each pair, best matches first;
+ *   patients have _id, firstName, lastName and dateOfBirth
+ */
+const findDuplicatePairs = async (filter) => {
+  const patients = await Patient.find(filter)
+    .select('firstName lastName dateOfBirth +searchIndex')
+    .lean();
+  const keys = patients.map(matchKeys);
+
+  // Only patients sharing at least one value need to be compared
+  const groups = new Map();
+  keys.forEach((patientKeys, index) => {
+    MATCH_KEYS.forEach((key) => {
+      if (!patientKeys[key]) return;
+      const group = `${key}:${patientKeys[key]}`;
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(index);
+    });
+  });
+
+  const compared = new Set();
+  const pairs = [];
+
+  groups.forEach((members) => {
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const pair = `${members[i]}:${members[j]}`;
+        if (compared.has(pair)) continue;
+        compared.add(pair);
+
+        const matchedOn = matchPatients(keys[members[i]], keys[members[j]]);
+        if (!isLikelyDuplicate(matchedOn)) continue;
+
+        pairs.push({
+          patients: [members[i], members[j]].map((index) => {
+            const { _id, firstName, lastName, dateOfBirth } = patients[index];
+            return { _id, firstName, lastName, dateOfBirth };
+          }),
+          matchedOn
+        });
+      }
+    }
+  });
+
+  return pairs.sort((a, b) => b.matchedOn.length - a.matchedOn.length);
+};
+
+module.exports = {
+  matchKeys,
+  matchPatients,
+  isLikelyDuplicate,
+  findDuplicateCandidates,
+  findDuplicatePairs
+};
@@ -0,0 +1,417 @@
+// patient-import.service.js - Service for registering patients in bulk from CSV or JSON
+
+const Patient = require('../models/patient.model');
+const { PatientVersion } = require('../models/patient-version.model');
+const { recordPatientVersion } = require('./patient-version.service');
+const { matchKeys, matchPatients, isLikelyDuplicate, findDuplicateCandidates } = require('./patient-duplicate.service');
+const { tenantFilter, hasAccess } = require('../utils/access.utils');
+const { parseCsv } = require('../utils/csv.utils');
+const { runInTransaction } = require('../utils/db.utils');
+const { isCalendarDate } = require('../utils/date.utils');
+
+// Most rows accepted in one import
+const IMPORT_MAX_ROWS = 1000;
+
+// Patient fields a column can be mapped to, and how their values are read
+const IMPORT_FIELDS = {
+  firstName: 'text',
+  lastName: 'text',
+  dateOfBirth: 'date',
+  gender: 'gender',
+  'contactInformation.email': 'text',
+  'contactInformation.phoneNumber': 'text',
+  'contactInformation.address.street': 'text',
+  'contactInformation.address.city': 'text',
+  'contactInformation.address.state': 'text',
+  'contactInformation.address.zipCode': 'text',
+  'contactInformation.address.country': 'text',
+  'medicalInformation.medicalConditions': 'list',
+  'medicalInformation.allergies': 'list',
+  'medicalInformation.medications': 'list',
+  'medicalInformation.notes': 'text',
+  'treatmentPlan.startDate': 'date',
+  'treatmentPlan.endDate': 'date',
+  'treatmentPlan.goals': 'list',
+  'treatmentPlan.frequency': 'text',
+  'treatmentPlan.notes': 'text',
+  isActive: 'boolean'
+};
+
+// Other column names recognised without a mapping (compared without case, spaces and punctuation)
+const COLUMN_ALIASES = {
+  givenname: 'firstName',
+  surname: 'lastName',
+  familyname: 'lastName',
+  dob: 'dateOfBirth',
+  birthdate: 'dateOfBirth',
+  sex: 'gender',
+  emailaddress: 'contactInformation.email',
+  phone: 'contactInformation.phoneNumber',
+  mobile: 'contactInformation.phoneNumber',
+  address: 'contactInformation.address.street',
+  zip: 'contactInformation.address.zipCode',
+  postcode: 'contactInformation.address.zipCode',
+  postalcode: 'contactInformation.address.zipCode',
+  conditions: 'medicalInformation.medicalConditions',
+  active: 'isActive'
+};
+
+const GENDER_ALIASES = { m: 'male', f: 'female', o: 'other' };
+const BOOLEAN_VALUES = { true: true, yes: true, y: true, 1: true, false: false, no: false, n: false, 0: false };
+
+/**
+ * Reduce a column name to letters and digits, so "Date of Birth" and "date_of_birth" match
+ * @param {string} column - Column name or field path
+ * @returns {string} Lowercase letters and digits
+ */
+const columnKey = (column) => String(column).toLowerCase().replace(/[^0-9a-z]/g, '');
+
+// Fields by column key: full paths, unambiguous last parts of paths and aliases
+const KNOWN_COLUMNS = (() => {
+  const known = {};
+  const lastParts = {};
+
+  Object.keys(IMPORT_FIELDS).forEach((field) => {
+    known[columnKey(field)] = field;
+    const lastPart = columnKey(field.split('.').pop());
+    lastParts[lastPart] = lastParts[lastPart] ? null : field;
+  });
+
+  Object.keys(lastParts).forEach((key) => {
+    if (lastParts[key] && !known[key]) known[key] = lastParts[key];
+  });
+
+  return { ...known, ...COLUMN_ALIASES };
+})();
+
+/**
+ * Decide which patient field each column fills
+ * @param {Array<string>} columns - Column names, in order
+ * @param {Object} [mapping] - Column name to field path; null or "" leaves a column out
+ * @returns {Object} { columns: [{ column, field }] } or { error }
+ */
+const mapColumns = (columns, mapping = {}) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return { error: 'mapping must be an object of column names to patient fields' };
+  }
+
+  const missing = Object.keys(mapping).find((column) => !columns.includes(column));
+  if (missing) return { error: `Column "${missing}" in the mapping is not in the import` };
+
+  const mapped = columns.map((column) => ({
+    column,
+    field: Object.prototype.hasOwnProperty.call(mapping, column)
+      ? mapping[column] || null
+      : KNOWN_COLUMNS[columnKey(column)] || null
+  }));
+
+  const unknown = mapped.find(({ field }) => field && !IMPORT_FIELDS[field]);
+  if (unknown) {
+    return { error: `Column "${unknown.column}" is mapped to "${unknown.field}", which is not a patient field that can be imported` };
+  }
+
+  const repeated = mapped.find(({ field }, index) => field && mapped.findIndex((other) => other.field === field) !== index);
+  if (repeated) return { error: `More than one column is mapped to ${repeated.field}` };
+
+  return { columns: mapped };
+};
+
+/**
+ * Read one value as the type of its field
+ * @param {string} type - text, date, gender, list or boolean
+ * @param {*} raw - Value from the import
+ * @returns {Object} { value } (undefined for empty values) or { error }
+ */
+const readValue = (type, raw) => {
+  if (raw === undefined || raw === null) return {};
+  if (type === 'list' && Array.isArray(raw)) {
+    return { value: raw.map((item) => String(item).trim()).filter(Boolean) };
+  }
+
+  const text = String(raw).trim();
+  if (text === '') return {};
+
+  switch (type) {
+    case 'date': {
+      const valid = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(text) && isCalendarDate(text);
+      const date = valid ? new Date(text) : null;
+      return date && !Number.isNaN(date.getTime()) ? { value: date } : { error: 'must be a date (YYYY-MM-DD)' };
+    }
+    case 'gender': {
+      const gender = text.toLowerCase();
+      return { value: GENDER_ALIASES[gender] || gender };
+    }
+    case 'list':
+      return { value: text.split(/[;|]/).map((item) => item.trim()).filter(Boolean) };
+    case 'boolean': {
+      const value = BOOLEAN_VALUES[text.toLowerCase()];
+      return value === undefined ? { error: 'must be true or false' } : { value };
+    }
+    default:
+      return { value: text };
+  }
+};
+
+/**
+ * Set a dotted path on a plain object
+ * @param {Object} target - Object to change
+ * @param {string} path - e.g. "contactInformation.email"
+ * @param {*} value - Value to set
+ */
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => {
+    if (!object[key]) object[key] = {};
+    return object[key];
+  }, target);
+
+  parent[last] = value;
+};
+
+/**
+ * Flatten a JSON patient to dotted paths, so it can be mapped like CSV columns.
+ * Arrays are kept whole.
+ * @param {Object} value - Patient object or part of one
+ * @param {string} [prefix] - Path of the value
+ * @param {Object} [flat] - Values found so far
+ * @returns {Object} Values by dotted path
+ */
+const flattenRecord = (value, prefix = '', flat = {}) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.keys(value).forEach((key) => flattenRecord(value[key], prefix ? `${prefix}.${key}` : key, flat));
+  } else if (prefix) {
+    flat[prefix] = value;
+  }
+
+  return flat;
+};
+
+/**
+ * Read the rows of an import and turn each into patient fields
+ * @param {Object} input - What to import
+ * @param {string} [input.csv] - CSV text with a header row
+ * @param {Array<Object>} [input.patients] - Patients as JSON objects (nested or with dotted keys)
+ * @param {Object} [input.mapping] - Column name (or JSON key) to patient field
+ * @param {string} [input.delimiter] - CSV field separator (default ",")
+ * @returns {Object} { columns, rows } or { error }; each row has row, line (CSV only), fields and errors
+ */
+const readImportRows = ({ csv, patients, mapping, delimiter }) => {
+  let columns;
+  let records;
+
+  if (typeof csv === 'string') {
+    if (delimiter !== undefined && (typeof delimiter !== 'string' || delimiter.length !== 1 || /["\r\n]/.test(delimiter))) {
+      return { error: 'delimiter must be a single character' };
+    }
+
+    let lines;
+    try {
+      lines = parseCsv(csv, { delimiter });
+    } catch (error) {
+      return { error: `The CSV could not be read: ${error.message}` };
+    }
+
+    if (lines.length === 0) return { error: 'The CSV is empty' };
+
+    const [header, ...body] = lines;
+    columns = header.values.map((column) => column.trim());
+
+    const repeated = columns.find((column, index) => columns.indexOf(column) !== index);
+    if (repeated !== undefined) return { error: `Column "${repeated}" appears more than once in the header` };
+
+    records = body.map(({ line, values }) => ({
+      line,
+      values: Object.fromEntries(columns.map((column, index) => [column, values[index]])),
+      extraValues: values.length > columns.length
+    }));
+  } else if (Array.isArray(patients)) {
+    if (patients.some((patient) => !patient || typeof patient !== 'object' || Array.isArray(patient))) {
+      return { error: 'patients must be an array of objects' };
+    }
+
+    records = patients.map((patient) => ({ values: flattenRecord(patient) }));
+    columns = [...new Set(records.flatMap((record) => Object.keys(record.values)))];
+  } else {
+    return { error: 'Please provide patients as csv text or a patients array' };
+  }
+
+  if (records.length === 0) return { error: 'There are no patients to import' };
+  if (records.length > IMPORT_MAX_ROWS) {
+    return { error: `At most ${IMPORT_MAX_ROWS} patients can be imported at once` };
+  }
+
+  const mapped = mapColumns(columns, mapping);
+  if (mapped.error) return mapped;
+
+  const rows = records.map((record, index) => {
+    const fields = {};
+    const errors = [];
+
+    if (record.extraValues) {
+      errors.push({ message: 'The row has more values than the header has columns' });
+    }
+
+    mapped.columns.forEach(({ column, field }) => {
+      if (!field) return;
+
+      const { value, error } = readValue(IMPORT_FIELDS[field], record.values[column]);
+      if (error) {
+        errors.push({ field, column, message: `${column} ${error}` });
+      } else if (value !== undefined) {
+        setPath(fields, field, value);
+      }
+    });
+
+    return { row: index + 1, line: record.line, fields, errors };
+  });
+
+  return { columns: mapped.columns, rows };
+};
+
+/**
+ * Build an unsaved patient from a row's fields, owned by the importing user
+ * @param {Object} fields - Patient fields read from the row
+ * @param {Object} user - Logged-in user
+ * @returns {Object} Patient document
+ */
+const buildPatient = (fields, user) => new Patient({
+  ...fields,
+  organization: user.organization,
+  careTeam: [{
+    user: user._id,
+    role: 'owner',
+    addedBy: user._id
+  }]
+});
+
+/**
+ * Validate each row against the Patient schema. Rows without errors get an unsaved
+ * patient document owned by the importing user.
+ * @param {Array<Object>} rows - Rows from readImportRows (changed in place)
+ * @param {Object} user - Logged-in user
+ * @param {Array<Object>} columns - Column mapping, to name the column of schema errors
+ * @returns {Promise<void>}
+ */
+const validateImportRows = async (rows, user, columns) => {
+  for (const row of rows) {
+    const patient = buildPatient(row.fields, user);
+
+    try {
+      await patient.validate();
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+
+      // Values that could not be read are already reported, and usually fail as missing
+      const unreadable = row.errors.map(({ field }) => field);
+
+      Object.values(error.errors)
+        .filter((fieldError) => !unreadable.includes(fieldError.path))
+        .forEach((fieldError) => {
+          const mapped = columns.find(({ field }) => field && fieldError.path.startsWith(field));
+          row.errors.push({ field: fieldError.path, column: mapped ? mapped.column : undefined, message: fieldError.message });
+        });
+    }
+
+    if (row.errors.length === 0) row.patient = patient;
+  }
+};
+
+/**
+ * Find likely duplicates of valid rows among the organisation's patients (archived ones
+ * included) and earlier rows of the same import. Patients the user cannot access are
+ * reported without their ID.
+ * @param {Array<Object>} rows - Validated rows (changed in place: duplicates is set on matches)
+ * @param {Object} user - Logged-in user
+ * @returns {Promise<void>}
+ */
+const findImportDuplicates = async (rows, user) => {
+  const candidates = rows.filter((row) => row.patient);
+  const existing = await findDuplicateCandidates(candidates.map((row) => row.patient), tenantFilter(user));
+
+  candidates.forEach((row, index) => {
+    const keys = matchKeys(row.patient);
+    const duplicates = existing[index].map(({ patient, matchedOn }) => ({
+      patient: hasAccess(patient, user, 'read') ? patient._id : null,
+      archived: Boolean(patient.archivedAt),
+      matchedOn
+    }));
+
+    candidates.slice(0, index).forEach((other) => {
+      const matchedOn = matchPatients(keys, matchKeys(other.patient));
+      if (isLikelyDuplicate(matchedOn)) duplicates.push({ row: other.row, matchedOn });
+    });
+
+    if (duplicates.length > 0) row.duplicates = duplicates;
+  });
+};
+
+/**
+ * Save patients with an import version for each. The patients are built again from the
+ * rows' fields, so a retried transaction does not see documents from an aborted attempt.
+ * Without a transaction the patients already saved are deleted again when one fails.
+ * @param {Object} req - Express request (the importing user)
+ * @param {Array<Object>} rows - Validated rows (changed in place: patient is set to the saved document)
+ * @param {Object} session - Transaction, or null
+ * @returns {Promise<void>}
+ */
+const savePatients = async (req, rows, session) => {
+  const saved = [];
+
+  try {
+    for (const row of rows) {
+      const patient = buildPatient(row.fields, req.user);
+      await patient.save({ session });
+      saved.push(patient._id);
+      await recordPatientVersion(req, patient, { action: 'import', session });
+      row.patient = patient;
+    }
+  } catch (error) {
+    if (!session && saved.length > 0) {
+      await PatientVersion.deleteMany({ patient: { $in: saved } });
+      await Patient.deleteMany({ _id: { $in: saved } });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Save the patients of an import
+ * @param {Object} req - Express request (the importing user)
+ * @param {Array<Object>} rows - Validated rows
+ * @param {Object} options - Import options
+ * @param {boolean} options.allOrNothing - Save every patient or none; otherwise each patient
+ *   is saved on its own and failures are reported
+ * @returns {Promise<Object>} { imported, failed }: rows that were saved and rows that were not
+ * @throws {Error} If allOrNothing is set and a patient could not be saved
+ */
+const saveImportedPatients = async (req, rows, { allOrNothing }) => {
+  if (allOrNothing) {
+    await runInTransaction((session) => savePatients(req, rows, session));
+    return { imported: rows, failed: [] };
+  }
+
+  const imported = [];
+  const failed = [];
+
+  for (const row of rows) {
+    try {
+      await runInTransaction((session) => savePatients(req, [row], session));
+      imported.push(row);
+    } catch (error) {
+      console.error(`❌ Failed to import patient row ${row.row}: ${error.message}`);
+      failed.push(row);
+    }
+  }
+
+  return { imported, failed };
+};
+
+module.exports = {
+  IMPORT_MAX_ROWS,
+  IMPORT_FIELDS,
+  readImportRows,
+  validateImportRows,
+  findImportDuplicates,
+  saveImportedPatients
+};
@@ -0,0 +1,281 @@
+// patient-merge.service.js - Service for merging duplicate patients and undoing merges
+
+const Patient = require('../models/patient.model');
+const Device = require('../models/device.model');
+const User = require('../models/user.model');
+const Invitation = require('../models/invitation.model');
+const PatientMerge = require('../models/patient-merge.model');
+const { PatientVersion, PATIENT_VERSIONED_FIELDS } = require('../models/patient-version.model');
+const { EMGData, EMSData } = require('../models/data.model');
+const { snapshotPatient, recordPatientVersion } = require('./patient-version.service');
+const { normalizeSearchValue } = require('../utils/blind-index.utils');
+const { runInTransaction } = require('../utils/db.utils');
+
+// Fields that can be taken from the duplicate as a whole instead of being combined
+const MERGE_FIELDS = [
+  'firstName',
+  'lastName',
+  'dateOfBirth',
+  'gender',
+  'contactInformation',
+  'medicalInformation',
+  'treatmentPlan'
+];
+
+const ADDRESS_PARTS = ['street', 'city', 'state', 'zipCode', 'country'];
+
+/**
+ * Check if a value is missing
+ * @param {*} value - Field value
+ * @returns {boolean} True for undefined, null, empty strings and empty arrays
+ */
+const isBlank = (value) => (
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)
+);
+
+/**
+ * Get a plain copy of a field, detached from its document
+ * @param {Object} doc - Patient document
+ * @param {string} path - Field path
+ * @returns {*} Copy of the value
+ */
+const plainValue = (doc, path) => {
+  const value = doc.get(path);
+  return value === undefined || value === null ? value : JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Combine two lists, leaving out items the first already has (ignoring case)
+ * @param {Array<string>} [first] - Items kept in order
+ * @param {Array<string>} [second] - Items added after them
+ * @returns {Array<string>} Combined list
+ */
+const combineLists = (first = [], second = []) => {
+  const seen = new Set(first.map(normalizeSearchValue));
+
+  return first.concat(second.filter((item) => {
+    const key = normalizeSearchValue(item);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }));
+};
+
+/**
+ * Combine two notes, keeping both when they differ
+ * @param {string} [first] - Survivor's notes
+ * @param {string} [second] - Duplicate's notes
+ * @returns {string|undefined} Combined notes
+ */
+const combineNotes = (first, second) => {
+  if (isBlank(second) || first === second) return first;
+  if (isBlank(first)) return second;
+  return `${first}\n\n${second}`;
+};
+
+/**
+ * Combine the details of a duplicate into the survivor (changes are not saved).
+ * The survivor's values win; blanks are filled from the duplicate, lists and notes
+ * are combined and scheduled sessions of both are kept.
+ * @param {Object} survivor - Patient document that is kept
+ * @param {Object} duplicate - Patient document merged into it
+ * @param {Array<string>} keepFromDuplicate - MERGE_FIELDS to take from the duplicate as a whole
+ */
+const combinePatientFields = (survivor, duplicate, keepFromDuplicate) => {
+  const fill = (path) => {
+    if (isBlank(survivor.get(path)) && !isBlank(duplicate.get(path))) {
+      survivor.set(path, plainValue(duplicate, path));
+    }
+  };
+  const combine = (path, combineValues) => {
+    const value = combineValues(plainValue(survivor, path), plainValue(duplicate, path));
+    if (value !== undefined) survivor.set(path, value);
+  };
+
+  keepFromDuplicate.forEach((field) => survivor.set(field, plainValue(duplicate, field)));
+
+  if (!keepFromDuplicate.includes('contactInformation')) {
+    fill('contactInformation.email');
+    fill('contactInformation.phoneNumber');
+
+    const hasAddress = (doc) => ADDRESS_PARTS.some((part) => !isBlank(doc.get(`contactInformation.address.${part}`)));
+    if (!hasAddress(survivor) && hasAddress(duplicate)) {
+      survivor.set('contactInformation.address', plainValue(duplicate, 'contactInformation.address'));
+    }
+  }
+
+  if (!keepFromDuplicate.includes('medicalInformation')) {
+    ['medicalConditions', 'allergies', 'medications'].forEach((list) => combine(`medicalInformation.${list}`, combineLists));
+    combine('medicalInformation.notes', combineNotes);
+  }
+
+  if (!keepFromDuplicate.includes('treatmentPlan')) {
+    ['startDate', 'endDate', 'frequency'].forEach((field) => fill(`treatmentPlan.${field}`));
+    combine('treatmentPlan.goals', combineLists);
+    combine('treatmentPlan.notes', combineNotes);
+    combine('treatmentPlan.scheduledSessions', (first = [], second = []) => first.concat(second));
+  }
+};
+
+/**
+ * Get the number of a patient's latest version
+ * @param {Object} patientId - Patient ID
+ * @param {Object} [session] - Transaction
+ * @returns {Promise<number>} Latest version, or 0 if the patient has none
+ */
+const latestPatientVersion = async (patientId, session) => {
+  const latest = await PatientVersion.findOne({ patient: patientId })
+    .select('version')
+    .sort({ version: -1 })
+    .session(session || null);
+
+  return latest ? latest.version : 0;
+};
+
+/**
+ * Merge a duplicate patient into the survivor in a single transaction. The duplicate's
+ * devices, EMG/EMS sessions, patient portal accounts, invitations and care team move to
+ * the survivor, their details are combined and the duplicate is archived. Everything
+ * that moved is recorded so the merge can be undone. Both patients are loaded inside the
+ * transaction, so a retried attempt starts again from the stored records. A patient has
+ * at most one portal account, so the caller refuses to merge two patients that both have one.
+ * @param {Object} req - Express request (the user merging)
+ * @param {Object} survivorId - ID of the patient that is kept
+ * @param {Object} duplicateId - ID of the patient merged into it
+ * @param {Object} options - Merge options
+ * @param {Array<string>} [options.keepFromDuplicate] - MERGE_FIELDS to take from the duplicate as a whole
+ * @param {string} [options.reason] - Why the patients were merged
+ * @returns {Promise<Object>} merge (patient merge record), survivor and duplicate as saved
+ */
+const mergePatients = async (req, survivorId, duplicateId, { keepFromDuplicate = [], reason }) => {
+  return runInTransaction(async (session) => {
+    const survivor = await Patient.findById(survivorId).session(session);
+    const duplicate = await Patient.findById(duplicateId).session(session);
+
+    const survivorSnapshot = snapshotPatient(survivor);
+    const duplicateSnapshot = snapshotPatient(duplicate);
+    const duplicateWasActive = duplicate.isActive;
+
+    // Find what belongs to the duplicate before anything moves
+    const survivorDevices = survivor.devices.map((id) => id.toString());
+    const assignedDevices = await Device.distinct('_id', { assignedPatient: duplicate._id }).session(session);
+    const devices = [...new Set([...duplicate.devices, ...assignedDevices].map((id) => id.toString()))]
+      .filter((id) => !survivorDevices.includes(id));
+    const emgSessions = await EMGData.distinct('_id', { patient: duplicate._id }).session(session);
+    const emsSessions = await EMSData.distinct('_id', { patient: duplicate._id }).session(session);
+    const users = await User.distinct('_id', { patient: duplicate._id }).session(session);
+    const invitations = await Invitation.distinct('_id', { patient: duplicate._id }).session(session);
+
+    await Device.updateMany({ assignedPatient: duplicate._id }, { assignedPatient: survivor._id }, { session });
+    await EMGData.updateMany({ _id: { $in: emgSessions } }, { patient: survivor._id }, { session });
+    await EMSData.updateMany({ _id: { $in: emsSessions } }, { patient: survivor._id }, { session });
+    await User.updateMany({ _id: { $in: users } }, { patient: survivor._id }, { session });
+    await Invitation.updateMany({ _id: { $in: invitations } }, { patient: survivor._id }, { session });
+
+    // Everyone who could see the duplicate's history keeps their access to it
+    const addedMembers = duplicate.careTeam.filter((member) => !survivor.getCareTeamRole(member.user));
+    addedMembers.forEach((member) => {
+      survivor.careTeam.push({ user: member.user._id || member.user, role: member.role, addedBy: req.user._id });
+    });
+
+    combinePatientFields(survivor, duplicate, keepFromDuplicate);
+    survivor.devices = survivorDevices.concat(devices);
+    await survivor.save({ session });
+
+    duplicate.archive(req.user);
+    duplicate.mergedInto = survivor._id;
+    duplicate.devices = [];
+    await duplicate.save({ session });
+
+    await recordPatientVersion(req, survivor, { action: 'merge', previous: survivorSnapshot, session });
+    await recordPatientVersion(req, duplicate, { action: 'merge', previous: duplicateSnapshot, session });
+
+    const [merge] = await PatientMerge.create([{
+      organization: survivor.organization,
+      survivor: survivor._id,
+      duplicate: duplicate._id,
+      mergedBy: req.user._id,
+      reason,
+      keptFromDuplicate: keepFromDuplicate,
+      survivorVersion: await latestPatientVersion(survivor._id, session),
+      survivorSnapshot,
+      duplicateWasActive,
+      moved: {
+        devices,
+        emgSessions,
+        emsSessions,
+        users,
+        invitations,
+        careTeamMembers: addedMembers.map((member) => member.user._id || member.user)
+      }
+    }], { session });
+
+    return { merge, survivor, duplicate };
+  });
+};
+
+/**
+ * Undo a merge in a single transaction: the survivor's details are put back as they were,
+ * and the records that moved and still belong to the survivor move back to the restored
+ * duplicate. Sessions recorded for the survivor since the merge stay with it.
+ * The survivor must not have changed since the merge (its latest version is the merge's).
+ * The merge and both patients are loaded inside the transaction, so a retried attempt
+ * starts again from the stored records.
+ * @param {Object} req - Express request (the user undoing the merge)
+ * @param {Object} mergeId - ID of a patient merge record with status "merged"
+ * @returns {Promise<Object>} merge (now undone), survivor and duplicate as saved
+ */
+const undoPatientMerge = async (req, mergeId) => {
+  return runInTransaction(async (session) => {
+    const merge = await PatientMerge.findById(mergeId).session(session);
+    const survivor = await Patient.findById(merge.survivor).session(session);
+    const duplicate = await Patient.findById(merge.duplicate).session(session);
+
+    const survivorSnapshot = snapshotPatient(survivor);
+    const duplicateSnapshot = snapshotPatient(duplicate);
+    const { moved } = merge;
+
+    const devices = await Device.distinct('_id', { _id: { $in: moved.devices }, assignedPatient: survivor._id }).session(session);
+    await Device.updateMany({ _id: { $in: devices } }, { assignedPatient: duplicate._id }, { session });
+    await EMGData.updateMany({ _id: { $in: moved.emgSessions }, patient: survivor._id }, { patient: duplicate._id }, { session });
+    await EMSData.updateMany({ _id: { $in: moved.emsSessions }, patient: survivor._id }, { patient: duplicate._id }, { session });
+    await User.updateMany({ _id: { $in: moved.users }, patient: survivor._id }, { patient: duplicate._id }, { session });
+    await Invitation.updateMany({ _id: { $in: moved.invitations }, patient: survivor._id }, { patient: duplicate._id }, { session });
+
+    // Fields missing from the snapshot were not set before the merge
+    PATIENT_VERSIONED_FIELDS.forEach((field) => survivor.set(field, merge.survivorSnapshot[field]));
+
+    const movedDevices = moved.devices.map((id) => id.toString());
+    survivor.devices = survivor.devices.filter((id) => !movedDevices.includes(id.toString()));
+
+    // Members the merge added leave the survivor's care team, unless they are now its only owners
+    const addedMembers = moved.careTeamMembers.map((id) => id.toString());
+    const careTeam = survivor.careTeam.filter((member) => !addedMembers.includes((member.user._id || member.user).toString()));
+    if (careTeam.some((member) => member.role === 'owner')) survivor.careTeam = careTeam;
+
+    await survivor.save({ session });
+
+    duplicate.restore();
+    duplicate.isActive = merge.duplicateWasActive;
+    duplicate.mergedInto = undefined;
+    duplicate.devices = devices;
+    await duplicate.save({ session });
+
+    await recordPatientVersion(req, survivor, { action: 'unmerge', previous: survivorSnapshot, session });
+    await recordPatientVersion(req, duplicate, { action: 'unmerge', previous: duplicateSnapshot, session });
+
+    merge.status = 'undone';
+    merge.undoneBy = req.user._id;
+    merge.undoneAt = new Date();
+    await merge.save({ session });
+
+    return { merge, survivor, duplicate };
+  });
+};
+
+module.exports = {
+  MERGE_FIELDS,
+  latestPatientVersion,
+  mergePatients,
+  undoPatientMerge
+};
@@ -0,0 +1,150 @@
+// patient-version.service.js - Service for recording and comparing patient record versions
+
+const Patient = require('../models/patient.model');
+const { PatientVersion, PATIENT_VERSIONED_FIELDS } = require('../models/patient-version.model');
+
+/**
+ * Copy the versioned fields of a patient into a plain object.
+ * Dates become ISO strings, as they are after a version is stored and read back.
+ * @param {Object} patient - Patient document
+ * @returns {Object} Snapshot of the versioned fields
+ */
+const snapshotPatient = (patient) => {
+  const snapshot = {};
+
+  PATIENT_VERSIONED_FIELDS.forEach((field) => {
+    const value = patient.get(field);
+    if (value !== undefined && value !== null) {
+      snapshot[field] = JSON.parse(JSON.stringify(value));
+    }
+  });
+
+  return snapshot;
+};
+
+/**
+ * Flatten an object to its leaf paths. Arrays are compared as a whole.
+ * @param {Object} value - Snapshot or part of one
+ * @param {string} [prefix] - Path of the value
+ * @param {Object} [leaves] - Leaves found so far
+ * @returns {Object} Values by dotted path
+ */
+const flatten = (value, prefix = '', leaves = {}) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.keys(value).forEach((key) => flatten(value[key], prefix ? `${prefix}.${key}` : key, leaves));
+  } else if (prefix) {
+    leaves[prefix] = value;
+  }
+
+  return leaves;
+};
+
+/**
+ * Compare two snapshots
+ * @param {Object} before - Earlier snapshot
+ * @param {Object} after - Later snapshot
+ * @returns {Array<Object>} { path, from, to } for every path that differs
+ */
+const diffSnapshots = (before, after) => {
+  const from = flatten(before);
+  const to = flatten(after);
+  const paths = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+
+  return paths
+    .filter((path) => JSON.stringify(from[path]) !== JSON.stringify(to[path]))
+    .map((path) => ({ path, from: from[path], to: to[path] }));
+};
+
+/**
+ * Take the next version number of a patient. The counter on the patient is increased
+ * atomically, so concurrent changes never get the same number. Patients versioned before
+ * the counter was added start it from their latest stored version.
+ * @param {Object} patientId - Patient ID
+ * @param {Object} [session] - Transaction
+ * @returns {Promise<number>} Version number
+ * @throws {Error} If the patient does not exist
+ */
+const nextPatientVersion = async (patientId, session) => {
+  const increment = () => Patient.findOneAndUpdate(
+    { _id: patientId, versionCount: { $exists: true } },
+    { $inc: { versionCount: 1 } },
+    { new: true, timestamps: false }
+  )
+    .select('versionCount')
+    .session(session || null);
+
+  const counted = await increment();
+  if (counted) return counted.versionCount;
+
+  const latest = await PatientVersion.findOne({ patient: patientId })
+    .select('version')
+    .sort({ version: -1 })
+    .session(session || null);
+
+  const started = await Patient.findOneAndUpdate(
+    { _id: patientId, versionCount: { $exists: false } },
+    { $set: { versionCount: (latest ? latest.version : 0) + 1 } },
+    { new: true, timestamps: false }
+  )
+    .select('versionCount')
+    .session(session || null);
+  if (started) return started.versionCount;
+
+  // Another change started the counter in the meantime
+  const retried = await increment();
+  if (!retried) throw new Error(`Patient ${patientId} not found`);
+  return retried.versionCount;
+};
+
+/**
+ * Store a new version of a patient after it was saved. Patients changed for the first
+ * time since versioning was introduced also get a baseline version of their previous state.
+ * @param {Object} req - Express request (the user making the change)
+ * @param {Object} patient - Saved patient document
+ * @param {Object} options - Version details
+ * @param {string} options.action - create, import, update, revert, archive, restore, merge or unmerge
+ * @param {Object} [options.previous] - Snapshot taken before the change (see snapshotPatient)
+ * @param {number} [options.revertedFrom] - Version a revert went back to
+ * @param {Object} [options.session] - Transaction the patient was saved in
+ * @returns {Promise<Object|null>} Version document, or null if no versioned field changed
+ */
+const recordPatientVersion = async (req, patient, { action, previous, revertedFrom, session }) => {
+  const snapshot = snapshotPatient(patient);
+  const changes = diffSnapshots(previous || {}, snapshot);
+
+  if (changes.length === 0) return null;
+
+  let version = await nextPatientVersion(patient._id, session);
+
+  if (version === 1 && previous) {
+    await PatientVersion.create([{
+      patient: patient._id,
+      organization: patient.organization,
+      version,
+      action: 'baseline',
+      changedFields: [],
+      snapshot: previous,
+      changes: []
+    }], { session });
+    version = await nextPatientVersion(patient._id, session);
+  }
+
+  const [created] = await PatientVersion.create([{
+    patient: patient._id,
+    organization: patient.organization,
+    version,
+    action,
+    changedBy: req.user._id,
+    changedFields: changes.map((change) => change.path),
+    revertedFrom,
+    snapshot,
+    changes
+  }], { session });
+
+  return created;
+};
+
+module.exports = {
+  snapshotPatient,
+  recordPatientVersion
+};
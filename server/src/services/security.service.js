@@ -0,0 +1,80 @@
+// security.service.js - Service for failed logins, lockouts and security events
+
+const SecurityEvent = require('../models/security-event.model');
+const { sendSecurityNotification } = require('./mail.service');
+
+/**
+ * Record a security event
+ * @param {string} type - Event type
+ * @param {Object} user - User the event is about
+ * @param {Object} req - Express request (used for IP and user agent)
+ * @param {Object} options - Options
+ * @param {Object} [options.actor] - User who caused the event, if not the account owner
+ * @param {Object} [options.details] - Extra event details
+ * @returns {Promise<Object>} Security event document
+ */
+const recordSecurityEvent = async (type, user, req, { actor, details } = {}) => {
+  return SecurityEvent.create({
+    type,
+    user: user._id,
+    organization: user.organization,
+    actor: actor ? actor._id : undefined,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    details
+  });
+};
+
+/**
+ * Count a failed login (password or second factor) and lock the account when needed
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @returns {Promise<void>}
+ */
+const recordFailedLogin = async (user, req) => {
+  const locked = user.registerFailedLogin();
+  await user.save();
+
+  if (locked) {
+    console.warn(`🔒 Account locked after ${user.failedLoginAttempts} failed logins: ${user.email}`);
+
+    await recordSecurityEvent('account_locked', user, req, {
+      details: {
+        failedLoginAttempts: user.failedLoginAttempts,
+        lockUntil: user.lockUntil
+      }
+    });
+    sendSecurityNotification(user, 'account_locked', req);
+  }
+};
+
+/**
+ * Build the response for a login attempt made while the account is blocked
+ * @param {Object} user - User document
+ * @param {Object} res - Express response
+ * @returns {Object} Express response
+ */
+const sendLoginBlocked = (user, res) => {
+  const retryAfter = Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000);
+  res.set('Retry-After', String(retryAfter));
+
+  if (user.isLockedOut()) {
+    return res.status(423).json({
+      success: false,
+      message: 'Account is temporarily locked because of too many failed login attempts.',
+      retryAfter
+    });
+  }
+
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed login attempts. Please wait ${retryAfter} seconds before trying again.`,
+    retryAfter
+  });
+};
+
+module.exports = {
+  recordSecurityEvent,
+  recordFailedLogin,
+  sendLoginBlocked
+};
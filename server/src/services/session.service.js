@@ -0,0 +1,186 @@
+// session.service.js - Service for issuing, rotating and revoking login sessions
+
+const EventEmitter = require('events');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/session.model');
+const User = require('../models/user.model');
+const securityConfig = require('../config/security');
+const { generateToken, hashToken, safeCompare } = require('../utils/token.utils');
+
+// Emits "revoked" with { sessionId } or { userId, except } so live connections can be closed
+const sessionEvents = new EventEmitter();
+exports.sessionEvents = sessionEvents;
+
+/**
+ * Build the refresh token handed to the client
+ * The session id prefix lets us find the session and detect reuse of rotated tokens
+ * @param {Object} session - Session document
+ * @param {string} secret - Random token secret
+ * @returns {string} Refresh token
+ */
+const formatRefreshToken = (session, secret) => `${session._id}.${secret}`;
+
+/**
+ * Create a new session for a user and issue an access/refresh token pair
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (used for IP and user agent)
+ * @returns {Promise<Object>} Issued tokens and the session document
+ */
+exports.createSession = async (user, req) => {
+  const secret = generateToken();
+  const expiresAt = new Date(
+    Date.now() + securityConfig.refreshTokenExpiresDays * 24 * 60 * 60 * 1000
+  );
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip,
+    expiresAt
+  });
+
+  return {
+    accessToken: user.generateAuthToken(session._id),
+    refreshToken: formatRefreshToken(session, secret),
+    expiresIn: securityConfig.accessTokenExpiresIn,
+    session
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair, rotating the refresh token
+ * Presenting an already-rotated token revokes the whole session
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request (used for IP and user agent)
+ * @returns {Promise<Object|null>} Session and secret, or null if the token is not valid
+ */
+exports.rotateRefreshToken = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+
+  const session = await Session.findById(sessionId).select('+refreshTokenHash');
+
+  if (!session || !session.isActive()) {
+    return null;
+  }
+
+  // An old token was replayed - assume it was stolen and kill the session
+  const revokeReusedSession = async () => {
+    await exports.revokeSession(session, 'token_reuse');
+    return null;
+  };
+
+  const tokenHash = hashToken(secret);
+
+  if (!safeCompare(session.refreshTokenHash, tokenHash)) {
+    return revokeReusedSession();
+  }
+
+  // Rotate only if the token is still the current one, so of two requests presenting
+  // the same token only the first gets a new one; the second counts as reuse
+  const newSecret = generateToken();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: { $exists: false } },
+    {
+      refreshTokenHash: hashToken(newSecret),
+      lastUsedAt: new Date(),
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    return revokeReusedSession();
+  }
+
+  return {
+    session: rotated,
+    refreshToken: formatRefreshToken(rotated, newSecret)
+  };
+};
+
+/**
+ * Revoke a single session
+ * @param {Object} session - Session document
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<Object>} Updated session
+ */
+exports.revokeSession = async (session, reason = 'revoked') => {
+  if (!session.revokedAt) {
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    await session.save();
+    sessionEvents.emit('revoked', { sessionId: session._id.toString() });
+  }
+
+  return session;
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @param {Object} options - Options
+ * @param {string} [options.except] - Session ID to keep active
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+exports.revokeUserSessions = async (userId, reason = 'revoked', { except } = {}) => {
+  const query = { user: userId, revokedAt: { $exists: false } };
+
+  if (except) {
+    query._id = { $ne: except };
+  }
+
+  const result = await Session.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason
+  });
+
+  sessionEvents.emit('revoked', {
+    userId: userId.toString(),
+    except: except ? except.toString() : undefined
+  });
+
+  return result.modifiedCount;
+};
+
+/**
+ * Verify an access token and load the user and session behind it
+ * Shared by the HTTP auth middleware and the Socket.IO handshake
+ * @param {string} token - JWT access token
+ * @returns {Promise<Object>} { user, session, decoded }, or { error: { statusCode, message } } if the token cannot be used
+ * @throws {Error} JsonWebTokenError or TokenExpiredError for malformed or expired tokens
+ */
+exports.verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  const user = await User.findById(decoded.id);
+
+  if (!user) {
+    return { error: { statusCode: 401, message: 'User not found or token is invalid.' } };
+  }
+
+  if (!user.isActive) {
+    return { error: { statusCode: 403, message: 'User account is deactivated.' } };
+  }
+
+  // Check that the session behind the token has not been revoked
+  const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+  if (!session || !session.isActive() || session.user.toString() !== user._id.toString()) {
+    return { error: { statusCode: 401, message: 'Session has been revoked. Please log in again.' } };
+  }
+
+  // Reject tokens issued before the last password change
+  if (user.changedPasswordAfter(decoded.iat)) {
+    return { error: { statusCode: 401, message: 'Password was changed. Please log in again.' } };
+  }
+
+  return { user, session, decoded };
+};
@@ -0,0 +1,391 @@
+// socket.service.js - Authenticated Socket.IO server with room authorization
+
+const mongoose = require('mongoose');
+const socketIo = require('socket.io');
+const Device = require('../models/device.model');
+const Patient = require('../models/patient.model');
+const securityConfig = require('../config/security');
+const { sessionEvents, verifyAccessToken } = require('./session.service');
+const { getReadAccess } = require('./emergency-access.service');
+const { tenantFilter, hasAccess } = require('../utils/access.utils');
+
+/**
+ * Event contract shared with clients.
+ *
+ * Connect with the access token: io(url, { auth: { token } }).
+ *
+ * Client to server - each takes an optional acknowledgement callback that receives a SocketAck:
+ *   join-device     (deviceId)  - join device-<id>; needs read access to the device
+ *   leave-device    (deviceId)
+ *   join-patient    (patientId) - join patient-<id>; needs read access to the patient
+ *   leave-patient   (patientId)
+ *   reauthenticate  (token)     - swap in a refreshed access token before the current one expires
+ *
+ * Server to client:
+ *   session-expired ({ reason })  - sent right before the server disconnects; reason is token_expired or session_revoked
+ *   room-revoked    ({ room })    - access to a joined room was lost and the socket was removed from it
+ *
+ * Server to device-<id> rooms (see stream.service.js):
+ *   device-data              ({ deviceId, type, sessionId, samples, dropped }) - samples batched to the stream frame rate
+ *   device-status            ({ deviceId, batteryLevel, firmwareVersion, timestamp })
+ *   device-connection        ({ deviceId, connected, timestamp })
+ *   device-command-response  ({ deviceId, commandId, status, timestamp })
+ *
+ * Every socket is also placed in user-<id>; patient accounts are placed in their own patient-<id> room.
+ *
+ * @typedef {Object} SocketAck
+ * @property {boolean} success - Whether the request was accepted
+ * @property {string} [room] - Room joined or left
+ * @property {string} [expiresAt] - Expiry of the new token (reauthenticate)
+ * @property {string} [message] - Why the request was refused
+ */
+const SOCKET_EVENTS = Object.freeze({
+  JOIN_DEVICE: 'join-device',
+  LEAVE_DEVICE: 'leave-device',
+  JOIN_PATIENT: 'join-patient',
+  LEAVE_PATIENT: 'leave-patient',
+  REAUTHENTICATE: 'reauthenticate',
+  SESSION_EXPIRED: 'session-expired',
+  ROOM_REVOKED: 'room-revoked',
+  DEVICE_DATA: 'device-data',
+  DEVICE_STATUS: 'device-status',
+  DEVICE_CONNECTION: 'device-connection',
+  DEVICE_COMMAND_RESPONSE: 'device-command-response'
+});
+
+// Room names
+const deviceRoom = (deviceId) => `device-${deviceId}`;
+const patientRoom = (patientId) => `patient-${patientId}`;
+const userRoom = (userId) => `user-${userId}`;
+
+// Socket.IO server, set by setupSocketServer
+let io = null;
+
+/**
+ * Read the access token from the handshake (auth payload or Authorization header)
+ * @param {Object} socket - Socket.IO socket
+ * @returns {string|undefined} Access token
+ */
+const getHandshakeToken = (socket) => {
+  if (socket.handshake.auth && socket.handshake.auth.token) {
+    return socket.handshake.auth.token;
+  }
+
+  const authHeader = socket.handshake.headers.authorization;
+  return authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : undefined;
+};
+
+/**
+ * Verify a token for a socket and check the account may use the real-time API
+ * @param {string} token - JWT access token
+ * @returns {Promise<Object>} { user, session, decoded }, or { error } with a message
+ */
+const authenticateToken = async (token) => {
+  if (!token) {
+    return { error: { message: 'Authentication required. No token provided.' } };
+  }
+
+  let result;
+  try {
+    result = await verifyAccessToken(token);
+  } catch (error) {
+    return { error: { message: error.name === 'TokenExpiredError' ? 'Token expired.' : 'Invalid token.' } };
+  }
+
+  if (result.error) return result;
+
+  // Same account policies as the HTTP API
+  const { user } = result;
+  if ((user.isTwoFactorRequired() && !user.twoFactor.enabled) || user.isPasswordChangeRequired()) {
+    return { error: { message: 'Account policies must be met before connecting.' } };
+  }
+
+  return result;
+};
+
+/**
+ * Disconnect a socket, telling the client why first
+ * @param {Object} socket - Socket.IO socket
+ * @param {string} reason - token_expired or session_revoked
+ */
+const endSocket = (socket, reason) => {
+  socket.emit(SOCKET_EVENTS.SESSION_EXPIRED, { reason });
+  socket.disconnect(true);
+};
+
+/**
+ * Store the authenticated user on the socket and disconnect it when the token expires
+ * @param {Object} socket - Socket.IO socket
+ * @param {Object} auth - Result of authenticateToken
+ * @param {string} token - Access token
+ */
+const setSocketAuth = (socket, { user, session, decoded }, token) => {
+  socket.data.user = user;
+  socket.data.session = session;
+  socket.data.token = token;
+  socket.data.expiresAt = new Date(decoded.exp * 1000);
+
+  clearTimeout(socket.data.expiryTimer);
+  socket.data.expiryTimer = setTimeout(
+    () => endSocket(socket, 'token_expired'),
+    // setTimeout cannot wait longer than about 24.8 days
+    Math.min(Math.max(socket.data.expiresAt - Date.now(), 0), 2147483647)
+  );
+};
+
+/**
+ * Check if a user may receive a device's live data
+ * @param {Object} user - Authenticated user
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<boolean>} True if allowed
+ */
+const canJoinDevice = async (user, deviceId) => {
+  // Patient accounts only receive data through their own patient room
+  if (user.role === 'patient' || !mongoose.isValidObjectId(deviceId)) return false;
+
+  const device = await Device.findOne({ _id: deviceId, ...tenantFilter(user) })
+    .select('careTeam organization sharedWithOrganization');
+  return Boolean(device && hasAccess(device, user, 'read'));
+};
+
+/**
+ * Check if a user may receive a patient's live data
+ * @param {Object} user - Authenticated user
+ * @param {string} patientId - Patient ID
+ * @returns {Promise<boolean>} True if allowed
+ */
+const canJoinPatient = async (user, patientId) => {
+  if (!mongoose.isValidObjectId(patientId)) return false;
+
+  if (user.role === 'patient') {
+    return Boolean(user.patient) && user.patient.toString() === patientId;
+  }
+
+  const patient = await Patient.findOne({ _id: patientId, ...tenantFilter(user) }).select('careTeam organization');
+  return Boolean(patient && (await getReadAccess(patient, user)));
+};
+
+/**
+ * Check if a user may stay in a room the socket has joined
+ * @param {Object} user - Authenticated user
+ * @param {string} room - Room name
+ * @returns {Promise<boolean>} True if allowed (rooms the server manages are always allowed)
+ */
+const canStayInRoom = async (user, room) => {
+  const [, type, id] = room.match(/^(device|patient)-(.+)$/) || [];
+
+  if (type === 'device') return canJoinDevice(user, id);
+  if (type === 'patient') return canJoinPatient(user, id);
+  return true;
+};
+
+/**
+ * Get the acknowledgement callback of an event. Clients choose what they send, so
+ * anything other than a function is replaced with one that does nothing.
+ * @param {*} ack - Last argument of the event
+ * @returns {Function} Callback to reply with
+ */
+const toReply = (ack) => (typeof ack === 'function' ? ack : () => {});
+
+/**
+ * Build a join handler that checks access before joining a room
+ * @param {Object} socket - Socket.IO socket
+ * @param {Function} canJoin - Access check (user, id) => Promise<boolean>
+ * @param {Function} roomName - Room name for an ID
+ * @returns {Function} Event handler
+ */
+const joinHandler = (socket, canJoin, roomName) => async (id, ack) => {
+  const reply = toReply(ack);
+
+  try {
+    const room = roomName(id);
+
+    if (!(await canJoin(socket.data.user, String(id)))) {
+      return reply({ success: false, message: 'Not authorized to join this room' });
+    }
+
+    socket.join(room);
+    reply({ success: true, room });
+  } catch (error) {
+    console.error(`❌ Socket join failed: ${error.message}`);
+    reply({ success: false, message: 'Could not join room' });
+  }
+};
+
+/**
+ * Build a leave handler
+ * @param {Object} socket - Socket.IO socket
+ * @param {Function} roomName - Room name for an ID
+ * @returns {Function} Event handler
+ */
+const leaveHandler = (socket, roomName) => (id, ack) => {
+  const room = roomName(id);
+  socket.leave(room);
+  toReply(ack)({ success: true, room });
+};
+
+/**
+ * Set up event handlers for a new authenticated connection
+ * @param {Object} socket - Socket.IO socket
+ */
+const handleConnection = (socket) => {
+  const { user } = socket.data;
+  console.log(`🔌 Client connected: ${user.email}`);
+
+  socket.join(userRoom(user._id));
+  if (user.role === 'patient' && user.patient) {
+    socket.join(patientRoom(user.patient));
+  }
+
+  socket.on(SOCKET_EVENTS.JOIN_DEVICE, joinHandler(socket, canJoinDevice, deviceRoom));
+  socket.on(SOCKET_EVENTS.LEAVE_DEVICE, leaveHandler(socket, deviceRoom));
+  socket.on(SOCKET_EVENTS.JOIN_PATIENT, joinHandler(socket, canJoinPatient, patientRoom));
+  socket.on(SOCKET_EVENTS.LEAVE_PATIENT, leaveHandler(socket, patientRoom));
+
+  // Clients refresh their access token over HTTP, then hand the new one to the socket
+  socket.on(SOCKET_EVENTS.REAUTHENTICATE, async (token, ack) => {
+    const reply = toReply(ack);
+
+    try {
+      const auth = await authenticateToken(token);
+
+      if (auth.error || auth.user._id.toString() !== user._id.toString()) {
+        return reply({ success: false, message: auth.error ? auth.error.message : 'Token belongs to another user' });
+      }
+
+      setSocketAuth(socket, auth, token);
+      reply({ success: true, expiresAt: socket.data.expiresAt.toISOString() });
+    } catch (error) {
+      console.error(`❌ Socket reauthentication failed: ${error.message}`);
+      reply({ success: false, message: 'Could not reauthenticate' });
+    }
+  });
+
+  socket.on('disconnect', () => {
+    clearTimeout(socket.data.expiryTimer);
+    console.log(`🔌 Client disconnected: ${user.email}`);
+  });
+};
+
+/**
+ * Re-check every open connection: close those whose session is no longer valid and
+ * remove sockets from rooms they may no longer access (care team changes, expired emergency access)
+ * @returns {Promise<void>}
+ */
+const recheckSockets = async () => {
+  for (const socket of io.of('/').sockets.values()) {
+    try {
+      const auth = await authenticateToken(socket.data.token);
+
+      if (auth.error) {
+        endSocket(socket, 'session_revoked');
+        continue;
+      }
+
+      socket.data.user = auth.user;
+
+      for (const room of socket.rooms) {
+        if (room !== socket.id && !(await canStayInRoom(auth.user, room))) {
+          socket.leave(room);
+          socket.emit(SOCKET_EVENTS.ROOM_REVOKED, { room });
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Socket access check failed: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Close open connections as soon as their session is revoked
+ * @param {Object} event - { sessionId } or { userId, except }
+ */
+const handleSessionRevoked = ({ sessionId, userId, except }) => {
+  for (const socket of io.of('/').sockets.values()) {
+    const socketSessionId = socket.data.session._id.toString();
+    const revoked = sessionId
+      ? socketSessionId === sessionId
+      : socket.data.user._id.toString() === userId && socketSessionId !== except;
+
+    if (revoked) endSocket(socket, 'session_revoked');
+  }
+};
+
+/**
+ * Create the Socket.IO server. Every connection must present a valid access token.
+ * @param {Object} server - HTTP server
+ * @returns {Object} Socket.IO server
+ */
+const setupSocketServer = (server) => {
+  const { corsOrigins, sessionCheckSeconds } = securityConfig.socket;
+
+  io = socketIo(server, {
+    cors: {
+      origin: corsOrigins.includes('*') ? '*' : corsOrigins,
+      methods: ['GET', 'POST']
+    }
+  });
+
+  // Authenticate the handshake
+  io.use(async (socket, next) => {
+    try {
+      const token = getHandshakeToken(socket);
+      const auth = await authenticateToken(token);
+
+      if (auth.error) {
+        return next(new Error(auth.error.message));
+      }
+
+      setSocketAuth(socket, auth, token);
+      next();
+    } catch (error) {
+      console.error(`❌ Socket authentication error: ${error.message}`);
+      next(new Error('Authentication error.'));
+    }
+  });
+
+  io.on('connection', handleConnection);
+
+  sessionEvents.on('revoked', handleSessionRevoked);
+  setInterval(recheckSockets, sessionCheckSeconds * 1000).unref();
+
+  return io;
+};
+
+/**
+ * Send an event to everyone watching a device
+ * @param {string} deviceId - Device ID
+ * @param {string} event - Event name
+ * @param {*} payload - Event payload
+ */
+const emitToDevice = (deviceId, event, payload) => {
+  if (io) io.to(deviceRoom(deviceId)).emit(event, payload);
+};
+
+/**
+ * Send an event to everyone watching a patient
+ * @param {string} patientId - Patient ID
+ * @param {string} event - Event name
+ * @param {*} payload - Event payload
+ */
+const emitToPatient = (patientId, event, payload) => {
+  if (io) io.to(patientRoom(patientId)).emit(event, payload);
+};
+
+/**
+ * Send an event to every connection of a user
+ * @param {string} userId - User ID
+ * @param {string} event - Event name
+ * @param {*} payload - Event payload
+ */
+const emitToUser = (userId, event, payload) => {
+  if (io) io.to(userRoom(userId)).emit(event, payload);
+};
+
+module.exports = {
+  SOCKET_EVENTS,
+  setupSocketServer,
+  emitToDevice,
+  emitToPatient,
+  emitToUser
+};
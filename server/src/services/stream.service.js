@@ -0,0 +1,110 @@
+// stream.service.js - Live device data streaming to Socket.IO device rooms
+
+const { SOCKET_EVENTS, emitToDevice } = require('./socket.service');
+
+// Stream configuration
+const streamConfig = {
+  // Frames per second sent to each device room; samples arriving in between are batched
+  frameRate: parseInt(process.env.LIVE_STREAM_FRAME_RATE) || 20,
+  // Samples held per device session between frames; beyond this the oldest are dropped
+  maxBufferedSamples: parseInt(process.env.LIVE_STREAM_MAX_BUFFERED_SAMPLES) || 5000
+};
+
+// Samples waiting for the next frame ("deviceId:type:sessionId" -> batch)
+const pendingBatches = new Map();
+let flushTimer = null;
+
+/**
+ * Send every pending batch to its device room
+ */
+const flushBatches = () => {
+  for (const batch of pendingBatches.values()) {
+    emitToDevice(batch.deviceId, SOCKET_EVENTS.DEVICE_DATA, batch);
+  }
+
+  pendingBatches.clear();
+  flushTimer = null;
+};
+
+/**
+ * Queue live samples from a device for the next frame
+ * @param {Object} device - Device document
+ * @param {string} type - emg or ems
+ * @param {string} sessionId - Device session ID
+ * @param {Array<Object>} samples - Data points in arrival order (anything but an array is ignored)
+ */
+const publishSamples = (device, type, sessionId, samples) => {
+  if (!Array.isArray(samples) || samples.length === 0) return;
+
+  const deviceId = device._id.toString();
+  const key = `${deviceId}:${type}:${sessionId}`;
+
+  if (!pendingBatches.has(key)) {
+    pendingBatches.set(key, { deviceId, type, sessionId, samples: [], dropped: 0 });
+  }
+
+  const batch = pendingBatches.get(key);
+  // concat, as spreading a very large packet into push() exceeds the argument limit
+  batch.samples = batch.samples.concat(samples);
+
+  // Keep the newest samples when a client-side frame would be too large
+  const overflow = batch.samples.length - streamConfig.maxBufferedSamples;
+  if (overflow > 0) {
+    batch.samples.splice(0, overflow);
+    batch.dropped += overflow;
+  }
+
+  // The first samples after a frame schedule the next one
+  if (!flushTimer) {
+    flushTimer = setTimeout(flushBatches, 1000 / streamConfig.frameRate);
+    flushTimer.unref();
+  }
+};
+
+/**
+ * Broadcast a device status update (battery, firmware)
+ * @param {Object} device - Device document
+ * @param {Object} status - Updated status fields
+ */
+const publishDeviceStatus = (device, status) => {
+  emitToDevice(device._id.toString(), SOCKET_EVENTS.DEVICE_STATUS, {
+    deviceId: device._id.toString(),
+    batteryLevel: status.batteryLevel,
+    firmwareVersion: status.firmwareVersion,
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * Broadcast a device connecting or disconnecting
+ * @param {Object} device - Device document
+ * @param {boolean} connected - Whether the device is now connected
+ */
+const publishDeviceConnection = (device, connected) => {
+  emitToDevice(device._id.toString(), SOCKET_EVENTS.DEVICE_CONNECTION, {
+    deviceId: device._id.toString(),
+    connected,
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * Broadcast a device's response to a command
+ * @param {Object} device - Device document
+ * @param {Object} response - Command response (commandId, status, timestamp)
+ */
+const publishCommandResponse = (device, response) => {
+  emitToDevice(device._id.toString(), SOCKET_EVENTS.DEVICE_COMMAND_RESPONSE, {
+    deviceId: device._id.toString(),
+    commandId: response.commandId,
+    status: response.status,
+    timestamp: response.timestamp
+  });
+};
+
+module.exports = {
+  publishSamples,
+  publishDeviceStatus,
+  publishDeviceConnection,
+  publishCommandResponse
+};
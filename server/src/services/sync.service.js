@@ -50,9 +50,9 @@ class SyncService {
     
     try {
       // Sync EMG data
-      const pendingEMGData = await EMGData.find({
+      const pendingEMGData = await EMGData.loadChunkedData(await EMGData.find({
         'syncStatus.synced': false
-      }).limit(100);
+      }).limit(100));
       
       if (pendingEMGData.length > 0) {
         console.log(`Found ${pendingEMGData.length} EMG records to sync`);
@@ -63,9 +63,9 @@ class SyncService {
       }
       
       // Sync EMS data
-      const pendingEMSData = await EMSData.find({
+      const pendingEMSData = await EMSData.loadChunkedData(await EMSData.find({
         'syncStatus.synced': false
-      }).limit(100);
+      }).limit(100));
       
       if (pendingEMSData.length > 0) {
         console.log(`Found ${pendingEMSData.length} EMS records to sync`);
@@ -95,10 +95,14 @@ class SyncService {
       // Simulate cloud API call with delay
       await new Promise(resolve => setTimeout(resolve, 200));
       
-      // Update record sync status
+      // Update record sync status (with a query update: sessions loaded with their
+      // appended chunks cannot be saved)
       record.syncStatus.synced = true;
       record.syncStatus.syncedAt = new Date();
-      await record.save();
+      await record.constructor.updateOne(
+        { _id: record._id },
+        { 'syncStatus.synced': true, 'syncStatus.syncedAt': record.syncStatus.syncedAt }
+      );
       
       console.log(`✅ Synced EMG record: ${record._id}`);
       return true;
@@ -120,10 +124,14 @@ class SyncService {
       // Simulate cloud API call with delay
       await new Promise(resolve => setTimeout(resolve, 200));
       
-      // Update record sync status
+      // Update record sync status (with a query update: sessions loaded with their
+      // appended chunks cannot be saved)
       record.syncStatus.synced = true;
       record.syncStatus.syncedAt = new Date();
-      await record.save();
+      await record.constructor.updateOne(
+        { _id: record._id },
+        { 'syncStatus.synced': true, 'syncStatus.syncedAt': record.syncStatus.syncedAt }
+      );
       
       console.log(`✅ Synced EMS record: ${record._id}`);
       return true;
@@ -141,7 +149,7 @@ class SyncService {
   async forceSyncRecords(recordIds, dataType) {
     try {
       const Model = dataType.toLowerCase() === 'emg' ? EMGData : EMSData;
-      const records = await Model.find({ _id: { $in: recordIds } });
+      const records = await Model.loadChunkedData(await Model.find({ _id: { $in: recordIds } }));
       
       console.log(`🔄 Force syncing ${records.length} ${dataType} records...`);
       
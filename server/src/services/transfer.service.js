@@ -0,0 +1,143 @@
+// transfer.service.js - Service for moving patients between clinicians
+
+const Patient = require('../models/patient.model');
+const Device = require('../models/device.model');
+const PatientTransfer = require('../models/patient-transfer.model');
+const User = require('../models/user.model');
+const { EMGData, EMSData } = require('../models/data.model');
+const { runInTransaction } = require('../utils/db.utils');
+
+/**
+ * Find the clinician a patient can be transferred to
+ * @param {string} userId - ID of the new owner
+ * @param {Object} [organization] - Organisation the patient belongs to
+ * @returns {Promise<Object|null>} Active doctor in the organisation, or null if the user cannot own the patients
+ */
+const findTransferTarget = async (userId, organization) => {
+  const user = await User.findOne({ _id: userId, organization: organization || null });
+  return user && user.isActive && user.role === 'doctor' ? user : null;
+};
+
+/**
+ * Move a patient's ownership from one clinician to another in a single transaction
+ * @param {Object} patient - Patient document (reloaded in the transaction); fromUser must be one of its owners
+ * @param {Object} options - Transfer options
+ * @param {Object} options.fromUser - Owner giving up the patient (leaves the care team)
+ * @param {Object} options.toUser - Clinician taking over
+ * @param {Object} options.transferredBy - User performing the transfer
+ * @param {boolean} [options.includeDevices=true] - Also hand over fromUser's place on the patient's devices
+ * @param {boolean} [options.includeSessions=false] - Re-attribute fromUser's EMG/EMS sessions for this patient
+ * @param {string} [options.reason] - Why the patient was transferred
+ * @param {boolean} [options.bulk=false] - Part of a "transfer all patients" operation
+ * @returns {Promise<Object>} Patient transfer record
+ * @throws {Error} With statusCode 409 if the patient is gone or fromUser no longer owns it
+ */
+const transferPatient = async (patient, {
+  fromUser,
+  toUser,
+  transferredBy,
+  includeDevices = true,
+  includeSessions = false,
+  reason,
+  bulk = false
+}) => {
+  return runInTransaction(async (session) => {
+    const current = await Patient.findById(patient._id).session(session);
+
+    // The patient may have been purged or handed over since it was loaded
+    if (!current || current.getCareTeamRole(fromUser) !== 'owner') {
+      const conflict = new Error('The patient is no longer owned by the previous owner');
+      conflict.statusCode = 409;
+      throw conflict;
+    }
+
+    current.transferCareTeamMember(fromUser, toUser, transferredBy);
+    await current.save({ session });
+
+    // Devices used with this patient that the previous owner had access to
+    const devices = [];
+    if (includeDevices) {
+      const patientDevices = await Device.find({
+        assignedPatient: patient._id,
+        organization: patient.organization || null,
+        'careTeam.user': fromUser._id
+      }).session(session);
+
+      for (const device of patientDevices) {
+        device.transferCareTeamMember(fromUser, toUser, transferredBy);
+        await device.save({ session });
+        devices.push(device._id);
+      }
+    }
+
+    // Historical sessions recorded by the previous owner
+    const sessionsTransferred = { emg: 0, ems: 0 };
+    if (includeSessions) {
+      const filter = { patient: patient._id, doctor: fromUser._id, organization: patient.organization || null };
+      const update = { doctor: toUser._id };
+
+      const [emgResult, emsResult] = await Promise.all([
+        EMGData.updateMany(filter, update, { session }),
+        EMSData.updateMany(filter, update, { session })
+      ]);
+
+      sessionsTransferred.emg = emgResult.modifiedCount;
+      sessionsTransferred.ems = emsResult.modifiedCount;
+    }
+
+    const [transfer] = await PatientTransfer.create([{
+      patient: patient._id,
+      fromUser: fromUser._id,
+      toUser: toUser._id,
+      transferredBy: transferredBy._id,
+      reason,
+      bulk,
+      organization: patient.organization,
+      devices,
+      sessionsTransferred
+    }], { session });
+
+    return transfer;
+  });
+};
+
+/**
+ * Transfer every patient a user owns to another clinician, one transaction per patient
+ * @param {Object} fromUser - Owner giving up their patients
+ * @param {Object} toUser - Clinician taking over
+ * @param {Object} transferredBy - Admin performing the transfer
+ * @param {Object} [options] - includeDevices, includeSessions and reason, as for transferPatient
+ * @returns {Promise<Object>} Transfer records and patients that could not be transferred
+ */
+const transferAllPatients = async (fromUser, toUser, transferredBy, options = {}) => {
+  const patients = await Patient.find({
+    organization: fromUser.organization || null,
+    careTeam: { $elemMatch: { user: fromUser._id, role: 'owner' } }
+  });
+
+  const transfers = [];
+  const failed = [];
+
+  for (const patient of patients) {
+    try {
+      transfers.push(await transferPatient(patient, {
+        ...options,
+        fromUser,
+        toUser,
+        transferredBy,
+        bulk: true
+      }));
+    } catch (error) {
+      console.error(`❌ Failed to transfer patient ${patient._id}: ${error.message}`);
+      failed.push({ patient: patient._id, error: error.message });
+    }
+  }
+
+  return { transfers, failed };
+};
+
+module.exports = {
+  findTransferTarget,
+  transferPatient,
+  transferAllPatients
+};
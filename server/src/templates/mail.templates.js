@@ -0,0 +1,137 @@
+// mail.templates.js - Email templates
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) =>
+  String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Wrap paragraphs and an optional call-to-action in the shared layout
+ * @param {Object} content - Email content
+ * @param {string} content.greeting - Opening line
+ * @param {Array<string>} content.paragraphs - Body paragraphs (plain text)
+ * @param {Object} [content.action] - Link button with label and url
+ * @returns {Object} Plain text and HTML bodies
+ */
+const layout = ({ greeting, paragraphs, action }) => {
+  const text = [
+    greeting,
+    '',
+    ...paragraphs.flatMap((paragraph) => [paragraph, '']),
+    ...(action ? [`${action.label}: ${action.url}`, ''] : []),
+    '- The MyoZen team'
+  ].join('\n');
+
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #1f2933; line-height: 1.5;">
+    <p>${escapeHtml(greeting)}</p>
+    ${paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`).join('\n    ')}
+    ${action ? `<p><a href="${escapeHtml(action.url)}" style="background: #2563eb; color: #ffffff; padding: 10px 16px; border-radius: 4px; text-decoration: none;">${escapeHtml(action.label)}</a></p>` : ''}
+    <p style="color: #7b8794;">- The MyoZen team</p>
+  </body>
+</html>`;
+
+  return { text, html };
+};
+
+// Human-readable descriptions of security events
+const SECURITY_EVENTS = {
+  password_changed: 'Your password was changed.',
+  password_reset: 'Your password was reset using a password reset link.',
+  password_reset_required: 'An administrator requires you to choose a new password the next time you log in.',
+  two_factor_enabled: 'Two-factor authentication was enabled on your account.',
+  two_factor_disabled: 'Two-factor authentication was disabled on your account.',
+  account_locked: 'Your account was temporarily locked after several failed login attempts.',
+  account_unlocked: 'An administrator unlocked your account.'
+};
+
+/**
+ * Password reset email
+ * @param {Object} data - Template data
+ * @param {Object} data.user - Recipient
+ * @param {string} data.resetUrl - Link to the reset form
+ * @param {number} data.expiresMinutes - Link lifetime
+ * @returns {Object} Subject and bodies
+ */
+exports.passwordReset = ({ user, resetUrl, expiresMinutes }) => ({
+  subject: 'Reset your MyoZen password',
+  ...layout({
+    greeting: `Hello ${user.firstName},`,
+    paragraphs: [
+      'We received a request to reset the password for your account.',
+      `The link below can be used once and expires in ${expiresMinutes} minutes.`,
+      'If you did not ask for a password reset, you can ignore this email.'
+    ],
+    action: { label: 'Reset password', url: resetUrl }
+  })
+});
+
+/**
+ * Invitation email
+ * @param {Object} data - Template data
+ * @param {Object} data.invitation - Invitation document
+ * @param {Object} data.inviter - User who sent the invitation
+ * @param {string} data.acceptUrl - Link to the accept form
+ * @returns {Object} Subject and bodies
+ */
+exports.invitation = ({ invitation, inviter, acceptUrl }) => ({
+  subject: 'You have been invited to MyoZen',
+  ...layout({
+    greeting: 'Hello,',
+    paragraphs: [
+      `${inviter.firstName} ${inviter.lastName} invited you to join MyoZen as a ${invitation.role}.`,
+      `The invitation expires on ${invitation.expiresAt.toUTCString()}.`
+    ],
+    action: { label: 'Create your account', url: acceptUrl }
+  })
+});
+
+/**
+ * Security notification email
+ * @param {Object} data - Template data
+ * @param {Object} data.user - Recipient
+ * @param {string} data.event - Key of SECURITY_EVENTS
+ * @param {string} [data.ipAddress] - IP address that triggered the event
+ * @returns {Object} Subject and bodies
+ */
+exports.securityNotification = ({ user, event, ipAddress }) => ({
+  subject: 'Security alert for your MyoZen account',
+  ...layout({
+    greeting: `Hello ${user.firstName},`,
+    paragraphs: [
+      SECURITY_EVENTS[event] || `A security event occurred on your account: ${event}.`,
+      `Time: ${new Date().toUTCString()}${ipAddress ? ` from IP address ${ipAddress}` : ''}.`,
+      'If this was not you, reset your password and contact an administrator immediately.'
+    ]
+  })
+});
+
+/**
+ * Emergency access alert for a patient's owners and the organisation's admins
+ * @param {Object} data - Template data
+ * @param {Object} data.recipient - Recipient
+ * @param {Object} data.grant - Emergency access document
+ * @param {Object} data.user - Clinician who used emergency access
+ * @returns {Object} Subject and bodies
+ */
+exports.emergencyAccess = ({ recipient, grant, user }) => ({
+  subject: 'Emergency access to a MyoZen patient record',
+  ...layout({
+    greeting: `Hello ${recipient.firstName},`,
+    paragraphs: [
+      `${user.firstName} ${user.lastName} (${user.email}) used emergency access to open patient record ${grant.patient}.`,
+      `Reason given: ${grant.reason}`,
+      `Read access lasts until ${grant.expiresAt.toUTCString()}. Every record viewed is flagged in the audit log for review.`,
+      'If this access was not expected, revoke it and report it to your privacy officer.'
+    ]
+  })
+});
@@ -0,0 +1,91 @@
+// access.utils.js - Organisation scoping and record-level access checks
+
+/**
+ * Get the ID of the organisation a user or record belongs to
+ * @param {Object} doc - User or record document
+ * @returns {string|null} Organisation ID, or null for the default tenant
+ */
+const organizationId = (doc) => {
+  if (!doc || !doc.organization) return null;
+  return (doc.organization._id || doc.organization).toString();
+};
+
+/**
+ * Build a query filter limiting results to the user's organisation.
+ * Add it to every query for tenant-owned records so other clinics' data is never read.
+ * @param {Object} user - Logged-in user
+ * @returns {Object} Mongoose query filter
+ */
+const tenantFilter = (user) => ({
+  organization: user.organization || null
+});
+
+/**
+ * Check if a record belongs to the user's organisation
+ * @param {Object} doc - Record document (must include organization)
+ * @param {Object} user - Logged-in user
+ * @returns {boolean} True if both belong to the same organisation
+ */
+const isSameOrganization = (doc, user) => organizationId(doc) === organizationId(user);
+
+/**
+ * Check if a user administers the whole server (an admin outside any organisation)
+ * @param {Object} user - User document
+ * @returns {boolean} True for system admins
+ */
+const isSystemAdmin = (user) => user.role === 'admin' && !user.organization;
+
+/**
+ * Check if a user administers their organisation
+ * @param {Object} user - User document
+ * @returns {boolean} True for organisation admins
+ */
+const isOrganizationAdmin = (user) => user.role === 'admin' && Boolean(user.organization);
+
+/**
+ * Check if a user may act on a patient or device.
+ * Organisation admins have full access to their organisation's records; everyone else
+ * needs a care team role, except that shared devices can be used by the whole organisation.
+ * @param {Object} resource - Patient or device document (must include organization and careTeam)
+ * @param {Object} user - Logged-in user
+ * @param {string} permission - read, write or manage
+ * @returns {boolean} True if allowed
+ */
+const hasAccess = (resource, user, permission) => {
+  if (!isSameOrganization(resource, user)) return false;
+
+  if (isOrganizationAdmin(user)) return true;
+
+  if (resource.hasCareTeamPermission(user, permission)) return true;
+
+  return Boolean(resource.sharedWithOrganization && user.organization && permission !== 'manage');
+};
+
+/**
+ * Build a query filter for the patients or devices a user can see in lists
+ * @param {Object} Model - Patient or Device model
+ * @param {Object} user - Logged-in user
+ * @returns {Object} Mongoose query filter
+ */
+const accessFilter = (Model, user) => {
+  const filter = tenantFilter(user);
+
+  if (isOrganizationAdmin(user)) return filter;
+
+  const conditions = [Model.careTeamFilter(user)];
+  if (Model.schema.path('sharedWithOrganization') && user.organization) {
+    conditions.push({ sharedWithOrganization: true });
+  }
+
+  return { ...filter, $or: conditions };
+};
+
+module.exports = {
+  organizationId,
+  tenantFilter,
+  isSameOrganization,
+  isSystemAdmin,
+  isOrganizationAdmin,
+  hasAccess,
+  accessFilter
+};
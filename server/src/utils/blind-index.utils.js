@@ -0,0 +1,104 @@
+// blind-index.utils.js - Keyed hashes for searching and looking up encrypted and personal fields
+
+const crypto = require('crypto');
+
+// Shortest name prefix that is indexed and can be searched for
+const MIN_PREFIX_LENGTH = 2;
+
+/**
+ * Get the key used for blind indexes.
+ * Falls back to a key derived from SIGNING_KEY so existing installations keep working;
+ * changing either key means the indexes must be rebuilt (npm run db:init -- --rebuild-search-index).
+ * @returns {string} HMAC key
+ */
+const getBlindIndexKey = () => {
+  if (process.env.BLIND_INDEX_KEY) return process.env.BLIND_INDEX_KEY;
+
+  if (!process.env.SIGNING_KEY) {
+    throw new Error('BLIND_INDEX_KEY (or SIGNING_KEY) must be set to search encrypted fields');
+  }
+
+  return crypto.createHmac('sha256', String(process.env.SIGNING_KEY)).update('blind-index').digest('hex');
+};
+
+/**
+ * Normalise a value so that searches ignore case, accents and extra whitespace
+ * @param {string} value - Raw value
+ * @returns {string} Normalised value
+ */
+const normalizeSearchValue = (value) => {
+  return String(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Normalise a phone number to its digits, so "+1 (555) 010-0100" and "15550100100" match
+ * @param {string} value - Raw phone number
+ * @returns {string} Digits only
+ */
+const normalizePhoneNumber = (value) => String(value).replace(/\D/g, '');
+
+/**
+ * Normalise a MAC address or Bluetooth ID, so "00:1A:2B" and "001a2b" match
+ * @param {string} value - Raw hardware identifier
+ * @returns {string} Lowercase letters and digits only
+ */
+const normalizeHardwareId = (value) => String(value).toLowerCase().replace(/[^0-9a-z]/g, '');
+
+/**
+ * Hash a value for a blind index. The same value always gives the same hash for a
+ * context, so it can be matched exactly, but the value cannot be read back.
+ * @param {string} context - What the value is (e.g. "name"), so equal values in different fields differ
+ * @param {string} value - Value to index
+ * @returns {string} Hex digest
+ */
+const blindIndex = (context, value) => {
+  return crypto
+    .createHmac('sha256', getBlindIndexKey())
+    .update(`${context}:${normalizeSearchValue(value)}`)
+    .digest('hex')
+    .slice(0, 32);
+};
+
+/**
+ * Split text into the words used for prefix search
+ * @param {string} text - Raw text (e.g. a name or search query)
+ * @returns {Array<string>} Normalised words of at least MIN_PREFIX_LENGTH characters
+ */
+const searchWords = (text) => {
+  return normalizeSearchValue(text || '')
+    .split(/[\s'-]+/)
+    .filter((word) => word.length >= MIN_PREFIX_LENGTH);
+};
+
+/**
+ * Hash every prefix of every word, so a search for "jo" or "john" both find "Johnson"
+ * @param {string} context - What the text is
+ * @param {Array<string>} texts - Texts to index
+ * @returns {Array<string>} Unique hex digests
+ */
+const prefixBlindIndexes = (context, texts) => {
+  const hashes = new Set();
+
+  texts.flatMap(searchWords).forEach((word) => {
+    for (let length = MIN_PREFIX_LENGTH; length <= word.length; length++) {
+      hashes.add(blindIndex(context, word.slice(0, length)));
+    }
+  });
+
+  return [...hashes];
+};
+
+module.exports = {
+  MIN_PREFIX_LENGTH,
+  normalizeSearchValue,
+  normalizePhoneNumber,
+  normalizeHardwareId,
+  blindIndex,
+  searchWords,
+  prefixBlindIndexes
+};
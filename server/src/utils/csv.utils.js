@@ -0,0 +1,70 @@
+// csv.utils.js - Reading comma-separated values
+
+/**
+ * Parse CSV text (RFC 4180): quoted fields may contain delimiters, line breaks and
+ * doubled quotes. A leading byte order mark and blank lines are ignored.
+ * @param {string} text - CSV text
+ * @param {Object} [options] - Parser options
+ * @param {string} [options.delimiter] - Field separator (default ",")
+ * @returns {Array<Object>} { line, values } for each record; line is where the record starts
+ * @throws {Error} If a quoted field is not closed
+ */
+const parseCsv = (text, { delimiter = ',' } = {}) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const records = [];
+  let values = [];
+  let value = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let quoteLine = 1;
+
+  const endRecord = () => {
+    values.push(value);
+    if (values.length > 1 || values[0].trim() !== '') {
+      records.push({ line: recordLine, values });
+    }
+    values = [];
+    value = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        value += char;
+      }
+    } else if (char === '"' && value === '') {
+      quoted = true;
+      quoteLine = line;
+    } else if (char === delimiter) {
+      values.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      value += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Quoted field starting on line ${quoteLine} is not closed`);
+  }
+
+  endRecord();
+  return records;
+};
+
+module.exports = {
+  parseCsv
+};
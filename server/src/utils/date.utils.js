@@ -0,0 +1,21 @@
+// date.utils.js - Reading dates from user input
+
+/**
+ * Check that the day at the start of an ISO 8601 date exists. Date rolls days a month
+ * does not have over to the next month (2023-02-31 becomes 2023-03-03), so it cannot tell.
+ * @param {string} text - Date or date-time starting with YYYY-MM-DD
+ * @returns {boolean} True if the year, month and day form a real date
+ */
+const isCalendarDate = (text) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+  if (!match) return false;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+module.exports = {
+  isCalendarDate
+};
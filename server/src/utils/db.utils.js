@@ -104,6 +104,68 @@ const dropCollection = async (collectionName) => {
   return false;
 };
 
+/**
+ * Run work inside a transaction so every write succeeds or none do.
+ * Transient errors (e.g. write conflicts) run the work again, so it must load or build
+ * the documents it changes itself rather than change documents loaded before it started.
+ * Transactions need a replica set. On a standalone MongoDB server this fails, unless
+ * ALLOW_NON_TRANSACTIONAL_WRITES=true (development only) lets the work run once without one.
+ * @param {Function} work - Async function receiving the session (null without a transaction)
+ * @returns {Promise<*>} Result of the work
+ * @throws {Error} With statusCode 503 if transactions are not available
+ */
+const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    // IllegalOperation: "Transaction numbers are only allowed on a replica set member or mongos"
+    if (error.code !== 20) throw error;
+
+    if (process.env.ALLOW_NON_TRANSACTIONAL_WRITES !== 'true') {
+      const unavailable = new Error('MongoDB transactions are not available; run MongoDB as a replica set');
+      unavailable.statusCode = 503;
+      throw unavailable;
+    }
+
+    console.warn('⚠️ MongoDB transactions are not available: running without one, so a failure can leave partial writes (ALLOW_NON_TRANSACTIONAL_WRITES=true)');
+    return work(null);
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Build query middleware that rejects updates to fields a model keeps in step on save
+ * (e.g. search indexes or ciphertext), which query updates would bypass
+ * @param {Array<string>} paths - Field paths (children are matched too)
+ * @param {string} reason - Why the field is protected, e.g. "is encrypted"
+ * @returns {Function} Mongoose pre-update middleware
+ */
+const rejectFieldUpdates = (paths, reason) => {
+  return function(next) {
+    const update = this.getUpdate() || {};
+    const fields = Object.keys(update).flatMap((key) => (
+      key.startsWith('$') ? Object.keys(update[key] || {}) : [key]
+    ));
+
+    const rejected = fields.find((field) => paths.some((path) => (
+      field === path || field.startsWith(`${path}.`) || path.startsWith(`${field}.`)
+    )));
+
+    if (rejected) {
+      return next(new Error(`${rejected} ${reason}; change it by loading the document and saving it`));
+    }
+
+    next();
+  };
+};
+
 module.exports = {
   isConnected,
   getConnectionStatus,
@@ -111,5 +173,7 @@ module.exports = {
   collectionExists,
   getDocumentCount,
   getCollections,
-  dropCollection
+  dropCollection,
+  runInTransaction,
+  rejectFieldUpdates
 };
@@ -0,0 +1,107 @@
+// password.utils.js - Password policy checks
+
+const securityConfig = require('../config/security');
+
+// Character classes a policy can require
+const CHARACTER_CLASSES = {
+  lower: { pattern: /[a-z]/, label: 'a lowercase letter' },
+  upper: { pattern: /[A-Z]/, label: 'an uppercase letter' },
+  number: { pattern: /[0-9]/, label: 'a number' },
+  symbol: { pattern: /[^A-Za-z0-9]/, label: 'a symbol' }
+};
+
+// Passwords that appear at the top of breach lists, compared case-insensitively
+const COMMON_PASSWORDS = new Set([
+  '123456', '123456789', '12345678', '1234567890', '12345', '1234567', '123123',
+  '111111', '000000', '654321', '666666', '121212', '112233', '987654321',
+  'password', 'password1', 'password12', 'password123', 'password1234', 'passw0rd',
+  'p@ssw0rd', 'p@ssword', 'qwerty', 'qwerty123', 'qwertyuiop', '1q2w3e4r', '1qaz2wsx',
+  'qazwsx', 'zaq12wsx', 'asdfghjkl', 'iloveyou', 'admin', 'admin123', 'admin1234',
+  'administrator', 'welcome', 'welcome1', 'welcome123', 'letmein', 'letmein1',
+  'abc123', 'abcd1234', 'monkey', 'dragon', 'sunshine', 'princess', 'football',
+  'baseball', 'superman', 'trustno1', 'master', 'shadow', 'starwars', 'changeme',
+  'changeme123', 'secret', 'secret123', 'default', 'login', 'test1234', 'testing123',
+  'summer2024', 'winter2024', 'spring2024', 'autumn2024', 'doctor', 'doctor123',
+  'hospital', 'hospital1', 'medical', 'medical123', 'nurse123', 'patient', 'myozen',
+  'myozen123'
+]);
+
+/**
+ * Describe the active password policy, e.g. for showing rules in a form
+ * @returns {Object} Policy summary
+ */
+const describePasswordPolicy = () => {
+  const { minLength, requiredCharacterClasses, historyCount, maxAgeDays } = securityConfig.passwordPolicy;
+
+  return {
+    minLength,
+    requiredCharacterClasses,
+    historyCount,
+    maxAgeDays
+  };
+};
+
+/**
+ * Check a new password against the policy rules that do not need the stored hashes
+ * @param {string} password - Plain password
+ * @param {Object} [user] - User the password is for (name and email must not appear in it)
+ * @returns {Array<string>} Rule violations, empty if the password is acceptable
+ */
+const validatePassword = (password, user = {}) => {
+  const { minLength, requiredCharacterClasses } = securityConfig.passwordPolicy;
+  const errors = [];
+
+  if (typeof password !== 'string') {
+    return ['Password must be a string'];
+  }
+
+  if (password.length < minLength) {
+    errors.push(`Password must be at least ${minLength} characters long`);
+  }
+
+  requiredCharacterClasses.forEach((name) => {
+    const characterClass = CHARACTER_CLASSES[name];
+
+    if (characterClass && !characterClass.pattern.test(password)) {
+      errors.push(`Password must contain ${characterClass.label}`);
+    }
+  });
+
+  if (COMMON_PASSWORDS.has(password.toLowerCase())) {
+    errors.push('Password is too common. Please choose a less predictable password');
+  }
+
+  // Personal details are the first thing an attacker tries
+  const lowered = password.toLowerCase();
+  const personalDetails = [
+    user.firstName,
+    user.lastName,
+    user.email && user.email.split('@')[0]
+  ].filter((value) => value && value.length >= 3);
+
+  if (personalDetails.some((value) => lowered.includes(value.toLowerCase()))) {
+    errors.push('Password must not contain your name or email address');
+  }
+
+  return errors;
+};
+
+/**
+ * Build the error thrown when a password breaks the policy
+ * @param {Array<string>} errors - Rule violations
+ * @returns {Error} Error handled by the global error handler as a 400 response
+ */
+const createPasswordPolicyError = (errors) => {
+  const error = new Error('Password does not meet the password policy');
+  error.name = 'PasswordPolicyError';
+  error.statusCode = 400;
+  error.errors = errors;
+  return error;
+};
+
+module.exports = {
+  CHARACTER_CLASSES,
+  describePasswordPolicy,
+  validatePassword,
+  createPasswordPolicyError
+};
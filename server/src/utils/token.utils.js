@@ -0,0 +1,44 @@
+// token.utils.js - Helpers for opaque random tokens
+
+const crypto = require('crypto');
+
+/**
+ * Generate a random URL-safe token
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} Random token
+ */
+const generateToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+/**
+ * Hash a token for storage so a database leak does not expose usable tokens
+ * @param {string} token - Plain token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Compare two hex digests in constant time
+ * @param {string} a - First digest
+ * @param {string} b - Second digest
+ * @returns {boolean} True if the digests are equal
+ */
+const safeCompare = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+
+  if (bufA.length !== bufB.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(bufA, bufB);
+};
+
+module.exports = {
+  generateToken,
+  hashToken,
+  safeCompare
+};